@@ -11,92 +11,40 @@
  * Pattern based on esbuild, turbo, and opencode distribution.
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-
-const PACKAGE_SCOPE = '@offlinecli/crush';
-
-/**
- * Get the platform-specific package name
- */
-function getPlatformPackage() {
-  const platform = process.platform;
-  const arch = process.arch;
-  return `${PACKAGE_SCOPE}-${platform}-${arch}`;
-}
-
-/**
- * Get the correct binary name for this platform
- */
-function getBinaryName() {
-  return process.platform === 'win32' ? 'crush.exe' : 'crush';
-}
+const {
+  PLATFORMS,
+  detectLibc,
+  getPlatformCandidates,
+  getPlatformPackage,
+  findPlatformPackage,
+  getBinaryOverride,
+  getBinaryPath,
+  getVersionMismatch,
+} = require('../lib/binary');
+const { run, forwardSignals, signalExitCode } = require('../lib/run');
+const { buildChildEnv } = require('../lib/env');
+const { startAuditEntry, finishAuditEntry } = require('../lib/audit');
+const { evaluatePolicy, applyPolicy, writeEnforcedConfig, removeEnforcedConfig } = require('../lib/policy');
 
 /**
- * Find the binary in various possible locations.
- * If only .bin exists, rename it to the proper executable name first.
+ * Exit the way Crush did. A signal is re-raised so the shell sees Crush was
+ * killed by it; where that isn't possible (Windows, SIGUSR1 which Node keeps
+ * for its debugger, or a signal that doesn't terminate by default), exit
+ * with 128 + the signal number instead.
  */
-function findBinary() {
-  const platform = process.platform;
-  const arch = process.arch;
-  const platformPkg = getPlatformPackage();
-  const binaryName = getBinaryName();
-  const disguisedName = 'crush.bin';
-  
-  // Possible base directories to check
-  const baseDirs = [
-    // Scoped package location
-    path.join(__dirname, '..', '..', '@offlinecli', `crush-${platform}-${arch}`, 'bin'),
-    
-    // Hoisted to root node_modules
-    path.join(__dirname, '..', '..', '..', '@offlinecli', `crush-${platform}-${arch}`, 'bin'),
-    
-    // pnpm/yarn PnP style - try require.resolve
-    (() => {
-      try {
-        const pkgPath = require.resolve(`${platformPkg}/package.json`);
-        return path.join(path.dirname(pkgPath), 'bin');
-      } catch {
-        return null;
-      }
-    })(),
-  ].filter(Boolean);
-  
-  for (const binDir of baseDirs) {
-    const finalPath = path.join(binDir, binaryName);
-    const disguisedPath = path.join(binDir, disguisedName);
-    
-    // Check if final binary already exists
-    if (fs.existsSync(finalPath)) {
-      return finalPath;
-    }
-    
-    // Check if disguised binary exists - rename it
-    if (fs.existsSync(disguisedPath)) {
-      try {
-        fs.renameSync(disguisedPath, finalPath);
-        // Ensure executable permission on Unix
-        if (process.platform !== 'win32') {
-          fs.chmodSync(finalPath, 0o755);
-        }
-        return finalPath;
-      } catch (err) {
-        // If rename fails (permissions), try to execute .bin directly
-        // This works on Unix, may need special handling on Windows
-        if (process.platform !== 'win32') {
-          try {
-            fs.chmodSync(disguisedPath, 0o755);
-            return disguisedPath;
-          } catch {
-            // Fall through
-          }
-        }
-      }
+function exitLikeCrush(code, signal) {
+  if (!signal) {
+    process.exit(code ?? 1);
+  }
+  if (process.platform !== 'win32' && signal !== 'SIGUSR1') {
+    process.removeAllListeners(signal);
+    try {
+      process.kill(process.pid, signal);
+    } catch {
+      // Fall through to the exit code
     }
   }
-  
-  return null;
+  setTimeout(() => process.exit(signalExitCode(signal)), 100);
 }
 
 /**
@@ -105,12 +53,21 @@ function findBinary() {
 function printNotFoundError() {
   const platform = process.platform;
   const arch = process.arch;
+  const libc = detectLibc();
+  const target = libc ? `${platform}-${arch} (${libc})` : `${platform}-${arch}`;
+  const supported = getPlatformCandidates().length > 0;
   const platformPkg = getPlatformPackage();
+  const width = Math.max(...Object.keys(PLATFORMS).map((key) => key.length));
+  const platformList = Object.keys(PLATFORMS)
+    .map((key) => `  - ${key.padEnd(width)}  ${PLATFORMS[key].label}`)
+    .join('\n');
   
   console.error(`
-Crush binary not found for ${platform}-${arch}
+Crush binary not found for ${target}
 
-The platform-specific package "${platformPkg}" was not installed.
+${supported
+    ? `The platform-specific package "${platformPkg}" was not installed.`
+    : `Your platform (${platform}-${arch}) is not supported by this package.`}
 
 This can happen if:
 1. Your platform (${platform}-${arch}) is not supported
@@ -134,54 +91,178 @@ Or install Crush directly:
   https://github.com/charmbracelet/crush/releases
 
 Supported platforms:
-  - linux-x64, linux-arm64
-  - darwin-x64, darwin-arm64
-  - win32-x64, win32-arm64
+${platformList}
 `);
 }
 
+/**
+ * Print an explanation when the binary does not match its manifest
+ */
+function printIntegrityError(err) {
+  const platformPkg = getPlatformPackage();
+
+  console.error(`
+Crush binary failed integrity verification
+
+  ${err.message}
+
+The binary does not match the SHA-256 manifest shipped with "${platformPkg}".
+It may have been modified or corrupted after installation, so it will not be run.
+
+To fix this, reinstall the package from a trusted registry:
+  npm install -g @offlinecli/crush --force
+
+If this keeps happening, report it to your security team.
+`);
+}
+
+/**
+ * Check the config against the admin policy, if there is one, in the
+ * environment Crush will start with. Exits with an explanation when Crush
+ * must not start; otherwise returns the directory of a global config with
+ * the policy applied for this run (see writeEnforcedConfig), or null when
+ * the config complies.
+ */
+function enforcePolicy(env) {
+  let result;
+  try {
+    result = evaluatePolicy(env);
+  } catch (err) {
+    console.error(`Crush was not started: the admin policy ${err.message}`);
+    process.exit(1);
+  }
+  if (!result || result.violations.length === 0) {
+    return null;
+  }
+
+  const { policy, layers, violations } = result;
+  const unreadable = layers.filter(layer => layer.error);
+  if (unreadable.length > 0) {
+    console.error(`Crush was not started: the config can't be checked against the admin policy in ${policy.file}\n`);
+    console.error(unreadable.map(layer => `  ${layer.file} is not valid JSON: ${layer.error}`).join('\n'));
+    process.exit(1);
+  }
+
+  const describe = (v) => `  ${v.path} ${v.problem}${v.source ? `\n    (set in ${v.source})` : ''}`;
+  const blocking = policy.mode === 'refuse' ? violations : violations.filter(v => !v.enforceable);
+  if (blocking.length > 0) {
+    console.error(`Crush was not started: the config does not meet the admin policy in ${policy.file}\n`);
+    console.error(blocking.map(describe).join('\n'));
+    if (policy.mode === 'enforce') {
+      console.error('\nThese settings come from a project or data-dir config or an environment variable,');
+      console.error('which the wrapper cannot override. Change them and start Crush again.');
+    } else {
+      console.error('\nChange these settings (see: crush-setup show) and start Crush again.');
+    }
+    process.exit(1);
+  }
+
+  const global = layers.find(layer => layer.name === 'global');
+  let dir;
+  try {
+    dir = writeEnforcedConfig(applyPolicy(policy, global ? global.config : {}, violations));
+  } catch (err) {
+    console.error(`Crush was not started: could not write the policy-enforced config: ${err.message}`);
+    process.exit(1);
+  }
+  console.error(`Note: starting Crush with settings enforced by ${policy.file}:`);
+  console.error(violations.map(describe).join('\n'));
+  return dir;
+}
+
+/**
+ * Start an audit log entry when auditing is on; problems with the log are
+ * reported but never stop Crush from running
+ */
+function startAudit(args) {
+  try {
+    return startAuditEntry(args);
+  } catch (err) {
+    console.error(`Warning: could not start audit log entry: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Append the finished audit entry, if any, to the audit log
+ */
+function finishAudit(entry, outcome) {
+  if (!entry) {
+    return;
+  }
+  try {
+    finishAuditEntry(entry, outcome);
+  } catch (err) {
+    console.error(`Warning: could not write audit log ${entry.settings.file}: ${err.message}`);
+  }
+}
+
 /**
  * Main entry point
  */
 function main() {
-  const binaryPath = findBinary();
-  
-  if (!binaryPath) {
-    printNotFoundError();
+  let binaryPath;
+  try {
+    binaryPath = getBinaryPath();
+  } catch (err) {
+    if (err.code === 'ENOBINARY') {
+      printNotFoundError();
+    } else if (err.code === 'EINTEGRITY') {
+      printIntegrityError(err);
+    } else {
+      console.error(`Failed to prepare Crush binary: ${err.message}`);
+    }
     process.exit(1);
   }
   
+  if (!getBinaryOverride()) {
+    const mismatch = getVersionMismatch(findPlatformPackage());
+    if (mismatch) {
+      console.error(mismatch);
+    }
+  }
+  
+  // Build Crush's environment once, so the policy is checked against
+  // exactly what Crush gets
+  const { env, warnings } = buildChildEnv(process.env);
+  warnings.forEach(message => console.error(`Warning: ${message}`));
+  const policyDir = enforcePolicy(env);
+  
   // Forward all arguments to the binary
   const args = process.argv.slice(2);
-  
-  // Use spawn for better signal handling and TTY support
-  const child = spawn(binaryPath, args, {
-    stdio: 'inherit',
-    windowsHide: false,
+  const audit = startAudit(args);
+  const running = run(args, {
+    binaryPath,
+    env: policyDir ? { ...env, CRUSH_GLOBAL_CONFIG: policyDir } : env,
+    wrapperEnv: false,
   });
+  const stopForwarding = running.child ? forwardSignals(running.child) : () => {};
+  const cleanUp = () => {
+    stopForwarding();
+    if (policyDir) {
+      removeEnforcedConfig(policyDir);
+    }
+  };
   
-  child.on('error', (err) => {
+  running.then(({ code, signal }) => {
+    cleanUp();
+    finishAudit(audit, { code, signal });
+    exitLikeCrush(code, signal);
+  }, (err) => {
+    cleanUp();
+    finishAudit(audit, { error: err.message });
     console.error(`Failed to execute Crush: ${err.message}`);
     process.exit(1);
   });
-  
-  child.on('exit', (code, signal) => {
-    if (signal) {
-      // Re-raise the signal
-      process.kill(process.pid, signal);
-    } else {
-      process.exit(code ?? 1);
-    }
-  });
-  
-  // Forward signals to child process
-  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
-    process.on(signal, () => {
-      if (!child.killed) {
-        child.kill(signal);
-      }
-    });
-  });
 }
 
-main();
+// Run only when started as the crush command, so the helpers above can be
+// required (e.g. by tests) without launching Crush
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  exitLikeCrush,
+  enforcePolicy,
+};
@@ -9,117 +9,92 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const os = require('os');
-
-// Configuration paths
-const CONFIG_DIR = process.platform === 'win32' 
-  ? path.join(process.env.LOCALAPPDATA || '', 'crush')
-  : path.join(os.homedir(), '.config', 'crush');
-
-const CONFIG_FILE = path.join(CONFIG_DIR, 'crush.json');
-
-// Default offline configuration
-const OFFLINE_CONFIG = {
-  "$schema": "https://charm.land/crush.json",
-  "options": {
-    "disable_provider_auto_update": true,
-    "disable_metrics": true,
-    "disable_default_providers": true,
-    "auto_lsp": true
-  }
-};
-
-// Provider templates
-const PROVIDER_TEMPLATES = {
-  'azure-openai': {
-    name: 'Azure OpenAI',
-    envVars: ['AZURE_OPENAI_API_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_API_VERSION'],
-    config: (answers) => ({
-      type: 'azure',
-      base_url: answers.endpoint,
-      api_key: '$AZURE_OPENAI_API_KEY',
-      models: [{
-        id: answers.deployment || 'gpt-4',
-        name: answers.modelName || 'GPT-4 (Azure)',
-        context_window: parseInt(answers.contextWindow) || 128000,
-        default_max_tokens: parseInt(answers.maxTokens) || 4096,
-        cost_per_1m_in: 0,
-        cost_per_1m_out: 0,
-        cost_per_1m_in_cached: 0,
-        cost_per_1m_out_cached: 0,
-        can_reason: false,
-        supports_attachments: true,
-        options: {}
-      }]
-    })
-  },
-  'azure-foundry': {
-    name: 'Azure AI Foundry',
-    envVars: ['AZURE_AI_FOUNDRY_ENDPOINT', 'AZURE_AI_FOUNDRY_API_KEY'],
-    config: (answers) => ({
-      type: 'openai-compat',
-      base_url: answers.endpoint,
-      api_key: '$AZURE_AI_FOUNDRY_API_KEY',
-      models: [{
-        id: answers.deployment || 'gpt-4',
-        name: answers.modelName || 'GPT-4 (Azure AI Foundry)',
-        context_window: parseInt(answers.contextWindow) || 128000,
-        default_max_tokens: parseInt(answers.maxTokens) || 4096,
-        cost_per_1m_in: 0,
-        cost_per_1m_out: 0,
-        cost_per_1m_in_cached: 0,
-        cost_per_1m_out_cached: 0,
-        can_reason: false,
-        supports_attachments: true,
-        options: {}
-      }]
-    })
-  },
-  'openai-compat': {
-    name: 'OpenAI-Compatible API',
-    envVars: ['CUSTOM_LLM_API_KEY'],
-    config: (answers) => ({
-      type: 'openai-compat',
-      base_url: answers.endpoint,
-      api_key: '$CUSTOM_LLM_API_KEY',
-      models: [{
-        id: answers.deployment || 'default',
-        name: answers.modelName || 'Custom Model',
-        context_window: parseInt(answers.contextWindow) || 128000,
-        default_max_tokens: parseInt(answers.maxTokens) || 4096,
-        cost_per_1m_in: 0,
-        cost_per_1m_out: 0,
-        cost_per_1m_in_cached: 0,
-        cost_per_1m_out_cached: 0,
-        can_reason: false,
-        supports_attachments: true,
-        options: {}
-      }]
-    })
-  },
-  'ollama': {
-    name: 'Ollama (Local)',
-    envVars: [],
-    config: (answers) => ({
-      name: 'Ollama',
-      type: 'openai-compat',
-      base_url: answers.endpoint || 'http://localhost:11434/v1/',
-      models: [{
-        id: answers.deployment || 'llama3:70b',
-        name: answers.modelName || 'Llama 3 70B',
-        context_window: parseInt(answers.contextWindow) || 128000,
-        default_max_tokens: parseInt(answers.maxTokens) || 4096,
-        cost_per_1m_in: 0,
-        cost_per_1m_out: 0,
-        cost_per_1m_in_cached: 0,
-        cost_per_1m_out_cached: 0,
-        can_reason: false,
-        supports_attachments: false,
-        options: {}
-      }]
-    })
-  }
-};
+
+const {
+  CONFIG_FILE,
+  USER_ENV_FILE,
+  PROJECT_CONFIG_FILES,
+  globalConfigFile,
+  expandHome,
+} = require('../lib/paths');
+const { writeFileAtomic, readTextFile, writeEnvFile } = require('../lib/files');
+const { jsonPath, validateConfig, blockingIssues } = require('../lib/schema');
+const {
+  runCredentialHelper,
+  getCredentialHelpers,
+  getHelperTokens,
+} = require('../lib/credentials');
+const {
+  ENV_SHELLS,
+  parseEnvFile,
+  loadEnvFiles,
+  getNetworkEnv,
+  getProviderEnv,
+  getWrapperEnv,
+  defaultShell,
+  shellAssignment,
+} = require('../lib/env');
+const {
+  OFFLINE_CONFIG,
+  OFFLINE_ENV,
+  PROVIDER_TEMPLATES,
+  templateEnvVars,
+  buildModelSelection,
+  normalizeAnswers,
+  checkAnswers,
+  checkMcpAnswer,
+  checkProxyUrl,
+  checkCAFile,
+  buildMcpServer,
+  configEnvVars,
+  envVarReference,
+  ENV_OVERRIDES,
+  redactSecrets,
+  loadConfigLayers,
+  projectConfigFile,
+  mergeConfigLayers,
+  readConfigFile,
+  listBackups,
+  findBackup,
+  saveCredentialHelper,
+  saveAuditSettings,
+} = require('../lib/config');
+const { localProxyConflict, currentProxy, loadCA } = require('../lib/http');
+const { resolveApiKey, probeProviders, discoverModels } = require('../lib/providers');
+const { getAuditSettings, readAuditLog, auditEntryFilter, formatAuditEntries } = require('../lib/audit');
+const { getPolicyFile, policyStatus } = require('../lib/policy');
+const {
+  DEFAULT_MOCK_PORT,
+  DEFAULT_FIXTURE,
+  MOCK_API_KEY_ENV,
+  loadFixture,
+  createMockServer,
+  mockProviderConfig,
+} = require('../lib/mock-server');
+const { checkStdioServer } = require('../lib/mcp');
+const { LANGUAGES, detectLanguageServers } = require('../lib/lsp');
+const {
+  QUICK_VALUE_FLAGS,
+  TEMPLATE_FLAGS,
+  TEMPLATE_VALUE_FLAGS,
+  listFlag,
+  splitCommandLine,
+  applyModelFlags,
+  applyTemplateFlags,
+  answersFromFlags,
+} = require('../lib/answers');
+const { formatIssues, applyConfigChange } = require('../lib/changes');
+const { provision } = require('../lib/provision');
+const {
+  selectionsUsing,
+  addProvider,
+  removeProvider,
+  editProvider,
+  addModel,
+  removeModel,
+  setDefaultModel,
+} = require('../lib/manage');
+const { doctorReport } = require('../lib/doctor');
 
 class SetupWizard {
   constructor() {
@@ -159,6 +134,329 @@ class SetupWizard {
     return options[0];
   }
 
+  // List models from the endpoint; returns [] (manual entry) on any failure
+  async discoverModels(template, answers) {
+    const provider = template.config(answers);
+    const key = resolveApiKey(provider);
+    let apiKey = key.value;
+    if (key.envVar && !apiKey) {
+      apiKey = await this.question(`API key to list models (not saved; set $${key.envVar} to skip this prompt, blank to enter manually)`);
+      if (!apiKey) return [];
+    }
+
+    console.log('\nLooking up available models...');
+    try {
+      const models = await discoverModels(template.discovery, provider.base_url, apiKey);
+      if (models.length === 0) {
+        console.log('No models reported by the endpoint, enter the model manually.');
+      }
+      return models;
+    } catch (err) {
+      console.log(`Could not list models (${err.message}), enter the model manually.`);
+      return [];
+    }
+  }
+
+  // Ask until the answer is a number (an integer unless `decimal` is set)
+  async askNumber(prompt, defaultValue, decimal = false) {
+    for (;;) {
+      const answer = await this.question(prompt, defaultValue);
+      if (decimal ? answer.trim() !== '' && !isNaN(answer) && parseFloat(answer) >= 0 : /^\d+$/.test(answer) && parseInt(answer) > 0) {
+        return answer;
+      }
+      console.log(decimal ? 'Please enter a non-negative number.' : 'Please enter a positive whole number.');
+    }
+  }
+
+  // Ask for one model's details, offering discovered models first
+  async askModel(template, discovered, defaults, added = []) {
+    let found = null;
+    if (discovered.length > 0) {
+      const choice = await this.select('Select a model:', [
+        ...discovered.map(m => ({ name: m.contextWindow ? `${m.name} (${m.contextWindow} tokens)` : m.name, model: m })),
+        { name: 'Enter manually', model: null }
+      ]);
+      found = choice.model;
+    }
+
+    const model = {};
+    model.id = found ? found.id : await this.question('Model/Deployment ID', template.defaultModel);
+    while (added.some(m => m.id === model.id)) {
+      model.id = await this.question(`"${model.id}" was already added. Model/Deployment ID`);
+    }
+    model.name = await this.question('Display name for model', (found && found.name) || model.id);
+    model.contextWindow = await this.askNumber('Context window size', String((found && found.contextWindow) || 128000));
+    model.maxTokens = await this.askNumber('Max output tokens', '4096');
+    model.canReason = await this.confirm('Does this model support reasoning?', (found && found.canReason) ?? false);
+    model.supportsAttachments = await this.confirm('Does it accept image attachments?',
+      (found && found.supportsAttachments) ?? defaults.supports_attachments);
+
+    if (await this.confirm('Enter token costs (per 1M tokens)?', false)) {
+      model.costIn = await this.askNumber('  Input cost', '0', true);
+      model.costOut = await this.askNumber('  Output cost', '0', true);
+      model.costInCached = await this.askNumber('  Cached input cost', '0', true);
+      model.costOutCached = await this.askNumber('  Cached output cost', '0', true);
+    }
+    return model;
+  }
+
+  // Ask for the endpoint until it is valid, and show how it was normalised
+  async askEndpoint(answers, template) {
+    const { prompt, example } = template.endpoint;
+    for (;;) {
+      answers.endpoint = await this.question(example ? `${prompt} (e.g., ${example})` : prompt, template.endpoint.default);
+      if (!answers.endpoint) {
+        console.log('Endpoint is required. Exiting.');
+        this.rl.close();
+        process.exit(1);
+      }
+      const normalized = normalizeAnswers(answers);
+      const problems = checkAnswers(normalized).filter(problem => /endpoint/i.test(problem));
+      if (problems.length === 0) {
+        if (normalized.endpoint.replace(/\/$/, '') !== answers.endpoint.replace(/\/$/, '')) {
+          console.log(`Using ${normalized.endpoint}`);
+        }
+        answers.endpoint = normalized.endpoint;
+        return;
+      }
+      problems.forEach(problem => console.log(problem));
+    }
+  }
+
+  // Ask one of a template's own questions, until the answer passes its check
+  async askTemplateQuestion(q) {
+    if (q.type === 'boolean') {
+      return this.confirm(q.prompt, q.default);
+    }
+    for (;;) {
+      const value = await this.question(q.prompt, (q.envVar && process.env[q.envVar]) || q.default);
+      const problem = q.check ? q.check(value) : null;
+      if (!problem) return value;
+      console.log(problem);
+    }
+  }
+
+  // Ask for env var values and store them in the user env file. Values
+  // already in the file are kept when the answer is left blank.
+  async askEnvFile(file, envVars, endpoint) {
+    const current = parseEnvFile(readTextFile(file));
+    const values = {};
+    for (const envVar of envVars) {
+      let value;
+      if (current[envVar]) {
+        value = await this.question(`  ${envVar} (blank keeps the current value)`);
+      } else if (envVar.endsWith('_ENDPOINT')) {
+        value = await this.question(`  ${envVar}`, endpoint);
+      } else {
+        value = await this.question(`  ${envVar} (blank to fill in later)`);
+      }
+      if (value) values[envVar] = value;
+    }
+    if (Object.keys(values).length > 0) {
+      writeEnvFile(file, values);
+      console.log(`✓ Saved ${Object.keys(values).join(', ')} to ${file}`);
+    }
+  }
+
+  // Ask for proxy and CA settings, defaulting to what the shell or
+  // wrapper.json already has
+  async askNetwork(answers) {
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('Network (proxy and TLS inspection):');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    const current = currentProxy();
+    if (await this.confirm('Does Crush need an HTTP(S) proxy to reach the endpoint?', !!current.proxy)) {
+      for (;;) {
+        answers.proxy = await this.question('Proxy URL (e.g., http://proxy.corp.com:8080)', current.proxy);
+        const problem = checkProxyUrl(answers.proxy);
+        if (!problem) break;
+        console.log(problem);
+      }
+      answers.noProxy = await this.question('Hosts that bypass the proxy (NO_PROXY)',
+        current.noProxy || 'localhost,127.0.0.1,::1');
+    } else if (current.proxy) {
+      answers.proxy = '';
+    }
+
+    const currentCA = process.env.SSL_CERT_FILE || '';
+    if (await this.confirm('Is TLS inspected with a corporate root CA?', !!currentCA)) {
+      for (;;) {
+        answers.caFile = await this.question('Path to the CA bundle (PEM)', currentCA);
+        const problem = checkCAFile(answers.caFile);
+        if (!problem) break;
+        console.log(problem);
+      }
+    }
+
+    // Model discovery and the rest of this run use the new settings too
+    if (answers.proxy !== undefined) {
+      ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy'].forEach(name => delete process.env[name]);
+      if (answers.proxy) process.env.HTTPS_PROXY = process.env.HTTP_PROXY = answers.proxy;
+    }
+    if (answers.noProxy !== undefined) {
+      delete process.env.no_proxy;
+      process.env.NO_PROXY = answers.noProxy;
+    }
+    if (answers.caFile) {
+      process.env.SSL_CERT_FILE = path.resolve(answers.caFile);
+    }
+  }
+
+  // Ask for "NAME<sep>value" lines until a blank one; returns them as an object
+  async askPairs(prompt, separator) {
+    const pairs = {};
+    for (;;) {
+      const line = await this.question(prompt);
+      if (!line) return pairs;
+      const at = line.indexOf(separator);
+      const name = at > 0 ? line.slice(0, at).trim() : '';
+      if (!name) {
+        console.log(`Enter it as NAME${separator === '=' ? '=' : ': '}value, or leave blank to finish.`);
+        continue;
+      }
+      pairs[name] = line.slice(at + 1).trim();
+    }
+  }
+
+  // Ask for one MCP server; returns its answers, or null to skip it
+  async askMcpServer(taken) {
+    const server = {};
+    for (;;) {
+      server.name = await this.question('Server name (e.g., tickets)');
+      if (!server.name) return null;
+      if (taken.includes(server.name)) console.log(`"${server.name}" was already added.`);
+      else if (!/^[A-Za-z0-9_.-]+$/.test(server.name)) console.log('Use letters, digits, ".", "-" and "_".');
+      else break;
+    }
+    server.type = (await this.select('How does Crush reach it?', [
+      { type: 'stdio', name: 'stdio - a local command Crush starts' },
+      { type: 'http', name: 'http - a streamable HTTP endpoint' },
+      { type: 'sse', name: 'sse - a server-sent events endpoint' }
+    ])).type;
+
+    if (server.type === 'stdio') {
+      for (;;) {
+        const [command, ...args] = splitCommandLine(await this.question('Command and arguments (e.g., npx -y @corp/tickets-mcp)'));
+        if (command) {
+          server.command = command;
+          if (args.length > 0) server.args = args;
+          break;
+        }
+        console.log('A command is required.');
+      }
+      const env = await this.askPairs('  Environment variable NAME=value (blank to finish)', '=');
+      if (Object.keys(env).length > 0) server.env = env;
+    } else {
+      for (;;) {
+        server.url = await this.question('Server URL (e.g., https://docs.corp.example/mcp)');
+        if (checkMcpAnswer(server, 'server').length === 0) break;
+        console.log('Enter an http:// or https:// URL.');
+      }
+      const headers = await this.askPairs('  Header Name: value (blank to finish)', ':');
+      if (Object.keys(headers).length > 0) server.headers = headers;
+    }
+
+    const { secrets } = buildMcpServer(server);
+    Object.keys(secrets).forEach(envVar => {
+      console.log(`  The secret will be stored as $${envVar} in ${USER_ENV_FILE}, not in crush.json`);
+    });
+    return server;
+  }
+
+  // Ask for MCP servers (internal ticketing, docs search, ...). Each stdio
+  // server is started once to check that it completes the handshake.
+  async askMcpServers(answers) {
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('MCP servers:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (!(await this.confirm('Connect MCP servers (internal tools such as ticketing or docs search)?', false))) return;
+    const servers = [];
+    do {
+      const server = await this.askMcpServer(servers.map(s => s.name));
+      if (!server) continue;
+      if (server.type === 'stdio') {
+        console.log(`Starting ${server.command} to check it...`);
+        try {
+          const info = await checkStdioServer(server, { env: mcpCheckEnv() });
+          console.log(`✓ ${info.name || server.name}${info.version ? ` ${info.version}` : ''} completed the MCP handshake`);
+        } catch (err) {
+          console.log(`✗ ${server.name}: ${err.message}`);
+          if (!(await this.confirm('Keep this server anyway?', false))) continue;
+        }
+      }
+      servers.push(server);
+    } while (await this.confirm('Add another MCP server?', false));
+    if (servers.length > 0) answers.mcpServers = servers;
+  }
+
+  // Detect language servers for the project in the current directory and
+  // offer to write them as explicit lsp entries. When a language has no
+  // server, other directories can be searched.
+  async askLanguageServers(answers) {
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('Language servers:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    const extraDirs = [];
+    let result = detectLanguageServers({ extraDirs });
+    if (result.languages.length === 0) {
+      console.log(`No known languages found in ${process.cwd()}; Crush keeps detecting servers itself (auto_lsp).`);
+      return;
+    }
+    printLanguageServers(result);
+    while (result.missing.length > 0 &&
+      await this.confirm('Search another directory for the missing servers?', false)) {
+      const dir = await this.question('Directory (e.g., /opt/devtools/bin)');
+      if (!dir) continue;
+      if (!fs.existsSync(expandHome(dir))) {
+        console.log(`${dir} does not exist.`);
+        continue;
+      }
+      extraDirs.push(dir);
+      result = detectLanguageServers({ extraDirs });
+      printLanguageServers(result);
+    }
+    if (result.servers.length === 0) {
+      console.log('Crush keeps detecting servers itself (auto_lsp).');
+      return;
+    }
+    if (result.servers.some(server => server.answer.project)) {
+      console.log(`Servers found outside PATH are written to ${path.basename(projectConfigFile())} in this project.`);
+    }
+    if (await this.confirm('Write these servers as lsp entries?', true)) {
+      answers.lspServers = result.servers.map(server => server.answer);
+    }
+  }
+
+  // Ask for a credential helper that supplies the provider's API key, and
+  // run it once so a broken command is caught now rather than at launch
+  async askCredentialHelper(answers, template) {
+    const envVar = envVarReference(template.config(answers).api_key);
+    if (!envVar) return;
+    const prompt = `Get short-lived tokens for $${envVar} from a credential helper command (e.g. for Entra ID)?`;
+    if (!(await this.confirm(prompt, false))) return;
+
+    for (;;) {
+      answers.credentialHelper = await this.question('Credential helper command');
+      if (!answers.credentialHelper) {
+        delete answers.credentialHelper;
+        return;
+      }
+      try {
+        const { token } = runCredentialHelper({ command: answers.credentialHelper });
+        // Only for model discovery in this run; the token is not saved
+        process.env[envVar] = token;
+        console.log('✓ The helper returned a token');
+        return;
+      } catch (err) {
+        console.log(`The helper failed: ${err.message}`);
+        if (!(await this.confirm('Enter a different command?', true))) return;
+      }
+    }
+  }
+
   async run() {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
@@ -169,17 +467,11 @@ class SetupWizard {
 ╚═══════════════════════════════════════════════════════════════╝
 `);
 
+    const answers = {};
+
     // Check existing config
-    let existingConfig = {};
     if (fs.existsSync(CONFIG_FILE)) {
-      const overwrite = await this.confirm('Existing configuration found. Overwrite?', false);
-      if (!overwrite) {
-        try {
-          existingConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-        } catch (e) {
-          console.log('Could not parse existing config, starting fresh.');
-        }
-      }
+      answers.merge = !(await this.confirm('Existing configuration found. Overwrite?', false));
     }
 
     // Select provider type
@@ -187,131 +479,84 @@ class SetupWizard {
     const providerOptions = providerKeys.map(k => ({ key: k, name: PROVIDER_TEMPLATES[k].name }));
     const selectedProvider = await this.select('Select your LLM provider:', providerOptions);
     const template = PROVIDER_TEMPLATES[selectedProvider.key];
+    answers.provider = selectedProvider.key;
 
     console.log(`\nConfiguring ${template.name}...\n`);
 
-    // Gather provider details
-    const answers = {};
-
-    // Endpoint URL
-    if (selectedProvider.key === 'ollama') {
-      answers.endpoint = await this.question('Ollama endpoint URL', 'http://localhost:11434/v1/');
-    } else {
-      answers.endpoint = await this.question('API endpoint URL (e.g., https://your-resource.openai.azure.com/)');
-      if (!answers.endpoint) {
-        console.log('Endpoint is required. Exiting.');
-        this.rl.close();
-        process.exit(1);
-      }
-      // Ensure endpoint ends with /
-      if (!answers.endpoint.endsWith('/')) {
-        answers.endpoint += '/';
-      }
+    // Endpoint URL and the template's own questions
+    await this.askEndpoint(answers, template);
+    for (const q of template.questions) {
+      answers[q.key] = await this.askTemplateQuestion(q);
     }
 
-    // Model/Deployment details
-    answers.deployment = await this.question('Model/Deployment ID', 'gpt-4');
-    answers.modelName = await this.question('Display name for model', answers.deployment);
-    answers.contextWindow = await this.question('Context window size', '128000');
-    answers.maxTokens = await this.question('Max output tokens', '4096');
+    // Proxy and CA, needed before the endpoint can be asked for its models
+    await this.askNetwork(answers);
 
-    // Build configuration
-    const config = {
-      ...OFFLINE_CONFIG,
-      ...existingConfig,
-      options: {
-        ...OFFLINE_CONFIG.options,
-        ...(existingConfig.options || {})
-      },
-      providers: {
-        ...(existingConfig.providers || {}),
-        [selectedProvider.key]: template.config(answers)
-      }
-    };
+    // Short-lived tokens from a credential helper instead of a static key
+    await this.askCredentialHelper(answers, template);
+
+    // Models, pre-filled from the endpoint when possible
+    const discovered = await this.discoverModels(template, answers);
+    const defaults = template.config(answers).models[0];
+    answers.models = [];
+    do {
+      answers.models.push(await this.askModel(template, discovered, defaults, answers.models));
+    } while (await this.confirm('Add another model for this provider?', false));
 
-    // Show environment variables needed
-    if (template.envVars.length > 0) {
+    // Large/small model selection
+    const modelIds = answers.models.map(m => m.id);
+    if (modelIds.length > 1) {
+      answers.large = await this.select('Model for main tasks (large):', modelIds);
+      answers.small = await this.select('Model for summaries and titles (small):', modelIds);
+    }
+
+    // Show environment variables needed; a credential helper supplies the API key
+    const helperVar = answers.credentialHelper ? envVarReference(template.config(answers).api_key) : null;
+    const envVars = templateEnvVars(template, answers).filter(envVar => envVar !== helperVar);
+    if (envVars.length > 0) {
       console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('Environment variables required:');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
       
-      template.envVars.forEach(envVar => {
+      envVars.forEach(envVar => {
         console.log(`  ${envVar}=<your-api-key>`);
       });
 
-      console.log('\nAdd these to your shell profile (~/.bashrc, ~/.zshrc) or set them before running Crush.');
-      
-      // Generate shell export commands
-      console.log('\n# Copy these commands:');
-      if (process.platform === 'win32') {
-        template.envVars.forEach(envVar => {
-          console.log(`$env:${envVar}="your-api-key-here"`);
-        });
+      const envFile = USER_ENV_FILE;
+      if (await this.confirm(`\nSave them to ${envFile} (readable only by you) so crush loads them automatically?`, true)) {
+        await this.askEnvFile(envFile, envVars, answers.endpoint);
       } else {
-        template.envVars.forEach(envVar => {
-          console.log(`export ${envVar}="your-api-key-here"`);
-        });
+        console.log('\nAdd these to your shell profile (~/.bashrc, ~/.zshrc) or set them before running Crush.');
+
+        // Generate shell export commands
+        console.log('\n# Copy these commands:');
+        const shell = defaultShell();
+        envVars.forEach(envVar => console.log(shellAssignment(shell, envVar, 'your-api-key-here')));
       }
     }
 
+    // Internal tools over MCP
+    await this.askMcpServers(answers);
+
+    // Language servers for the project in the current directory
+    await this.askLanguageServers(answers);
+
     // Ask about additional offline settings
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('Additional offline settings:');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
-    const disableFetch = await this.confirm('Disable web fetch tool (recommended for air-gap)?', true);
-    const disableSourcegraph = await this.confirm('Disable Sourcegraph tool?', true);
-
-    if (disableFetch || disableSourcegraph) {
-      config.options.disabled_tools = [];
-      if (disableFetch) config.options.disabled_tools.push('fetch');
-      if (disableSourcegraph) config.options.disabled_tools.push('sourcegraph');
+    answers.disabledTools = [];
+    if (await this.confirm('Disable web fetch tool (recommended for air-gap)?', true)) {
+      answers.disabledTools.push('fetch');
     }
-
-    // Save configuration
-    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('Configuration preview:');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-    console.log(JSON.stringify(config, null, 2));
-
-    const saveConfig = await this.confirm('\nSave this configuration?', true);
-
-    if (saveConfig) {
-      // Ensure config directory exists
-      if (!fs.existsSync(CONFIG_DIR)) {
-        fs.mkdirSync(CONFIG_DIR, { recursive: true });
-      }
-
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-      console.log(`\n✓ Configuration saved to: ${CONFIG_FILE}`);
-
-      // Also offer to save project-local config
-      const saveLocal = await this.confirm('Also save to current directory (crush.json)?', false);
-      if (saveLocal) {
-        fs.writeFileSync('crush.json', JSON.stringify(config, null, 2));
-        console.log('✓ Configuration saved to: ./crush.json');
-      }
+    if (await this.confirm('Disable Sourcegraph tool?', true)) {
+      answers.disabledTools.push('sourcegraph');
     }
 
-    // Generate .env file
-    const generateEnv = await this.confirm('\nGenerate .env.example file with required variables?', true);
-    if (generateEnv) {
-      let envContent = '# Crush environment variables for offline/enterprise use\n\n';
-      envContent += '# Disable telemetry and auto-updates\n';
-      envContent += 'CRUSH_DISABLE_METRICS=1\n';
-      envContent += 'CRUSH_DISABLE_PROVIDER_AUTO_UPDATE=1\n';
-      envContent += 'DO_NOT_TRACK=1\n\n';
-      
-      if (template.envVars.length > 0) {
-        envContent += `# ${template.name} credentials\n`;
-        template.envVars.forEach(envVar => {
-          envContent += `${envVar}=\n`;
-        });
-      }
+    answers.localSchema = await this.confirm('Point $schema at the bundled local schema (editor validation offline)?', true);
 
-      fs.writeFileSync('.env.example', envContent);
-      console.log('✓ Generated .env.example');
-    }
+    await provision(answers, { confirm: (prompt, defaultYes) => this.confirm(prompt, defaultYes), error: reportFailure });
 
     console.log(`
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -330,99 +575,981 @@ For more configuration options, see:
   }
 }
 
+// Print an error that fails the command without stopping it, e.g. for
+// provision() when a file next to the config could not be written
+function reportFailure(message) {
+  console.error(message);
+  process.exitCode = 1;
+}
+
 // Quick setup mode - non-interactive
 async function quickSetup(args) {
-  const providerType = args[0] || 'azure-foundry';
-  const endpoint = args[1];
-  const deployment = args[2] || 'gpt-4';
-
-  if (!endpoint) {
-    console.error('Usage: crush-setup quick <provider-type> <endpoint> [deployment]');
+  if (args.length === 0) {
+    console.error('Usage: crush-setup quick <provider-type> <endpoint> [model[,model...]] [options]');
+    console.error('       crush-setup quick --answers answers.json [options]');
     console.error('');
-    console.error('Provider types: azure-openai, azure-foundry, openai-compat, ollama');
+    console.error('Provider types: ' + Object.keys(PROVIDER_TEMPLATES).join(', '));
     console.error('');
     console.error('Example:');
-    console.error('  crush-setup quick azure-foundry https://my-resource.openai.azure.com/ gpt-4');
+    console.error('  crush-setup quick azure-foundry https://my-resource.openai.azure.com/ o3-mini,gpt-4o-mini --reasoning o3-mini');
+    console.error('');
+    console.error('Run "crush-setup help" for all options.');
     process.exit(1);
   }
 
-  const template = PROVIDER_TEMPLATES[providerType];
-  if (!template) {
-    console.error(`Unknown provider type: ${providerType}`);
-    console.error('Valid types: ' + Object.keys(PROVIDER_TEMPLATES).join(', '));
+  const { positional, flags } = parseArgs(args, [...QUICK_VALUE_FLAGS, ...TEMPLATE_VALUE_FLAGS]);
+  const { answers, errors } = answersFromFlags(positional, flags);
+  errors.push(...checkAnswers(normalizeAnswers(answers)));
+  if (errors.length > 0) {
+    console.error('Invalid setup answers:');
+    errors.forEach(error => console.error(`  - ${error}`));
     process.exit(1);
   }
 
-  const config = {
-    ...OFFLINE_CONFIG,
-    providers: {
-      [providerType]: template.config({ endpoint, deployment, modelName: deployment })
+  // Local stdio MCP servers must complete the handshake before they are saved
+  const stdioServers = (answers.mcpServers || []).filter(server => buildMcpServer(server).config.type === 'stdio');
+  if (!flags['skip-mcp-check'] && stdioServers.length > 0) {
+    let failed = false;
+    for (const server of stdioServers) {
+      try {
+        const info = await checkStdioServer(server, { env: mcpCheckEnv() });
+        console.log(`✓ MCP server ${server.name}: ${info.name || server.command}${info.version ? ` ${info.version}` : ''}`);
+      } catch (err) {
+        console.error(`✗ MCP server ${server.name}: ${err.message}`);
+        failed = true;
+      }
     }
-  };
+    if (failed) {
+      console.error('Fix the command or pass --skip-mcp-check to save it anyway.');
+      process.exit(1);
+    }
+  }
 
-  // Ensure config directory exists
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  // Language servers found for the project, after those in the answers file
+  if (flags['detect-lsp'] || flags['lsp-dir'] !== undefined) {
+    const result = detectLanguageServers({ extraDirs: [].concat(flags['lsp-dir'] ?? []).filter(dir => typeof dir === 'string') });
+    if (result.languages.length === 0) {
+      console.log(`No known languages found in ${process.cwd()}; no lsp entries added.`);
+    } else {
+      printLanguageServers(result);
+      const given = (answers.lspServers || []).map(server => server.name);
+      const found = result.servers.map(server => server.answer).filter(server => !given.includes(server.name));
+      if (given.length + found.length > 0) answers.lspServers = [...(answers.lspServers || []), ...found];
+    }
   }
 
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-  console.log(`Configuration saved to: ${CONFIG_FILE}`);
-  console.log('');
-  console.log('Required environment variables:');
-  template.envVars.forEach(v => console.log(`  ${v}`));
+  if (!(await provision(answers, { error: reportFailure }))) {
+    process.exit(1);
+  }
+
+  const envVars = templateEnvVars(PROVIDER_TEMPLATES[answers.provider], normalizeAnswers(answers));
+  if (envVars.length > 0) {
+    console.log('');
+    console.log('Required environment variables:');
+    envVars.forEach(v => console.log(`  ${v}`));
+  }
 }
 
-// Show current config
-function showConfig() {
-  if (fs.existsSync(CONFIG_FILE)) {
-    console.log(`Configuration file: ${CONFIG_FILE}\n`);
-    console.log(fs.readFileSync(CONFIG_FILE, 'utf8'));
+// The environment the crush wrapper starts Crush with, for checking the
+// policy as it will be checked at launch
+function launchEnv() {
+  return { ...process.env, ...getWrapperEnv().vars };
+}
+
+// Print the policy status after a config listing
+function printPolicyStatus(status) {
+  if (!status) {
+    console.log(`\nPolicy: none (${getPolicyFile()} does not exist)`);
+    return;
+  }
+  if (status.error) {
+    console.log(`\nPolicy: ✗ ${status.error}`);
+    console.log('  The crush wrapper will not start Crush until the policy file is fixed.');
+    return;
+  }
+  console.log(`\nPolicy: ${status.file} (mode: ${status.mode})`);
+  if (status.violations.length === 0) {
+    console.log('  ✓ The effective configuration complies');
+    return;
+  }
+  status.violations.forEach(v => {
+    const action = status.mode === 'enforce' && v.enforceable ? 'enforced at launch' : 'Crush will not start';
+    console.log(`  ✗ ${v.path} ${v.problem} (${action})`);
+    if (v.source) console.log(`      set in ${v.source}`);
+  });
+}
+
+// Show current config: the global file, or with --effective the merged
+// result of every layer with the source of each value. Secrets are redacted.
+function showConfig(args = []) {
+  const { flags } = parseArgs(args);
+  if (rejectUnknownFlags(flags, ['effective', 'json'])) return;
+
+  const layers = loadConfigLayers();
+  if (!flags.effective) {
+    const layer = layers.find(l => l.name === 'global');
+    if (!layer) {
+      console.log('No configuration file found.');
+      console.log(`Expected location: ${globalConfigFile()}`);
+      return;
+    }
+    if (layer.error) {
+      console.error(`Could not parse ${layer.file}: ${layer.error}`);
+      process.exitCode = 1;
+      return;
+    }
+    const config = redactSecrets(layer.config);
+    if (flags.json) {
+      console.log(JSON.stringify({ configFile: layer.file, config, policy: policyStatus(launchEnv()) }, null, 2));
+      return;
+    }
+    console.log(`Configuration file: ${layer.file}\n`);
+    console.log(JSON.stringify(config, null, 2));
+    const others = layers.filter(l => l.name !== 'global');
+    if (others.length > 0) {
+      console.log(`\nAlso applied here: ${others.map(l => l.file).join(', ')} (see: crush-setup show --effective)`);
+    }
+    printPolicyStatus(policyStatus(launchEnv()));
+    return;
+  }
+
+  const { config, sources } = mergeConfigLayers(layers);
+  const redacted = redactSecrets(config);
+  const envOverrides = ENV_OVERRIDES.filter(o => Object.values(sources).includes(`env ${o.env}`)).map(o => o.env);
+
+  if (flags.json) {
+    console.log(JSON.stringify({
+      layers: [
+        ...layers.map(({ name, file, error }) => (error ? { name, file, error } : { name, file })),
+        ...envOverrides.map(env => ({ name: 'env', variable: env }))
+      ],
+      config: redacted,
+      sources,
+      policy: policyStatus(launchEnv())
+    }, null, 2));
   } else {
-    console.log('No configuration file found.');
-    console.log(`Expected location: ${CONFIG_FILE}`);
+    console.log('Layers (later ones win):');
+    if (layers.length === 0 && envOverrides.length === 0) console.log('  (none; no configuration file found)');
+    layers.forEach(l => console.log(`  ${l.name.padEnd(8)} ${l.file}${l.error ? `  (ignored, invalid JSON: ${l.error})` : ''}`));
+    envOverrides.forEach(env => console.log(`  ${'env'.padEnd(8)} ${env}`));
+    console.log('');
+
+    const rows = [];
+    const walk = (value, at) => {
+      if (at in sources) {
+        const leaves = value && typeof value === 'object' ? flatten(value, at) : [[at, value]];
+        leaves.forEach(([p, v]) => rows.push([p.slice(2), JSON.stringify(v), sources[at]]));
+        return;
+      }
+      Object.entries(value || {}).forEach(([key, child]) => walk(child, jsonPath(at, key)));
+    };
+    const flatten = (value, at) => {
+      const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+      if (entries.length === 0) return [[at, value]];
+      return entries.flatMap(([key, child]) =>
+        child && typeof child === 'object' ? flatten(child, jsonPath(at, key)) : [[jsonPath(at, key), child]]);
+    };
+    walk(redacted, '$');
+
+    const width = Math.min(70, Math.max(0, ...rows.map(([p, v]) => p.length + v.length + 3)));
+    rows.forEach(([p, v, source]) => {
+      const ref = envVarReference(JSON.parse(v));
+      const note = ref ? `; $${ref} ${process.env[ref] ? 'is set' : 'is not set'}` : '';
+      console.log(`${`${p} = ${v}`.padEnd(width)}  # ${source}${note}`);
+    });
+    printPolicyStatus(policyStatus(launchEnv()));
+  }
+
+  if (layers.some(l => l.error)) {
+    process.exitCode = 1;
   }
 }
 
-// Print env vars for shell
-function printEnv() {
-  const isWindows = process.platform === 'win32';
-  
-  console.log('# Crush offline environment variables');
-  console.log('# Add these to your shell profile or run before starting Crush\n');
-  
-  if (isWindows) {
-    console.log('# PowerShell:');
-    console.log('$env:CRUSH_DISABLE_METRICS="1"');
-    console.log('$env:CRUSH_DISABLE_PROVIDER_AUTO_UPDATE="1"');
-    console.log('$env:DO_NOT_TRACK="1"');
+// How a variable the config references is already provided, or null
+function envVarSource(name, helperVars, envFileVars) {
+  if (helperVars.includes(name)) return 'supplied by a credential helper';
+  if (process.env[name] === undefined) return null;
+  return envFileVars[name] === process.env[name] ? 'set in an env file the crush wrapper loads' : 'already set';
+}
+
+// Print the variables Crush needs in a shell's syntax: the offline settings,
+// those from wrapper.json, and every $VAR referenced by the providers of the
+// effective config, with the ones already provided commented out
+function printEnv(args = []) {
+  const { flags } = parseArgs(args, ['shell']);
+  if (rejectUnknownFlags(flags, ['shell'])) return;
+  const shell = flags.shell === undefined ? defaultShell() : flags.shell;
+  if (!ENV_SHELLS.includes(shell)) {
+    console.error(`Unknown shell "${shell}" (valid: ${ENV_SHELLS.join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const layers = loadConfigLayers();
+  layers.filter(l => l.error).forEach(l => console.error(`Warning: could not parse ${l.file}: ${l.error}`));
+  const envVars = configEnvVars(mergeConfigLayers(layers).config);
+  const wrapperVars = { ...getNetworkEnv(), ...getProviderEnv() };
+  const helperVars = getCredentialHelpers().map(helper => helper.env);
+  const envFileVars = loadEnvFiles().vars;
+  const comment = text => console.log(shell === 'cmd' ? `REM ${text}` : `# ${text}`);
+  const assign = (name, value) => console.log(shellAssignment(shell, name, value));
+
+  comment('Crush offline environment variables');
+  comment(shell === 'dotenv'
+    ? `Save as ${USER_ENV_FILE} (readable only by you) for the crush wrapper to load`
+    : 'Add these to your shell profile or run before starting Crush');
+  console.log('');
+  comment('Disable telemetry and auto-updates');
+  Object.entries(OFFLINE_ENV).forEach(([name, value]) => assign(name, value));
+
+  if (Object.keys(wrapperVars).length > 0) {
     console.log('');
-    console.log('# For Azure AI Foundry:');
-    console.log('$env:AZURE_AI_FOUNDRY_API_KEY="your-key-here"');
+    comment('Proxy, CA and provider settings the crush wrapper sets');
+    Object.entries(wrapperVars).forEach(([name, value]) => assign(name, value));
+  }
+
+  if (envVars.length > 0) {
+    console.log('');
+    comment('Referenced by the configured providers and MCP servers');
+    envVars.forEach(({ name, usedBy }) => {
+      const source = envVarSource(name, helperVars, envFileVars);
+      if (source) {
+        comment(`${name} (${usedBy.join(', ')}): ${source}`);
+      } else {
+        comment(`${name} (${usedBy.join(', ')}): not set`);
+        assign(name, shell === 'dotenv' ? '' : 'your-value-here');
+      }
+    });
+  }
+}
+
+// Diagnose the installation and configuration
+function doctor(args) {
+  const report = doctorReport();
+  const { checks, summary } = report;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
   } else {
-    console.log('# Bash/Zsh:');
-    console.log('export CRUSH_DISABLE_METRICS=1');
-    console.log('export CRUSH_DISABLE_PROVIDER_AUTO_UPDATE=1');
-    console.log('export DO_NOT_TRACK=1');
+    const icons = { pass: '✓', warn: '!', fail: '✗' };
+    console.log('Crush doctor\n');
+    checks.forEach(check => {
+      console.log(`  ${icons[check.status]} ${check.title}: ${check.message}`);
+    });
+    const warnings = summary.warn === 1 ? 'warning' : 'warnings';
+    console.log(`\n${summary.pass} passed, ${summary.warn} ${warnings}, ${summary.fail} failed`);
+  }
+
+  if (summary.fail > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Split CLI arguments into positionals and flags. Flags named in
+// `valueFlags` take a value ("--name value" or "--name=value"); others are
+// boolean. A flag given more than once collects its values in an array.
+function parseArgs(args, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq >= 0 ? eq : undefined);
+    let value = true;
+    if (eq >= 0) {
+      value = arg.slice(eq + 1);
+    } else if (valueFlags.includes(name)) {
+      value = args[++i];
+    }
+    flags[name] = name in flags ? [].concat(flags[name], value) : value;
+  }
+  return { positional, flags };
+}
+
+// Print what language server detection found: each language with the
+// server for it and where it was found, or the servers that were looked for
+function printLanguageServers({ languages, servers, missing }) {
+  const sources = { project: 'project node_modules/.bin', extra: 'extra directory', PATH: 'PATH' };
+  console.log(`Languages in ${process.cwd()}: ${languages.join(', ')}`);
+  servers.forEach(({ answer, path: file, source }) => {
+    console.log(`  ✓ ${answer.name}: ${[file, ...answer.args].join(' ')} (${sources[source]})`);
+  });
+  missing.forEach(language => {
+    const commands = LANGUAGES[language].servers.map(server => server.command);
+    console.log(`  ✗ ${language}: ${commands.join(', ')} not found`);
+  });
+}
+
+// Environment for checking MCP servers: the shell's plus what the crush
+// wrapper adds, so $VAR references in a server's env resolve as at launch
+function mcpCheckEnv() {
+  return { ...process.env, ...getWrapperEnv().vars };
+}
+
+// Test connectivity and authentication of configured providers
+async function testProviders(args) {
+  const { positional, flags } = parseArgs(args, ['timeout', 'ca-file']);
+  const timeout = parseFloat(flags.timeout || '30') * 1000;
+  const caFile = flags['ca-file'];
+  const only = positional[0];
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    console.error(`Could not read ${CONFIG_FILE}: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!Object.keys(config.providers || {}).some(name => !only || name === only)) {
+    console.error(only ? `Provider "${only}" is not configured.` : 'No providers configured.');
+    process.exit(1);
+  }
+
+  // Fill in tokens from credential helpers, as the crush wrapper would
+  const tokens = getHelperTokens();
+  Object.assign(process.env, tokens.vars);
+  tokens.errors.forEach(({ helper, message }) => {
+    console.error(`Warning: credential helper for ${helper.provider} ($${helper.env}) failed: ${message}`);
+  });
+
+  let ca;
+  try {
+    ca = loadCA(caFile);
+  } catch (err) {
+    console.error(`Could not read CA bundle: ${err.message}`);
+    process.exit(1);
+  }
+
+  const icons = { pass: '✓', warn: '!', fail: '✗' };
+  const results = await probeProviders(config, {
+    only,
+    timeout,
+    ca,
+    onResult: ({ name, result }) => console.log(`${icons[result.status]} ${name} [${result.category}]: ${result.message}`),
+  });
+  if (results.some(({ result }) => result.status === 'fail')) {
+    process.exitCode = 1;
+  }
+}
+
+// Validate config files against the bundled schema
+function validateCommand(args) {
+  const { positional, flags } = parseArgs(args);
+  let files;
+  if (positional.length > 0) {
+    files = positional.map(file => path.resolve(file));
+  } else {
+    const project = PROJECT_CONFIG_FILES.map(name => path.resolve(name)).filter(file => fs.existsSync(file));
+    files = [];
+    if (!flags.project) files.push(CONFIG_FILE);
+    if (!flags.global) files.push(...project);
+  }
+
+  let failed = false;
+  for (const file of files) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.log(formatIssues(file, [{
+        path: '$',
+        problem: err.code === 'ENOENT' ? 'file does not exist' : `invalid JSON: ${err.message}`,
+        suggestion: err.code === 'ENOENT' ? 'run crush-setup to create it' : 'fix the JSON syntax'
+      }]));
+      failed = true;
+      continue;
+    }
+    const issues = validateConfig(config);
+    if (issues.length > 0) {
+      console.log(formatIssues(file, issues));
+      failed = failed || blockingIssues(issues).length > 0;
+    } else {
+      console.log(`${file}: valid`);
+    }
+  }
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+// The config file a management command works on: the global config, or
+// with --project the project config in the current directory
+function configTarget(flags) {
+  return flags.project ? projectConfigFile() : CONFIG_FILE;
+}
+
+// Show the diff for a config change and write it once confirmed (or with
+// --yes); see applyConfigChange in lib/changes.js. Returns true when saved.
+async function saveConfigChange(file, before, after, flags, { validate = true } = {}) {
+  const confirm = async () => {
+    if (!process.stdin.isTTY) {
+      console.error('\nNot saved: pass --yes to apply changes without a prompt.');
+      process.exitCode = 1;
+      return false;
+    }
+    const wizard = new SetupWizard();
+    const ok = await wizard.confirm('\nApply this change?', true);
+    wizard.rl.close();
+    if (!ok) console.log('Not saved.');
+    return ok;
+  };
+  const { saved, reason } = await applyConfigChange(file, before, after, { validate, confirm: flags.yes ? null : confirm });
+  if (reason === 'invalid') process.exitCode = 1;
+  return saved;
+}
+
+// Load the target config for a management command, exiting on bad JSON
+function loadTarget(flags) {
+  const file = configTarget(flags);
+  try {
+    return { file, config: readConfigFile(file) };
+  } catch (err) {
+    console.error(`Could not parse ${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Flags of `provider` and `model` that take a value
+const PROVIDER_VALUE_FLAGS = [
+  'name', 'endpoint', 'api-key', 'type', 'display-name', 'model', 'context-window', 'max-tokens',
+  'reasoning', 'large', 'small', 'credential-helper', ...TEMPLATE_VALUE_FLAGS
+];
+const MODEL_VALUE_FLAGS = [
+  'name', 'context-window', 'max-tokens', 'cost-in', 'cost-out', 'cost-in-cached', 'cost-out-cached'
+];
+
+// Report unknown options; returns true when there were any
+function rejectUnknownFlags(flags, allowed) {
+  const unknown = Object.keys(flags).filter(name => !allowed.includes(name));
+  unknown.forEach(name => console.error(`Unknown option --${name}`));
+  if (unknown.length > 0) process.exitCode = 1;
+  return unknown.length > 0;
+}
+
+// Save a provider's credential helper in wrapper.json and say so
+function reportCredentialHelper(providerName, envVar, command) {
+  try {
+    const file = saveCredentialHelper(providerName, envVar, command);
+    console.log(command
+      ? `✓ Credential helper for $${envVar} saved to ${file}`
+      : `✓ Credential helper for ${providerName} removed from ${file}`);
+  } catch (err) {
+    console.error(`Could not update credential helpers: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Report the problems that stopped a config edit (see lib/manage.js)
+function reportEditErrors(file, errors) {
+  console.error(`${file} was not changed:`);
+  errors.forEach(error => console.error(`  - ${error}`));
+  process.exitCode = 1;
+}
+
+// crush-setup provider list|add|remove|edit
+async function providerCommand(args) {
+  const { positional, flags } = parseArgs(args, PROVIDER_VALUE_FLAGS);
+  const [action, ...rest] = positional;
+  const common = ['project', 'yes'];
+  const { file, config } = loadTarget(flags);
+  const providers = (config && config.providers) || {};
+
+  switch (action) {
+    case 'list':
+    case undefined: {
+      if (rejectUnknownFlags(flags, common)) return;
+      const names = Object.keys(providers);
+      if (names.length === 0) {
+        console.log(`No providers configured in ${file}`);
+        return;
+      }
+      console.log(`Providers in ${file}:\n`);
+      const rows = names.map(name => {
+        const provider = providers[name];
+        const count = (provider.models || []).length;
+        const used = selectionsUsing(config, name);
+        return [name, provider.type || '?', provider.base_url || '(no base_url)',
+          `${count} model${count === 1 ? '' : 's'}${used.length ? `  [${used.join(', ')}]` : ''}`];
+      });
+      const widths = [0, 1, 2].map(col => Math.max(...rows.map(row => row[col].length)));
+      rows.forEach(row => console.log(`  ${row.map((cell, col) => col < 3 ? cell.padEnd(widths[col]) : cell).join('  ')}`));
+      return;
+    }
+
+    case 'add': {
+      const allowed = [...common, 'name', 'api-key', 'model', 'context-window', 'max-tokens', 'reasoning', 'large', 'small',
+        'credential-helper', ...TEMPLATE_FLAGS];
+      if (rejectUnknownFlags(flags, allowed)) return;
+      const [type, endpoint, modelList] = rest;
+      if (!type) {
+        console.error('Usage: crush-setup provider add <type> [endpoint] [model[,model...]] [--name <key>] [options]');
+        process.exitCode = 1;
+        return;
+      }
+      const name = flags.name || type;
+      const answers = { provider: type, endpoint };
+      const modelIds = listFlag(flags.model || modelList);
+      if (modelIds.length > 0) answers.models = modelIds.map(id => ({ id, name: id }));
+      if (flags.large) answers.large = flags.large;
+      if (flags.small) answers.small = flags.small;
+      const errors = [];
+      applyTemplateFlags(PROVIDER_TEMPLATES[type], flags, answers, errors);
+      applyModelFlags(answers, flags, errors);
+
+      // Select the new models only when asked to, or when nothing is selected yet
+      const base = config || (flags.project ? {} : OFFLINE_CONFIG);
+      const select = Boolean(flags.large || flags.small || (!flags.project && !(base.models && base.models.large)));
+      const result = addProvider(base, name, answers, { apiKey: flags['api-key'], select });
+      errors.push(...result.errors);
+      if (errors.length > 0) {
+        reportEditErrors(file, errors);
+        return;
+      }
+      const envVar = envVarReference(result.config.providers[name].api_key);
+      if (flags['credential-helper'] && !envVar) {
+        console.error('--credential-helper needs an api_key of the form $VAR to put the token in');
+        process.exitCode = 1;
+        return;
+      }
+      if (!(await saveConfigChange(file, config, result.config, flags))) return;
+      if (flags['credential-helper']) {
+        reportCredentialHelper(name, envVar, flags['credential-helper']);
+      }
+      return;
+    }
+
+    case 'remove': {
+      if (rejectUnknownFlags(flags, common)) return;
+      const name = rest[0];
+      if (!name) {
+        console.error('Usage: crush-setup provider remove <name>');
+        process.exitCode = 1;
+        return;
+      }
+      const result = removeProvider(config, name);
+      if (result.errors.length > 0) {
+        reportEditErrors(file, result.errors);
+        return;
+      }
+      if (await saveConfigChange(file, config, result.config, flags) &&
+          getCredentialHelpers().some(helper => helper.provider === name)) {
+        reportCredentialHelper(name, null, '');
+      }
+      return;
+    }
+
+    case 'edit': {
+      const allowed = [...common, 'endpoint', 'api-key', 'type', 'display-name', 'credential-helper'];
+      if (rejectUnknownFlags(flags, allowed)) return;
+      const name = rest[0];
+      if (!name) {
+        console.error('Usage: crush-setup provider edit <name> [options]');
+        process.exitCode = 1;
+        return;
+      }
+      const result = editProvider(config, name, {
+        endpoint: flags.endpoint,
+        apiKey: flags['api-key'],
+        type: flags.type,
+        displayName: flags['display-name'],
+      });
+      if (result.errors.length > 0) {
+        reportEditErrors(file, result.errors);
+        return;
+      }
+
+      const helper = flags['credential-helper'];
+      const envVar = envVarReference(result.config.providers[name].api_key);
+      if (helper && !envVar) {
+        console.error('--credential-helper needs an api_key of the form $VAR to put the token in');
+        process.exitCode = 1;
+        return;
+      }
+      const changed = JSON.stringify(result.config) !== JSON.stringify(config);
+      const saved = changed && await saveConfigChange(file, config, result.config, flags);
+      if (helper !== undefined && (saved || !changed)) {
+        reportCredentialHelper(name, envVar, helper);
+      }
+      return;
+    }
+
+    default:
+      console.error(`Unknown provider command "${action}" (use list, add, remove or edit)`);
+      process.exitCode = 1;
+  }
+}
+
+// crush-setup model list|add|remove|set-default
+async function modelCommand(args) {
+  const { positional, flags } = parseArgs(args, MODEL_VALUE_FLAGS);
+  const [action, providerName, modelId] = positional;
+  const common = ['project', 'yes'];
+  const { file, config } = loadTarget(flags);
+  const providers = (config && config.providers) || {};
+
+  if (action === 'list' || action === undefined) {
+    if (rejectUnknownFlags(flags, common)) return;
+    const names = Object.keys(providers).filter(name => !providerName || name === providerName);
+    if (names.length === 0) {
+      console.log(providerName ? `Provider "${providerName}" is not configured in ${file}` : `No providers configured in ${file}`);
+      return;
+    }
+    for (const name of names) {
+      console.log(`${name}:`);
+      const models = providers[name].models || [];
+      if (models.length === 0) console.log('  (no models)');
+      for (const model of models) {
+        const traits = [
+          model.context_window ? `${model.context_window} tokens` : null,
+          model.can_reason ? 'reasoning' : null,
+          model.supports_attachments ? 'attachments' : null
+        ].filter(Boolean);
+        const used = selectionsUsing(config, name, model.id);
+        console.log(`  ${model.id}${model.name && model.name !== model.id ? ` (${model.name})` : ''}` +
+          `${traits.length ? ` - ${traits.join(', ')}` : ''}${used.length ? `  [${used.join(', ')}]` : ''}`);
+      }
+    }
+    return;
+  }
+
+  if (!['add', 'remove', 'set-default'].includes(action)) {
+    console.error(`Unknown model command "${action}" (use list, add, remove or set-default)`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!providerName || !modelId) {
+    console.error(`Usage: crush-setup model ${action} <provider> <model-id> [options]`);
+    process.exitCode = 1;
+    return;
+  }
+  let result;
+  switch (action) {
+    case 'add': {
+      const allowed = [...common, 'name', 'context-window', 'max-tokens', 'reasoning', 'attachments', 'no-attachments',
+        'cost-in', 'cost-out', 'cost-in-cached', 'cost-out-cached'];
+      if (rejectUnknownFlags(flags, allowed)) return;
+      const answer = {
+        id: modelId,
+        name: flags.name || modelId,
+        contextWindow: flags['context-window'],
+        maxTokens: flags['max-tokens'],
+        canReason: flags.reasoning ? true : undefined,
+        supportsAttachments: flags['no-attachments'] ? false : flags.attachments ? true : undefined,
+        costIn: flags['cost-in'],
+        costOut: flags['cost-out'],
+        costInCached: flags['cost-in-cached'],
+        costOutCached: flags['cost-out-cached']
+      };
+      Object.keys(answer).forEach(key => answer[key] === undefined && delete answer[key]);
+      result = addModel(config, providerName, answer);
+      break;
+    }
+
+    case 'remove':
+      if (rejectUnknownFlags(flags, common)) return;
+      result = removeModel(config, providerName, modelId);
+      break;
+
+    case 'set-default': {
+      if (rejectUnknownFlags(flags, [...common, 'large', 'small'])) return;
+      const kinds = flags.large || flags.small ? ['large', 'small'].filter(kind => flags[kind]) : ['large'];
+      result = setDefaultModel(config, providerName, modelId, kinds);
+      break;
+    }
+  }
+
+  if (result.errors.length > 0) {
+    reportEditErrors(file, result.errors);
+    return;
+  }
+  await saveConfigChange(file, config, result.config, flags);
+}
+
+// crush-setup restore [--list|<timestamp>]: roll the global config back to
+// a backup (the newest one when no timestamp is given)
+async function restoreCommand(args) {
+  const { positional, flags } = parseArgs(args);
+  if (rejectUnknownFlags(flags, ['list', 'yes'])) return;
+
+  if (flags.list) {
+    const backups = listBackups();
+    if (backups.length === 0) {
+      console.log(`No backups of ${CONFIG_FILE}`);
+      return;
+    }
+    console.log(`Backups of ${CONFIG_FILE} (newest first):\n`);
+    backups.forEach(backup => {
+      const size = fs.statSync(backup.file).size;
+      console.log(`  ${backup.timestamp}  ${size} bytes`);
+    });
+    return;
+  }
+
+  const wanted = positional[0];
+  const backup = findBackup(wanted);
+  if (!backup) {
+    console.error(wanted
+      ? `No backup "${wanted}" (see: crush-setup restore --list)`
+      : `No backups of ${CONFIG_FILE} to restore.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let restored;
+  try {
+    restored = readConfigFile(backup.file);
+  } catch (err) {
+    console.error(`Could not parse backup ${backup.file}: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  let current = null;
+  try {
+    current = readConfigFile(CONFIG_FILE);
+  } catch {
+    // A corrupt config is exactly what a restore is for; diff against the raw text
+  }
+
+  console.log(`Restoring backup ${backup.timestamp}\n`);
+  if (await saveConfigChange(CONFIG_FILE, current, restored, flags, { validate: false })) {
+    console.log('The replaced configuration was backed up as well; restore it the same way.');
+  }
+}
+
+// Turn the audit log on or off, query it and export it
+function auditCommand(args) {
+  const [sub = 'list', ...rest] = args;
+  const filterFlags = ['since', 'until', 'user', 'repo', 'provider'];
+  const { flags } = parseArgs(rest, [...filterFlags, 'limit', 'format', 'output', 'path', 'max-size', 'max-files']);
+
+  if (sub === 'enable' || sub === 'disable') {
+    if (rejectUnknownFlags(flags, sub === 'enable' ? ['path', 'max-size', 'max-files'] : [])) return;
+    const updates = { enabled: sub === 'enable' };
+    if (flags.path !== undefined) {
+      updates.path = flags.path === true || flags.path === '' ? null : path.resolve(flags.path);
+    }
+    for (const [flag, key, integer] of [['max-size', 'max_size_mb', false], ['max-files', 'max_files', true]]) {
+      if (flags[flag] === undefined) continue;
+      const value = Number(flags[flag]);
+      if (!(value > 0) || (integer && !Number.isInteger(value))) {
+        console.error(`--${flag} must be a positive ${integer ? 'whole number' : 'number'}`);
+        process.exitCode = 1;
+        return;
+      }
+      updates[key] = value;
+    }
+    try {
+      const file = saveAuditSettings(updates);
+      const settings = getAuditSettings();
+      console.log(settings.enabled
+        ? `✓ Audit log enabled in ${file}: ${settings.file} (rotated at ${Math.round(settings.maxBytes / 1024 / 10.24) / 100} MB, ${settings.maxFiles} old files kept)`
+        : `✓ Audit log disabled in ${file}; existing entries in ${settings.file} are kept`);
+    } catch (err) {
+      console.error(`Could not update audit settings: ${err.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (sub !== 'list' && sub !== 'export') {
+    console.error(`Unknown audit command "${sub}" (use list, export, enable or disable)`);
+    process.exitCode = 1;
+    return;
+  }
+  const allowed = sub === 'list' ? [...filterFlags, 'limit', 'json'] : [...filterFlags, 'format', 'output'];
+  if (rejectUnknownFlags(flags, allowed)) return;
+
+  let filter;
+  try {
+    filter = auditEntryFilter(flags);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+  const settings = getAuditSettings();
+  let entries;
+  try {
+    const log = readAuditLog(settings);
+    if (log.invalid > 0) console.error(`Warning: skipped ${log.invalid} unreadable line${log.invalid === 1 ? '' : 's'} in ${settings.file}`);
+    entries = log.entries.filter(filter);
+  } catch (err) {
+    console.error(`Could not read audit log: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (sub === 'export') {
+    const format = flags.format || 'jsonl';
+    if (!['jsonl', 'csv'].includes(format)) {
+      console.error(`Unknown format "${format}" (use jsonl or csv)`);
+      process.exitCode = 1;
+      return;
+    }
+    const text = formatAuditEntries(entries, format);
+    if (typeof flags.output === 'string') {
+      writeFileAtomic(flags.output, text, 0o600);
+      console.error(`✓ Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} to ${flags.output}`);
+    } else {
+      process.stdout.write(text);
+    }
+    return;
+  }
+
+  const limit = flags.limit === undefined ? 20 : parseInt(flags.limit, 10);
+  const shown = limit > 0 ? entries.slice(-limit) : entries;
+  if (flags.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  console.log(`Audit log: ${settings.file} (${settings.enabled ? 'enabled' : 'disabled; enable with: crush-setup audit enable'})`);
+  if (shown.length === 0) {
+    console.log('\nNo matching entries.');
+    return;
+  }
+  console.log(`\nShowing ${shown.length} of ${entries.length} matching entr${entries.length === 1 ? 'y' : 'ies'}, oldest first:\n`);
+  shown.forEach(entry => {
+    const outcome = entry.error ? `error: ${entry.error}` : entry.signal ? `signal ${entry.signal}` : `exit ${entry.exit_code}`;
+    const seconds = typeof entry.duration_ms === 'number' ? `${(entry.duration_ms / 1000).toFixed(1)}s` : '?';
+    const model = entry.provider ? `${entry.provider}/${entry.model}` : '(no model configured)';
+    console.log(`  ${entry.timestamp}  ${entry.user || '?'}  ${outcome}  ${seconds}  ${model}`);
+    console.log(`    ${entry.git_remote || entry.cwd}${entry.args && entry.args.length ? `  crush ${entry.args.join(' ')}` : ''}`);
+  });
+}
+
+// Add the mock server to the target config as the `mock` provider, selected
+// when no model is selected yet, with its key (if any) in the user env file
+async function configureMockProvider(baseUrl, fixture, flags) {
+  const { file, config } = loadTarget(flags);
+  const provider = mockProviderConfig(baseUrl, fixture);
+  const base = config || (flags.project ? {} : OFFLINE_CONFIG);
+  const updated = { ...base, providers: { ...(base.providers || {}), mock: provider } };
+  const selected = !flags.project && !(base.models && base.models.large);
+  if (selected) {
+    updated.models = { ...(base.models || {}), ...buildModelSelection('mock', fixture.models[0].id) };
+  }
+
+  const proxy = currentProxy();
+  const conflict = localProxyConflict(baseUrl, proxy.proxy, proxy.noProxy);
+  if (conflict) console.log(`! ${conflict}`);
+
+  // The key goes to the env file only when the config refers to it: once the
+  // change is saved, or when the config already had it
+  const current = Boolean(config) && JSON.stringify(config) === JSON.stringify(updated);
+  const saved = await saveConfigChange(file, config, updated, flags);
+  if (fixture.api_key && (saved || current)) {
+    writeEnvFile(USER_ENV_FILE, { [MOCK_API_KEY_ENV]: fixture.api_key });
+    console.log(`✓ Saved ${MOCK_API_KEY_ENV} to ${USER_ENV_FILE}`);
+  }
+  if (saved && !selected) {
+    console.log(`Crush still uses the selected models; switch with: crush-setup model set-default mock ${fixture.models[0].id}`);
+  }
+}
+
+// crush-setup mock-server: serve an OpenAI-compatible mock endpoint until
+// interrupted, scripted by --fixture, optionally adding it to the config
+async function mockServerCommand(args) {
+  const { flags } = parseArgs(args, ['port', 'host', 'fixture']);
+  if (rejectUnknownFlags(flags, ['port', 'host', 'fixture', 'configure', 'project', 'yes'])) return;
+  const port = flags.port === undefined ? DEFAULT_MOCK_PORT : Number(flags.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`--port must be a port number, not "${flags.port}"`);
+    process.exitCode = 1;
+    return;
+  }
+  const host = typeof flags.host === 'string' && flags.host ? flags.host : '127.0.0.1';
+
+  let fixture = DEFAULT_FIXTURE;
+  if (flags.fixture) {
+    try {
+      fixture = loadFixture(flags.fixture);
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const server = createMockServer(fixture, {
+    onRequest: r => console.log(`${r.method} ${r.path} → ${r.status}${r.model ? ` ${r.model}` : ''}${r.stream ? ' (stream)' : ''} ${r.ms}ms`)
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (err) {
+    console.error(`Could not start the mock server on ${host}:${port}: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // A wildcard address is reached through loopback
+  const connectHost = ['0.0.0.0', '::'].includes(host) ? '127.0.0.1' : host;
+  const root = `http://${connectHost.includes(':') ? `[${connectHost}]` : connectHost}:${server.address().port}/`;
+  console.log(`Mock OpenAI-compatible server listening on ${root}v1/`);
+  console.log(`  Models: ${fixture.models.map(model => model.id).join(', ')}`);
+  console.log(`  Azure OpenAI: ${root} (deployments are the model IDs)`);
+  if (fixture.api_key) console.log(`  API key required: ${fixture.api_key}`);
+  if (flags.configure) {
     console.log('');
-    console.log('# For Azure AI Foundry:');
-    console.log('export AZURE_AI_FOUNDRY_API_KEY="your-key-here"');
+    await configureMockProvider(`${root}v1/`, fixture, flags);
   }
+  console.log('\nPress Ctrl-C to stop.\n');
+}
+
+// Add the variables the crush wrapper gives Crush (env files, proxy and CA
+// settings) to this process, so key checks and test requests see what Crush
+// will see. Variables already set in the shell win.
+function applyWrapperEnv() {
+  Object.assign(process.env, getWrapperEnv().vars);
 }
 
 // Main
 async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
+  applyWrapperEnv();
 
   switch (command) {
     case 'quick':
       await quickSetup(args.slice(1));
       break;
     case 'show':
-      showConfig();
+      showConfig(args.slice(1));
       break;
     case 'env':
-      printEnv();
+      printEnv(args.slice(1));
+      break;
+    case 'doctor':
+      doctor(args.slice(1));
+      break;
+    case 'test':
+      await testProviders(args.slice(1));
+      break;
+    case 'validate':
+      validateCommand(args.slice(1));
+      break;
+    case 'provider':
+      await providerCommand(args.slice(1));
+      break;
+    case 'model':
+      await modelCommand(args.slice(1));
+      break;
+    case 'restore':
+      await restoreCommand(args.slice(1));
+      break;
+    case 'audit':
+      auditCommand(args.slice(1));
+      break;
+    case 'mock-server':
+      await mockServerCommand(args.slice(1));
       break;
     case 'help':
     case '--help':
@@ -432,21 +1559,131 @@ Crush Offline Setup
 
 Usage:
   crush-setup              Run interactive setup wizard
-  crush-setup quick <type> <endpoint> [deployment]
-                           Quick non-interactive setup
-  crush-setup show         Show current configuration
-  crush-setup env          Print environment variables for shell
+  crush-setup quick <type> <endpoint> [model[,model...]] [options]
+  crush-setup quick --answers <file> [options]
+                           Non-interactive setup (see options below)
+  crush-setup show [--effective] [--json]
+                           Show the configuration (secrets redacted); --effective
+                           merges global, project and environment layers
+  crush-setup env [--shell bash|zsh|fish|powershell|cmd|dotenv]
+                           Print the environment variables the config needs
+  crush-setup doctor [--json]
+                           Check the installation and configuration
+  crush-setup test [provider] [--timeout <seconds>] [--ca-file <file>]
+                           Send a test request to configured providers
+  crush-setup validate [file...] [--global|--project]
+                           Check configs against the bundled schema
+  crush-setup provider list|add|remove|edit [args] [--project] [--yes]
+                           Manage providers in an existing config
+  crush-setup model list|add|remove|set-default [args] [--project] [--yes]
+                           Manage a provider's models
+  crush-setup restore [--list|<timestamp>] [--yes]
+                           Roll the config back to a backup (newest by default)
+  crush-setup audit [list|export|enable|disable] [options]
+                           Query the audit log of Crush runs, or turn it on/off
+  crush-setup mock-server [--port <n>] [--host <addr>] [--fixture <file>] [--configure]
+                           Serve a local mock OpenAI-compatible endpoint for
+                           offline testing; --configure adds it as provider "mock"
   crush-setup help         Show this help
 
+Options for quick setup:
+  --answers <file>         Read answers from a JSON file (flags override it)
+  --provider, --endpoint, --model <id[,id...]>
+                           Same as the positional arguments
+  --context-window <n>     Context window for every model, overriding the
+                           answers file (the default model without --model)
+  --max-tokens <n>         Max output tokens for every model, likewise
+  --large <id>, --small <id>
+                           Models for main tasks and for summaries
+  --reasoning <id[,id...]> Mark models as reasoning models
+  --disable-tools <t,...>  Tools to disable (e.g. fetch,sourcegraph; none)
+  --merge | --replace      Merge into the existing config (default) or replace it
+  --local-copy             Also write ./crush.json
+  --env-example            Also write ./.env.example
+  --local-schema           Point $schema at the bundled local schema
+  --force                  Replace an existing ./crush.json or ./.env.example
+  --proxy <url>            HTTP(S) proxy for Crush (empty value removes it)
+  --no-proxy <hosts>       Hosts that bypass the proxy (e.g. localhost,.corp.com)
+  --ca-file <file>         Corporate root CA bundle (PEM) for TLS inspection
+  --credential-helper <cmd>
+                           Command that prints a short-lived token for the
+                           provider's API key (empty value removes it)
+  --mcp <name>=<command|url>
+                           Add an MCP server: a command line starts a stdio
+                           server, an http(s) URL is a streamable HTTP server
+  --mcp-sse <name>=<url>   Add an MCP server reached over server-sent events
+  --mcp-env <name>:<VAR>=<value>
+                           Environment variable for a stdio MCP server
+  --mcp-header <name>:<Header>=<value>
+                           HTTP header for an http or sse MCP server
+                           (secret values are stored as $MCP_<NAME>_<HEADER>
+                           in ~/.config/crush/env)
+  --skip-mcp-check         Don't start stdio MCP servers to check the handshake
+  --detect-lsp             Find language servers for the languages in the
+                           current directory and write them as lsp entries
+                           (those outside PATH to the project's crush.json)
+  --lsp-dir <dir>          Also search this directory for language servers
+                           (repeatable; implies --detect-lsp; see also
+                           $CRUSH_LSP_DIRS)
+
+Provider-specific options (quick setup and provider add):
+  --api-version <date>     azure-openai: API version, saved as the provider's
+                           extra_params.apiVersion (default: 2024-10-21)
+  --api-key-required[=false]
+                           vllm: the server was started with --api-key;
+                           litellm: the gateway needs a key (default: true)
+  --bearer-auth            anthropic-compat: send the key as
+                           "Authorization: Bearer" as well as x-api-key
+
+Provider and model management:
+  provider list
+  provider add <type> [endpoint] [model[,model...]] [--name <key>] [--api-key <value>]
+               [--context-window <n>] [--max-tokens <n>] [--reasoning <id,...>]
+               [--large <id>] [--small <id>] [--credential-helper <cmd>]
+               [provider-specific options]
+  provider remove <name>
+  provider edit <name> [--endpoint <url>] [--api-key <value>] [--type <type>]
+               [--display-name <name>] [--credential-helper <cmd>]
+  model list [provider]
+  model add <provider> <id> [--name <name>] [--context-window <n>] [--max-tokens <n>]
+            [--reasoning] [--attachments|--no-attachments] [--cost-in <n>] [--cost-out <n>]
+            [--cost-in-cached <n>] [--cost-out-cached <n>]
+  model remove <provider> <id>
+  model set-default <provider> <id> [--large] [--small]   (default: --large)
+
+  Changes are shown as a diff and applied after confirmation; --yes skips
+  the prompt. --project edits ./crush.json (or ./.crush.json) instead of
+  the global config.
+
+Audit log:
+  audit enable [--path <file>] [--max-size <MB>] [--max-files <n>]
+  audit disable
+  audit list [--limit <n>] [--json] [filters]       (default: last 20 entries)
+  audit export [--format jsonl|csv] [--output <file>] [filters]
+
+  Filters: --since <date>, --until <date>, --user <name>, --repo <text>
+  (matched against the git remote and directory), --provider <name>
+
 Provider types for quick setup:
-  azure-openai    Azure OpenAI Service
-  azure-foundry   Azure AI Foundry (recommended)
-  openai-compat   Any OpenAI-compatible API
-  ollama          Local Ollama instance
+  azure-openai      Azure OpenAI Service (resource endpoint)
+  azure-foundry     Azure AI Foundry (recommended; /openai/v1/ is added to
+                    Azure resource hosts)
+  openai-compat     Any OpenAI-compatible API
+  ollama            Local Ollama instance (default http://localhost:11434/v1/)
+  vllm              vLLM server (default http://localhost:8000/v1/)
+  lmstudio          Local LM Studio server (default http://localhost:1234/v1/)
+  litellm           LiteLLM gateway (default http://localhost:4000/v1/)
+  anthropic-compat  Anthropic Messages API or a compatible proxy
+
+  Local and gateway endpoints get /v1/ appended when it is missing.
 
 Examples:
   crush-setup quick azure-foundry https://my-ai.azure.com/ gpt-4
+  crush-setup quick azure-openai https://my-ai.openai.azure.com/ gpt-4o --api-version 2025-01-01-preview
   crush-setup quick ollama http://localhost:11434/v1/ llama3:70b
+  crush-setup quick vllm http://gpu01:8000 Qwen/Qwen2.5-Coder-32B-Instruct --api-key-required
+  crush-setup quick ollama http://localhost:11434/v1/ llama3:70b --mcp "tickets=npx -y @corp/tickets-mcp" \\
+    --mcp docs=https://docs.corp.example/mcp --mcp-header "docs:Authorization=Bearer <token>"
 `);
       break;
     default:
@@ -455,4 +1692,9 @@ Examples:
   }
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  });
+}
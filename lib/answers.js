@@ -0,0 +1,224 @@
+/**
+ * Setup answers from `crush-setup quick` arguments: an optional answers
+ * file, overridden by positionals and flags
+ */
+
+const fs = require('fs');
+
+const { PROVIDER_TEMPLATES } = require('./config');
+
+// Flags of `quick` that take a value, and those that are on or off
+const QUICK_VALUE_FLAGS = [
+  'answers', 'provider', 'endpoint', 'model', 'context-window', 'max-tokens',
+  'large', 'small', 'reasoning', 'disable-tools', 'proxy', 'no-proxy', 'ca-file', 'credential-helper',
+  'mcp', 'mcp-sse', 'mcp-env', 'mcp-header', 'lsp-dir'
+];
+const QUICK_BOOLEAN_FLAGS = [
+  'merge', 'replace', 'local-copy', 'env-example', 'local-schema', 'force', 'skip-mcp-check', 'detect-lsp'
+];
+
+// Flags for the templates' own questions, e.g. --api-version
+const TEMPLATE_QUESTIONS = Object.values(PROVIDER_TEMPLATES).flatMap(template => template.questions);
+const TEMPLATE_FLAGS = [...new Set(TEMPLATE_QUESTIONS.map(q => q.flag))];
+const TEMPLATE_VALUE_FLAGS = [...new Set(TEMPLATE_QUESTIONS.filter(q => q.type !== 'boolean').map(q => q.flag))];
+
+/**
+ * Split a comma-separated flag value (or repeated flags) into a list
+ */
+function listFlag(value) {
+  return [].concat(value || []).join(',').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Split a command line into words the way a POSIX shell would for simple
+ * cases: whitespace separates words, quotes group them and a backslash
+ * escapes the next character outside single quotes
+ */
+function splitCommandLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < line.length) word += line[++i];
+      else word += ch;
+    } else if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = word || '';
+      if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === '\\' && i + 1 < line.length) word += line[++i];
+      else word += ch;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * Apply --context-window, --max-tokens and --reasoning to the models in
+ * answers, overriding values from an answers file. Without a model list they
+ * apply to the template's default model, which normalizeAnswers would
+ * otherwise add. Problems are added to `errors`.
+ */
+function applyModelFlags(answers, flags, errors) {
+  const template = PROVIDER_TEMPLATES[answers.provider];
+  const noModels = answers.models === undefined || (Array.isArray(answers.models) && answers.models.length === 0);
+  if (template && noModels && ['context-window', 'max-tokens', 'reasoning'].some(flag => flags[flag] !== undefined)) {
+    answers.models = [{ id: template.defaultModel }];
+  }
+  const models = Array.isArray(answers.models) ? answers.models : [];
+
+  for (const [flag, key] of [['context-window', 'contextWindow'], ['max-tokens', 'maxTokens']]) {
+    if (flags[flag] !== undefined) {
+      models.forEach(model => { model[key] = flags[flag]; });
+    }
+  }
+  for (const id of listFlag(flags.reasoning)) {
+    const model = models.find(m => m.id === id);
+    if (model) model.canReason = true;
+    else errors.push(`--reasoning model "${id}" is not in the model list`);
+  }
+}
+
+/**
+ * Apply --mcp name=<command line|URL> and --mcp-sse name=URL, then
+ * --mcp-env name:VAR=value and --mcp-header name:Header=value, adding to
+ * any servers from the answers file
+ */
+function applyMcpFlags(flags, answers, errors) {
+  const servers = Array.isArray(answers.mcpServers) ? answers.mcpServers : [];
+  const split = (value, separator) => {
+    const at = value.indexOf(separator);
+    return at > 0 ? [value.slice(0, at).trim(), value.slice(at + 1).trim()] : [null, value];
+  };
+
+  for (const flag of ['mcp', 'mcp-sse']) {
+    for (const value of [].concat(flags[flag] ?? [])) {
+      const [name, target] = typeof value === 'string' ? split(value, '=') : [null];
+      if (!name || !target) {
+        errors.push(`--${flag} must be given as name=${flag === 'mcp' ? '<command or URL>' : '<URL>'}`);
+      } else if (flag === 'mcp-sse') {
+        servers.push({ name, type: 'sse', url: target });
+      } else if (/^https?:\/\//i.test(target)) {
+        servers.push({ name, type: 'http', url: target });
+      } else {
+        const [command, ...args] = splitCommandLine(target);
+        servers.push(args.length > 0 ? { name, type: 'stdio', command, args } : { name, type: 'stdio', command });
+      }
+    }
+  }
+
+  for (const [flag, key] of [['mcp-env', 'env'], ['mcp-header', 'headers']]) {
+    for (const value of [].concat(flags[flag] ?? [])) {
+      const [name, pair] = typeof value === 'string' ? split(value, ':') : [null];
+      const [field, fieldValue] = name ? split(pair, '=') : [null];
+      const server = servers.find(s => s.name === name);
+      if (!field) {
+        errors.push(`--${flag} must be given as server:NAME=value`);
+      } else if (!server) {
+        errors.push(`--${flag}: no MCP server named "${name}"`);
+      } else {
+        server[key] = { ...(server[key] || {}), [field]: fieldValue };
+      }
+    }
+  }
+  if (servers.length > 0) answers.mcpServers = servers;
+}
+
+/**
+ * Apply flags for the provider template's own questions to answers. Boolean
+ * questions take --flag, or --flag=false to answer no. A flag that belongs
+ * to another template is reported.
+ */
+function applyTemplateFlags(template, flags, answers, errors) {
+  for (const flag of TEMPLATE_FLAGS.filter(name => flags[name] !== undefined)) {
+    const q = template && template.questions.find(question => question.flag === flag);
+    if (!q) {
+      if (template) errors.push(`--${flag} does not apply to ${template.name}`);
+      continue;
+    }
+    const value = flags[flag];
+    if (q.type !== 'boolean') {
+      if (typeof value === 'string') answers[q.key] = value;
+      else errors.push(`--${flag} needs a value`);
+    } else if (value === true || /^(true|yes|1)$/i.test(value)) {
+      answers[q.key] = true;
+    } else if (/^(false|no|0)$/i.test(value)) {
+      answers[q.key] = false;
+    } else {
+      errors.push(`--${flag} must be true or false`);
+    }
+  }
+}
+
+/**
+ * Build answers from parsed `quick` arguments: positionals are
+ * [provider, endpoint, models] and flags maps each flag name (without the
+ * dashes) to its value, or to an array when it was repeated. The answers
+ * file named by the `answers` flag is read first. Returns
+ * { answers, errors }; the answers are not checked beyond the flags.
+ */
+function answersFromFlags(positional, flags) {
+  const errors = Object.keys(flags)
+    .filter(name => !QUICK_VALUE_FLAGS.includes(name) && !QUICK_BOOLEAN_FLAGS.includes(name) && !TEMPLATE_FLAGS.includes(name))
+    .map(name => `Unknown option --${name}`);
+
+  let answers = {};
+  if (flags.answers) {
+    try {
+      answers = JSON.parse(fs.readFileSync(flags.answers, 'utf8'));
+    } catch (err) {
+      errors.push(`Could not read answers file ${flags.answers}: ${err.message}`);
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      errors.push(`Answers file ${flags.answers} must contain a JSON object`);
+      answers = {};
+    }
+  }
+
+  answers.provider = flags.provider || positional[0] || answers.provider || 'azure-foundry';
+  answers.endpoint = flags.endpoint || positional[1] || answers.endpoint;
+  applyTemplateFlags(PROVIDER_TEMPLATES[answers.provider], flags, answers, errors);
+
+  const modelIds = listFlag(flags.model || positional[2]);
+  if (modelIds.length > 0) {
+    answers.models = modelIds.map(id => ({ id, name: id }));
+  }
+  applyModelFlags(answers, flags, errors);
+
+  if (flags.large) answers.large = flags.large;
+  if (flags.small) answers.small = flags.small;
+  if (flags['disable-tools'] !== undefined) {
+    answers.disabledTools = listFlag(flags['disable-tools']).filter(tool => tool !== 'none');
+  }
+  if (flags.merge) answers.merge = true;
+  if (flags.replace) answers.merge = false;
+  if (flags['local-copy']) answers.localCopy = true;
+  if (flags['env-example']) answers.envExample = true;
+  if (flags['local-schema']) answers.localSchema = true;
+  if (flags.force) answers.force = true;
+  if (flags.proxy !== undefined) answers.proxy = flags.proxy;
+  if (flags['no-proxy'] !== undefined) answers.noProxy = flags['no-proxy'];
+  if (flags['ca-file'] !== undefined) answers.caFile = flags['ca-file'];
+  if (flags['credential-helper'] !== undefined) answers.credentialHelper = flags['credential-helper'];
+  applyMcpFlags(flags, answers, errors);
+
+  return { answers, errors };
+}
+
+module.exports = {
+  QUICK_VALUE_FLAGS,
+  QUICK_BOOLEAN_FLAGS,
+  TEMPLATE_FLAGS,
+  TEMPLATE_VALUE_FLAGS,
+  listFlag,
+  splitCommandLine,
+  applyModelFlags,
+  applyMcpFlags,
+  applyTemplateFlags,
+  answersFromFlags,
+};
@@ -0,0 +1,299 @@
+/**
+ * Opt-in audit log: one JSON line per Crush run, for compliance records of
+ * when, where and with which provider Crush was used
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CONFIG_DIR, expandHome, readWrapperConfig } = require('./paths');
+const { SECRET_KEY_PATTERN, loadConfigLayers, mergeConfigLayers } = require('./config');
+
+// Audit log defaults; settings live in the `audit` key of wrapper.json
+const DEFAULT_AUDIT_LOG = path.join(CONFIG_DIR, 'audit.log');
+const DEFAULT_AUDIT_MAX_SIZE_MB = 10;
+const DEFAULT_AUDIT_MAX_FILES = 5;
+const GIT_TIMEOUT_MS = 2000;
+
+/**
+ * Audit settings from wrapper.json: { enabled, file, maxBytes, maxFiles }.
+ * A relative path is resolved against the config directory. maxFiles is the
+ * number of rotated files (audit.log.1, audit.log.2, ...) kept.
+ */
+function getAuditSettings() {
+  const audit = readWrapperConfig().audit || {};
+  const positive = (value, fallback) => (typeof value === 'number' && value > 0 ? value : fallback);
+  return {
+    enabled: audit.enabled === true,
+    file: typeof audit.path === 'string' && audit.path
+      ? path.resolve(CONFIG_DIR, expandHome(audit.path))
+      : DEFAULT_AUDIT_LOG,
+    maxBytes: Math.round(positive(audit.max_size_mb, DEFAULT_AUDIT_MAX_SIZE_MB) * 1024 * 1024),
+    maxFiles: Math.floor(positive(audit.max_files, DEFAULT_AUDIT_MAX_FILES)) || 1,
+  };
+}
+
+/**
+ * Remove credentials from a URL: user:password@ and token@ prefixes
+ */
+function stripUrlCredentials(value) {
+  return value.replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/@\s]+@/i, '$1');
+}
+
+/**
+ * Crush's arguments as recorded in the log. Values of secret-looking flags
+ * are replaced, URL credentials stripped, and prompts (the positional
+ * arguments of `crush run`) reduced to their length so no code or
+ * conversation ends up in the log.
+ */
+function redactArgs(args) {
+  const redacted = [];
+  let inRun = false;
+  let secretValueNext = false;
+  for (const arg of args) {
+    if (secretValueNext) {
+      redacted.push('<redacted>');
+      secretValueNext = false;
+      continue;
+    }
+    const flag = /^--?([^=]+)(=.*)?$/.exec(arg);
+    if (flag && arg !== '-' && arg !== '--') {
+      if (SECRET_KEY_PATTERN.test(flag[1].replace(/-/g, '_'))) {
+        if (flag[2]) {
+          redacted.push(`${arg.slice(0, arg.indexOf('=') + 1)}<redacted>`);
+        } else {
+          redacted.push(arg);
+          secretValueNext = true;
+        }
+      } else if (flag[2]) {
+        const at = arg.indexOf('=') + 1;
+        redacted.push(arg.slice(0, at) + stripUrlCredentials(arg.slice(at)));
+      } else {
+        redacted.push(arg);
+      }
+      continue;
+    }
+    if (inRun) {
+      redacted.push(`<prompt, ${arg.length} chars>`);
+      continue;
+    }
+    if (arg === 'run') {
+      inRun = true;
+    }
+    redacted.push(stripUrlCredentials(arg));
+  }
+  return redacted;
+}
+
+/**
+ * URL of the origin remote of the git repository containing cwd, or null
+ */
+function getGitRemote(cwd) {
+  const result = spawnSync('git', ['config', '--get', 'remote.origin.url'], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: GIT_TIMEOUT_MS,
+    windowsHide: true,
+  });
+  const remote = result.status === 0 ? result.stdout.trim() : '';
+  return remote ? stripUrlCredentials(remote) : null;
+}
+
+/**
+ * Provider and model Crush will use for main tasks, from the merged config
+ * layers in cwd
+ */
+function getConfiguredModel() {
+  const { config } = mergeConfigLayers(loadConfigLayers());
+  const large = (config.models && config.models.large) || {};
+  return { provider: large.provider || null, model: large.model || null };
+}
+
+/**
+ * Current user name, without failing on systems with no passwd entry
+ */
+function getUserName() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || process.env.USERNAME || null;
+  }
+}
+
+/**
+ * Start an audit entry for a run of Crush with the given arguments, or
+ * return null when auditing is off. Pass it to finishAuditEntry() once Crush
+ * exits.
+ */
+function startAuditEntry(args, cwd = process.cwd()) {
+  const settings = getAuditSettings();
+  if (!settings.enabled) {
+    return null;
+  }
+  const { provider, model } = getConfiguredModel();
+  return {
+    settings,
+    startedAt: Date.now(),
+    record: {
+      timestamp: new Date().toISOString(),
+      user: getUserName(),
+      host: os.hostname(),
+      cwd,
+      git_remote: getGitRemote(cwd),
+      args: redactArgs(args),
+      provider,
+      model,
+    },
+  };
+}
+
+/**
+ * Rotate the log when appending `incoming` bytes would take it over the
+ * size limit: audit.log becomes audit.log.1, audit.log.1 becomes .2, and so
+ * on, dropping the oldest beyond maxFiles
+ */
+function rotateAuditLog(settings, incoming) {
+  let size;
+  try {
+    size = fs.statSync(settings.file).size;
+  } catch {
+    return;
+  }
+  if (size === 0 || size + incoming <= settings.maxBytes) {
+    return;
+  }
+  fs.rmSync(`${settings.file}.${settings.maxFiles}`, { force: true });
+  for (let i = settings.maxFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${settings.file}.${i}`)) {
+      fs.renameSync(`${settings.file}.${i}`, `${settings.file}.${i + 1}`);
+    }
+  }
+  fs.renameSync(settings.file, `${settings.file}.1`);
+}
+
+/**
+ * Complete an entry from startAuditEntry() with how Crush ended
+ * ({ code, signal } or { error }) and append it to the log
+ */
+function finishAuditEntry(entry, outcome) {
+  const record = {
+    ...entry.record,
+    exit_code: outcome.code ?? null,
+    signal: outcome.signal || null,
+    duration_ms: Date.now() - entry.startedAt,
+  };
+  if (outcome.error) {
+    record.error = outcome.error;
+  }
+  const line = `${JSON.stringify(record)}\n`;
+  fs.mkdirSync(path.dirname(entry.settings.file), { recursive: true });
+  rotateAuditLog(entry.settings, Buffer.byteLength(line));
+  fs.appendFileSync(entry.settings.file, line, { mode: 0o600 });
+  return record;
+}
+
+/**
+ * The log and its rotated files that exist, oldest first
+ */
+function getAuditLogFiles(settings = getAuditSettings()) {
+  const rotated = [];
+  for (let i = settings.maxFiles; i >= 1; i--) {
+    rotated.push(`${settings.file}.${i}`);
+  }
+  return [...rotated, settings.file].filter(file => fs.existsSync(file));
+}
+
+/**
+ * All entries in the log, oldest first. Returns { entries, invalid } where
+ * invalid counts lines that are not valid JSON (e.g. cut off by a crash).
+ */
+function readAuditLog(settings = getAuditSettings()) {
+  const entries = [];
+  let invalid = 0;
+  for (const file of getAuditLogFiles(settings)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        invalid++;
+      }
+    }
+  }
+  return { entries, invalid };
+}
+
+/**
+ * A filter for audit entries from { since, until, user, repo, provider }
+ * (the `crush-setup audit` flags): dates are anything Date.parse takes, and
+ * repo matches part of the git remote or the directory. Throws when a date
+ * doesn't parse.
+ */
+function auditEntryFilter(filters = {}) {
+  const dateFilter = name => {
+    if (filters[name] === undefined) {
+      return null;
+    }
+    const time = Date.parse(filters[name]);
+    if (Number.isNaN(time)) {
+      throw new Error(`--${name} "${filters[name]}" is not a date (e.g. 2025-01-31 or 2025-01-31T09:00:00Z)`);
+    }
+    return time;
+  };
+  const since = dateFilter('since');
+  const until = dateFilter('until');
+  const repo = typeof filters.repo === 'string' ? filters.repo.toLowerCase() : null;
+  return (entry) => {
+    const time = Date.parse(entry.timestamp);
+    if (since !== null && !(time >= since)) return false;
+    if (until !== null && !(time <= until)) return false;
+    if (typeof filters.user === 'string' && entry.user !== filters.user) return false;
+    if (typeof filters.provider === 'string' && entry.provider !== filters.provider) return false;
+    if (repo && ![entry.git_remote, entry.cwd].some(v => typeof v === 'string' && v.toLowerCase().includes(repo))) return false;
+    return true;
+  };
+}
+
+/**
+ * Columns of the CSV export
+ */
+const AUDIT_CSV_COLUMNS = [
+  'timestamp', 'user', 'host', 'cwd', 'git_remote', 'provider', 'model',
+  'args', 'exit_code', 'signal', 'duration_ms', 'error',
+];
+
+/**
+ * Quote a value for CSV when it contains a separator, quote or newline
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Entries as an export file: 'jsonl' (one JSON object per line, as in the
+ * log) or 'csv' (AUDIT_CSV_COLUMNS, with a header line)
+ */
+function formatAuditEntries(entries, format = 'jsonl') {
+  if (format === 'csv') {
+    const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(key => csvField(entry[key])).join(','));
+    return `${[AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+  }
+  return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+module.exports = {
+  DEFAULT_AUDIT_LOG,
+  getAuditSettings,
+  redactArgs,
+  startAuditEntry,
+  finishAuditEntry,
+  getAuditLogFiles,
+  readAuditLog,
+  auditEntryFilter,
+  AUDIT_CSV_COLUMNS,
+  formatAuditEntries,
+};
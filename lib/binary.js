@@ -0,0 +1,474 @@
+/**
+ * Locating, verifying and caching the platform-specific Crush binary
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  CONFIG_DIR,
+  WRAPPER_CONFIG_FILE,
+  getCacheDir,
+  expandHome,
+  readWrapperConfig,
+} = require('./paths');
+
+const PACKAGE_SCOPE = '@offlinecli/crush';
+const DISGUISED_NAME = 'crush.bin';
+const MANIFEST_NAME = 'manifest.json';
+
+// Supported targets, shared with scripts/build.sh. Add new targets there.
+const PLATFORMS = require('../bin/platforms.json');
+
+/**
+ * Detect the C library on Linux ('glibc' or 'musl'); null elsewhere
+ */
+let detectedLibc;
+function detectLibc() {
+  if (detectedLibc !== undefined) {
+    return detectedLibc;
+  }
+  if (process.platform !== 'linux') {
+    detectedLibc = null;
+  } else {
+    try {
+      // Node reports the glibc version it runs against; musl builds have none
+      const header = process.report.getReport().header;
+      detectedLibc = header.glibcVersionRuntime ? 'glibc' : 'musl';
+    } catch {
+      // Fall back to looking for the musl dynamic loader
+      try {
+        detectedLibc = fs.readdirSync('/lib').some((f) => f.startsWith('ld-musl-')) ? 'musl' : 'glibc';
+      } catch {
+        detectedLibc = 'glibc';
+      }
+    }
+  }
+  return detectedLibc;
+}
+
+/**
+ * Get the platform table keys that can run here, best match first.
+ * On musl, the -musl variant is preferred over the glibc build.
+ */
+function getPlatformCandidates() {
+  const libc = detectLibc();
+  const matches = Object.keys(PLATFORMS).filter((key) => {
+    const entry = PLATFORMS[key];
+    return entry.os === process.platform && entry.cpu === process.arch;
+  });
+  return matches
+    .filter((key) => !PLATFORMS[key].libc || PLATFORMS[key].libc === libc)
+    .concat(matches.filter((key) => PLATFORMS[key].libc && PLATFORMS[key].libc !== libc));
+}
+
+/**
+ * Get the platform-specific package name
+ */
+function getPlatformPackage() {
+  const candidates = getPlatformCandidates();
+  const key = candidates.length > 0 ? candidates[0] : `${process.platform}-${process.arch}`;
+  return `${PACKAGE_SCOPE}-${key}`;
+}
+
+/**
+ * Get the correct binary name for this platform
+ */
+function getBinaryName() {
+  return process.platform === 'win32' ? 'crush.exe' : 'crush';
+}
+
+/**
+ * Create an error signalling that a binary failed verification
+ */
+function integrityError(message, file) {
+  const err = new Error(message);
+  err.code = 'EINTEGRITY';
+  err.path = file;
+  return err;
+}
+
+/**
+ * Read the SHA-256 manifest shipped next to the binary by scripts/build.sh
+ */
+function readManifest(binDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(binDir, MANIFEST_NAME), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute the SHA-256 digest of a file
+ */
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function getIntegrityCacheFile() {
+  return path.join(getCacheDir(), 'integrity.json');
+}
+
+function readIntegrityCache() {
+  try {
+    return JSON.parse(fs.readFileSync(getIntegrityCacheFile(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Remember that a file with this exact stat has already been hashed.
+ * The cache is an optimisation only, so failures to write it are ignored.
+ */
+function recordVerified(file, sha256) {
+  try {
+    const stat = fs.statSync(file);
+    const cache = {};
+    for (const [cachedFile, entry] of Object.entries(readIntegrityCache())) {
+      // Drop entries for binaries that have since been renamed or removed
+      if (fs.existsSync(cachedFile)) {
+        cache[cachedFile] = entry;
+      }
+    }
+    cache[file] = {
+      sha256,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      ctimeMs: stat.ctimeMs,
+      ino: stat.ino,
+    };
+    fs.mkdirSync(getCacheDir(), { recursive: true });
+    fs.writeFileSync(getIntegrityCacheFile(), JSON.stringify(cache, null, 2));
+  } catch {
+    // Not fatal: we simply re-hash on the next launch
+  }
+}
+
+/**
+ * Verify a binary against the manifest of the package it came from.
+ * A previous successful verification is reused as long as the file's size,
+ * timestamps and inode are unchanged (ctime cannot be set from user space,
+ * so any rewrite of the file invalidates the entry).
+ */
+function verifyBinary(file, manifest) {
+  const expected = manifest && manifest.files && manifest.files[DISGUISED_NAME];
+  if (!expected || !/^[0-9a-f]{64}$/.test(expected.sha256 || '')) {
+    throw integrityError(`No valid SHA-256 manifest was found for ${file}`, file);
+  }
+
+  const stat = fs.statSync(file);
+  const cached = readIntegrityCache()[file];
+  if (
+    cached &&
+    cached.sha256 === expected.sha256 &&
+    cached.size === stat.size &&
+    cached.mtimeMs === stat.mtimeMs &&
+    cached.ctimeMs === stat.ctimeMs &&
+    cached.ino === stat.ino
+  ) {
+    return;
+  }
+
+  if (typeof expected.size === 'number' && expected.size !== stat.size) {
+    throw integrityError(
+      `Size mismatch for ${file}: expected ${expected.size} bytes, found ${stat.size}`,
+      file
+    );
+  }
+
+  const actual = hashFile(file);
+  if (actual !== expected.sha256) {
+    throw integrityError(
+      `SHA-256 mismatch for ${file}: expected ${expected.sha256}, found ${actual}`,
+      file
+    );
+  }
+
+  recordVerified(file, actual);
+}
+
+/**
+ * Get the directory holding per-user copies of the binary, one per version
+ */
+function getUserBinDir() {
+  return path.join(getCacheDir(), 'bin');
+}
+
+/**
+ * Remove cached copies of every version except the one in use.
+ * Entries that are still locked (e.g. a running crush.exe) are left alone.
+ */
+function pruneUserCache(keepVersion) {
+  let entries;
+  try {
+    entries = fs.readdirSync(getUserBinDir());
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry === keepVersion) continue;
+    try {
+      fs.rmSync(path.join(getUserBinDir(), entry), { recursive: true, force: true });
+    } catch {
+      // Try again on the next launch
+    }
+  }
+}
+
+/**
+ * Make a verified binary in the package directory executable on Unix and
+ * return its path. When that isn't possible (e.g. the file belongs to
+ * another user), a copy in the per-user cache is returned instead.
+ */
+function ensureExecutable(file, manifest) {
+  if (process.platform === 'win32') {
+    return file;
+  }
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return file;
+  } catch {
+    // Try to fix the mode below
+  }
+  try {
+    fs.chmodSync(file, 0o755);
+    return file;
+  } catch {
+    return installToUserCache(file, manifest);
+  }
+}
+
+/**
+ * Copy a verified binary into the versioned per-user cache and return the
+ * path of the executable copy. An existing copy is re-verified before use.
+ */
+function installToUserCache(sourcePath, manifest) {
+  const version = String(manifest.version || '');
+  if (!/^[0-9A-Za-z.+-]+$/.test(version)) {
+    throw integrityError(`Manifest for ${sourcePath} has an invalid version "${version}"`, sourcePath);
+  }
+
+  const versionDir = path.join(getUserBinDir(), version);
+  const cachedPath = path.join(versionDir, getBinaryName());
+
+  if (!fs.existsSync(cachedPath)) {
+    fs.mkdirSync(versionDir, { recursive: true });
+    // Copy under a temporary name so a concurrent launch never sees a partial file
+    const tempPath = `${cachedPath}.${process.pid}.tmp`;
+    try {
+      fs.copyFileSync(sourcePath, tempPath);
+      if (process.platform !== 'win32') {
+        fs.chmodSync(tempPath, 0o755);
+      }
+      fs.renameSync(tempPath, cachedPath);
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true });
+      if (!fs.existsSync(cachedPath)) {
+        throw err;
+      }
+    }
+  }
+
+  verifyBinary(cachedPath, manifest);
+  pruneUserCache(version);
+  return cachedPath;
+}
+
+/**
+ * Get the directories where a platform package's bin/ may live
+ */
+function getPlatformBinDirs(key) {
+  const platformPkg = `${PACKAGE_SCOPE}-${key}`;
+
+  return [
+    // Scoped package location
+    path.join(__dirname, '..', '..', '@offlinecli', `crush-${key}`, 'bin'),
+    
+    // Hoisted to root node_modules
+    path.join(__dirname, '..', '..', '..', '@offlinecli', `crush-${key}`, 'bin'),
+    
+    // pnpm/yarn PnP style - try require.resolve
+    (() => {
+      try {
+        const pkgPath = require.resolve(`${platformPkg}/package.json`);
+        return path.join(path.dirname(pkgPath), 'bin');
+      } catch {
+        return null;
+      }
+    })(),
+  ].filter(Boolean);
+}
+
+/**
+ * Locate the installed platform package that contains a binary,
+ * trying each candidate target in order of preference
+ */
+function findPlatformPackage() {
+  const binaryName = getBinaryName();
+
+  for (const key of getPlatformCandidates()) {
+    for (const binDir of getPlatformBinDirs(key)) {
+      if (!fs.existsSync(path.join(binDir, binaryName)) && !fs.existsSync(path.join(binDir, DISGUISED_NAME))) {
+        continue;
+      }
+      const dir = path.dirname(binDir);
+      let version = null;
+      try {
+        version = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).version || null;
+      } catch {
+        // Leave the version unknown
+      }
+      return { name: `${PACKAGE_SCOPE}-${key}`, key, dir, binDir, version };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a locally approved binary configured via CRUSH_BINARY_PATH or the
+ * binary_path key in wrapper.json. Returns null when neither is set.
+ */
+function getBinaryOverride() {
+  let file = process.env.CRUSH_BINARY_PATH;
+  let source = 'CRUSH_BINARY_PATH';
+  let baseDir = process.cwd();
+  if (!file) {
+    file = readWrapperConfig().binary_path;
+    source = `binary_path in ${WRAPPER_CONFIG_FILE}`;
+    baseDir = CONFIG_DIR;
+  }
+  if (!file) {
+    return null;
+  }
+  return { path: path.resolve(baseDir, expandHome(file)), source };
+}
+
+/**
+ * Find the binary in various possible locations.
+ * An explicit override wins over the platform packages.
+ * The binary is verified against the package manifest before it is used.
+ * If only .bin exists, it is verified and then renamed to the proper
+ * executable name, or copied to the per-user cache when the package
+ * directory cannot be written.
+ */
+function findBinary() {
+  const override = getBinaryOverride();
+  if (override) {
+    if (!fs.existsSync(override.path)) {
+      throw new Error(`${override.source} points to ${override.path}, which does not exist`);
+    }
+    return override.path;
+  }
+
+  const pkg = findPlatformPackage();
+  if (!pkg) {
+    return null;
+  }
+
+  const libc = detectLibc();
+  const entry = PLATFORMS[pkg.key];
+  if (libc && entry.libc && entry.libc !== libc) {
+    console.error(`Warning: no ${libc} build of Crush is installed, using ${pkg.name} instead.`);
+  }
+
+  const binaryName = getBinaryName();
+  const binDir = pkg.binDir;
+  const finalPath = path.join(binDir, binaryName);
+  const disguisedPath = path.join(binDir, DISGUISED_NAME);
+  
+  // Check if final binary already exists
+  if (fs.existsSync(finalPath)) {
+    const manifest = readManifest(binDir);
+    verifyBinary(finalPath, manifest);
+    return ensureExecutable(finalPath, manifest);
+  }
+  
+  // Check if disguised binary exists - verify it, then rename it
+  if (fs.existsSync(disguisedPath)) {
+    const manifest = readManifest(binDir);
+    verifyBinary(disguisedPath, manifest);
+    try {
+      fs.renameSync(disguisedPath, finalPath);
+    } catch {
+      // The package directory is read-only (e.g. an admin-owned global
+      // install), so run a private copy from the per-user cache instead
+      return installToUserCache(disguisedPath, manifest);
+    }
+    // Record the verification once the mode is set, since chmod changes ctime
+    const executable = ensureExecutable(finalPath, manifest);
+    recordVerified(finalPath, manifest.files[DISGUISED_NAME].sha256);
+    return executable;
+  }
+  
+  return null;
+}
+
+/**
+ * Compare two dotted version strings numerically
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split(/[.+-]/).map((n) => parseInt(n, 10) || 0);
+  const pb = String(b).split(/[.+-]/).map((n) => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Describe a mismatch between the wrapper and the resolved platform package,
+ * or return null when the versions agree (or cannot be determined)
+ */
+function getVersionMismatch(pkg) {
+  const wrapperVersion = require('../package.json').version;
+  if (!pkg || !pkg.version || pkg.version === wrapperVersion) {
+    return null;
+  }
+
+  const wrapperIsStale = compareVersions(wrapperVersion, pkg.version) < 0;
+  const wrapperDir = path.resolve(__dirname, '..');
+  const fix = wrapperIsStale
+    ? `npm install -g ${PACKAGE_SCOPE}@${pkg.version}`
+    : `npm install ${pkg.name}@${wrapperVersion}`;
+
+  return `Warning: Crush wrapper and binary package versions differ
+  ${PACKAGE_SCOPE}  ${wrapperVersion}  ${wrapperDir}${wrapperIsStale ? '  (stale)' : ''}
+  ${pkg.name}  ${pkg.version}  ${pkg.dir}${wrapperIsStale ? '' : '  (stale)'}
+
+This usually means a hoisted node_modules layout resolved an older copy.
+To fix it, run:
+  ${fix}
+`;
+}
+
+/**
+ * Path of the Crush binary to run, preparing and verifying it as the crush
+ * command does. Throws with code ENOBINARY when no binary is installed, or
+ * EINTEGRITY when the installed one fails verification.
+ */
+function getBinaryPath() {
+  const binaryPath = findBinary();
+  if (!binaryPath) {
+    const err = new Error(`No Crush binary is installed for ${getPlatformPackage()}`);
+    err.code = 'ENOBINARY';
+    throw err;
+  }
+  return binaryPath;
+}
+
+module.exports = {
+  PLATFORMS,
+  detectLibc,
+  getPlatformCandidates,
+  getPlatformPackage,
+  findPlatformPackage,
+  getBinaryOverride,
+  findBinary,
+  getVersionMismatch,
+  getBinaryPath,
+};
@@ -0,0 +1,119 @@
+/**
+ * Config changes: line diffs of a file's old and new contents, and writing
+ * a changed config once the schema and a confirmation allow it
+ */
+
+const { readTextFile } = require('./files');
+const { validateConfig, blockingIssues } = require('./schema');
+const { saveConfigFile } = require('./config');
+
+/**
+ * Line diff of two texts as [{ op: ' ' | '-' | '+', line }], via the
+ * longest common subsequence (configs are small enough for O(n*m))
+ */
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ op: '-', line: a[i++] });
+    } else {
+      lines.push({ op: '+', line: b[j++] });
+    }
+  }
+  return lines;
+}
+
+/**
+ * A unified-style diff of a file's old and new contents, with a few lines
+ * of context around each change. A missing file (no `before`) shows as
+ * /dev/null.
+ */
+function formatDiff(file, before, after, context = 3) {
+  const lines = diffLines(before, after);
+  const changed = lines.map((l, i) => l.op !== ' ' ? i : -1).filter(i => i >= 0);
+  const out = [`--- ${before ? file : '/dev/null'}`, `+++ ${file}`];
+
+  let shownUntil = -1;
+  for (const index of changed) {
+    const start = Math.max(index - context, shownUntil + 1);
+    if (start > shownUntil + 1 && shownUntil >= 0) out.push('  ...');
+    const end = Math.min(index + context, lines.length - 1);
+    for (let k = start; k <= end; k++) {
+      out.push(`${lines[k].op} ${lines[k].line}`);
+    }
+    shownUntil = Math.max(shownUntil, end);
+  }
+  return out.join('\n');
+}
+
+/**
+ * Validation issues listed under a heading, each with its suggestion
+ */
+function formatIssues(label, issues) {
+  const out = [`${label}: ${issues.length} problem${issues.length === 1 ? '' : 's'}`];
+  issues.forEach(issue => {
+    out.push(`  ${issue.path}: ${issue.problem}${issue.severity === 'warning' ? ' (warning)' : ''}`);
+    out.push(`    → ${issue.suggestion}`);
+  });
+  return out.join('\n');
+}
+
+/**
+ * Show the diff for a config change and write it once confirmed. Schema
+ * errors the change would introduce block the write unless options.validate
+ * is false, and unknown keys are only warned about; problems already in
+ * `before` are left alone.
+ *
+ * Options: validate (true by default), confirm (an async function returning
+ * whether to write; without one the change is written), log (console.log by
+ * default) for the diff and messages. Resolves with { saved, reason } where
+ * reason is 'unchanged', 'invalid' or 'declined' when nothing was written.
+ */
+async function applyConfigChange(file, before, after, options = {}) {
+  const { validate = true, confirm = null, log = console.log } = options;
+  const newText = JSON.stringify(after, null, 2);
+  if (before && JSON.stringify(before, null, 2) === newText) {
+    log('No changes.');
+    return { saved: false, reason: 'unchanged' };
+  }
+  log(formatDiff(file, readTextFile(file), newText));
+
+  const known = new Set(validateConfig(before || {}).map(issue => `${issue.path}: ${issue.problem}`));
+  const issues = validateConfig(after).filter(issue => !known.has(`${issue.path}: ${issue.problem}`));
+  if (issues.length > 0 && (!validate || blockingIssues(issues).length === 0)) {
+    log('');
+    log(formatIssues('Warning', issues));
+  } else if (issues.length > 0) {
+    log('');
+    log(formatIssues('Change not saved', issues));
+    return { saved: false, reason: 'invalid' };
+  }
+
+  if (confirm && !(await confirm())) {
+    return { saved: false, reason: 'declined' };
+  }
+  saveConfigFile(file, after);
+  log(`✓ Saved ${file}`);
+  return { saved: true, reason: null };
+}
+
+module.exports = {
+  diffLines,
+  formatDiff,
+  formatIssues,
+  applyConfigChange,
+};
@@ -0,0 +1,1022 @@
+/**
+ * Building, layering, redacting and saving Crush configs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  CONFIG_DIR,
+  CONFIG_FILE,
+  WRAPPER_CONFIG_FILE,
+  PROJECT_CONFIG_FILES,
+  globalConfigFile,
+  dataConfigFile,
+} = require('./paths');
+const { writeFileAtomic, readTextFile } = require('./files');
+const { jsonPath, localSchemaUrl } = require('./schema');
+
+// Default offline configuration
+const OFFLINE_CONFIG = {
+  "$schema": "https://charm.land/crush.json",
+  "options": {
+    "disable_provider_auto_update": true,
+    "disable_metrics": true,
+    "disable_default_providers": true,
+    "auto_lsp": true
+  }
+};
+
+// Options the wizard turns on for offline use
+const OFFLINE_OPTIONS = ['disable_metrics', 'disable_provider_auto_update', 'disable_default_providers'];
+
+// Environment variables that keep Crush offline, whatever the config says
+const OFFLINE_ENV = {
+  CRUSH_DISABLE_METRICS: '1',
+  CRUSH_DISABLE_PROVIDER_AUTO_UPDATE: '1',
+  DO_NOT_TRACK: '1'
+};
+
+// Build one entry of a provider's `models` array from wizard/quick answers
+function buildModel(model, defaults) {
+  return {
+    id: model.id || defaults.id,
+    name: model.name || defaults.name,
+    context_window: parseInt(model.contextWindow) || 128000,
+    default_max_tokens: parseInt(model.maxTokens) || 4096,
+    cost_per_1m_in: parseFloat(model.costIn) || 0,
+    cost_per_1m_out: parseFloat(model.costOut) || 0,
+    cost_per_1m_in_cached: parseFloat(model.costInCached) || 0,
+    cost_per_1m_out_cached: parseFloat(model.costOutCached) || 0,
+    can_reason: model.canReason ?? false,
+    supports_attachments: model.supportsAttachments ?? defaults.supportsAttachments,
+    options: {}
+  };
+}
+
+// Build the `models` array; answers.models lists one entry per model
+function buildModels(answers, defaults) {
+  const models = answers.models && answers.models.length > 0 ? answers.models : [{}];
+  return models.map(model => buildModel(model, defaults));
+}
+
+// Azure OpenAI API version used when none is configured
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+const AZURE_API_VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}(-preview)?$/;
+// Hosts of Azure resources that serve the OpenAI v1 API under /openai/v1/
+const AZURE_HOST_PATTERN = /\.(openai\.azure\.com|cognitiveservices\.azure\.com|services\.ai\.azure\.com)$/i;
+
+// Endpoint normalisers used by the templates. Each gets a valid URL ending
+// in / and returns the URL to store as base_url.
+
+// Azure OpenAI takes the resource root; the SDK adds /openai/deployments/...
+function azureResourceEndpoint(endpoint) {
+  const url = new URL(endpoint);
+  url.pathname = url.pathname.replace(/\/openai(\/.*)?$/i, '/');
+  url.search = '';
+  return url.toString();
+}
+
+// An Azure resource root, or its /openai/ path, becomes the /openai/v1/ API
+function azureV1Endpoint(endpoint) {
+  const url = new URL(endpoint);
+  if (AZURE_HOST_PATTERN.test(url.hostname) && /^\/(openai\/)?$/i.test(url.pathname)) {
+    url.pathname = '/openai/v1/';
+  }
+  return url.toString();
+}
+
+// OpenAI-compatible servers that serve their API under /v1/; a pasted
+// .../v1/chat/completions or .../v1/models is cut back to /v1/
+function requireV1(endpoint) {
+  const url = new URL(endpoint);
+  url.pathname = url.pathname.replace(/(chat\/completions|completions|models)\/$/, '');
+  if (!url.pathname.endsWith('/v1/')) url.pathname += 'v1/';
+  return url.toString();
+}
+
+// Anthropic clients add /v1/messages themselves
+function anthropicRootEndpoint(endpoint) {
+  return endpoint.replace(/v1\/(messages\/)?$/, '');
+}
+
+// Problems with an endpoint that must use https; plain http is accepted on
+// this machine (e.g. for crush-setup mock-server)
+function requireHttps(answers) {
+  const url = new URL(answers.endpoint);
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  return url.protocol === 'https:' || (local && url.protocol === 'http:')
+    ? [] : [`${PROVIDER_TEMPLATES[answers.provider].name} endpoints must use https://`];
+}
+
+// Provider templates
+// `discovery` selects how the wizard lists available models: 'openai'
+// (GET /models), 'ollama' (/api/tags + /api/show), 'azure' (deployments) or
+// 'anthropic' (GET /v1/models).
+// `endpoint` is { prompt, example, default, normalize }: how the wizard asks
+// for the endpoint, the value used when none is given, and a function that
+// rewrites a valid URL into the base_url the provider expects.
+// `questions` are the template's own answers, asked by the wizard and set by
+// `quick` flags: { key, flag, prompt, type ('string' or 'boolean'), default,
+// envVar, check }. envVar names a variable whose value in the shell is the
+// default answer; check returns a problem with a string answer, or null.
+// `validate(answers)` returns problems with the answers as a whole.
+const PROVIDER_TEMPLATES = {
+  'azure-openai': {
+    name: 'Azure OpenAI',
+    defaultModel: 'gpt-4',
+    discovery: 'azure',
+    envVars: ['AZURE_OPENAI_API_ENDPOINT', 'AZURE_OPENAI_API_KEY'],
+    endpoint: {
+      prompt: 'Azure OpenAI resource endpoint',
+      example: 'https://your-resource.openai.azure.com/',
+      normalize: azureResourceEndpoint
+    },
+    questions: [
+      {
+        key: 'apiVersion',
+        flag: 'api-version',
+        prompt: 'Azure OpenAI API version',
+        default: DEFAULT_AZURE_API_VERSION,
+        envVar: 'AZURE_OPENAI_API_VERSION',
+        check: (value) => (AZURE_API_VERSION_PATTERN.test(value) ? null
+          : `API version "${value}" should look like ${DEFAULT_AZURE_API_VERSION} or 2025-01-01-preview`)
+      }
+    ],
+    validate: requireHttps,
+    config: (answers) => ({
+      type: 'azure',
+      base_url: answers.endpoint,
+      api_key: '$AZURE_OPENAI_API_KEY',
+      // Crush's own name for the setting; the wrapper passes it on as
+      // AZURE_OPENAI_API_VERSION (see providerEnv)
+      extra_params: { apiVersion: answers.apiVersion || DEFAULT_AZURE_API_VERSION },
+      models: buildModels(answers, { id: 'gpt-4', name: 'GPT-4 (Azure)', supportsAttachments: true })
+    })
+  },
+  'azure-foundry': {
+    name: 'Azure AI Foundry',
+    defaultModel: 'gpt-4',
+    discovery: 'openai',
+    envVars: ['AZURE_AI_FOUNDRY_ENDPOINT', 'AZURE_AI_FOUNDRY_API_KEY'],
+    endpoint: {
+      prompt: 'API endpoint URL',
+      example: 'https://your-resource.openai.azure.com/openai/v1/',
+      normalize: azureV1Endpoint
+    },
+    questions: [],
+    validate: requireHttps,
+    config: (answers) => ({
+      type: 'openai-compat',
+      base_url: answers.endpoint,
+      api_key: '$AZURE_AI_FOUNDRY_API_KEY',
+      models: buildModels(answers, { id: 'gpt-4', name: 'GPT-4 (Azure AI Foundry)', supportsAttachments: true })
+    })
+  },
+  'openai-compat': {
+    name: 'OpenAI-Compatible API',
+    defaultModel: 'default',
+    discovery: 'openai',
+    envVars: ['CUSTOM_LLM_API_KEY'],
+    endpoint: {
+      prompt: 'API endpoint URL',
+      example: 'https://llm.corp.example.com/v1/'
+    },
+    questions: [],
+    config: (answers) => ({
+      type: 'openai-compat',
+      base_url: answers.endpoint,
+      api_key: '$CUSTOM_LLM_API_KEY',
+      models: buildModels(answers, { id: 'default', name: 'Custom Model', supportsAttachments: true })
+    })
+  },
+  'ollama': {
+    name: 'Ollama (Local)',
+    defaultModel: 'llama3:70b',
+    discovery: 'ollama',
+    envVars: [],
+    endpoint: {
+      prompt: 'Ollama endpoint URL',
+      default: 'http://localhost:11434/v1/',
+      normalize: requireV1
+    },
+    questions: [],
+    config: (answers) => ({
+      name: 'Ollama',
+      type: 'openai-compat',
+      base_url: answers.endpoint || 'http://localhost:11434/v1/',
+      models: buildModels(answers, { id: 'llama3:70b', name: 'Llama 3 70B', supportsAttachments: false })
+    })
+  },
+  'vllm': {
+    name: 'vLLM',
+    defaultModel: 'Qwen/Qwen2.5-Coder-32B-Instruct',
+    discovery: 'openai',
+    envVars: ['VLLM_API_KEY'],
+    endpoint: {
+      prompt: 'vLLM server URL',
+      default: 'http://localhost:8000/v1/',
+      normalize: requireV1
+    },
+    questions: [
+      {
+        key: 'requiresKey',
+        flag: 'api-key-required',
+        type: 'boolean',
+        prompt: 'Was the server started with --api-key?',
+        default: false
+      }
+    ],
+    config: (answers) => ({
+      name: 'vLLM',
+      type: 'openai-compat',
+      base_url: answers.endpoint || 'http://localhost:8000/v1/',
+      ...(answers.requiresKey ? { api_key: '$VLLM_API_KEY' } : {}),
+      models: buildModels(answers, { id: 'Qwen/Qwen2.5-Coder-32B-Instruct', name: 'Qwen2.5 Coder 32B', supportsAttachments: false })
+    })
+  },
+  'lmstudio': {
+    name: 'LM Studio (Local)',
+    defaultModel: 'qwen2.5-coder-7b-instruct',
+    discovery: 'openai',
+    envVars: [],
+    endpoint: {
+      prompt: 'LM Studio server URL',
+      default: 'http://localhost:1234/v1/',
+      normalize: requireV1
+    },
+    questions: [],
+    config: (answers) => ({
+      name: 'LM Studio',
+      type: 'openai-compat',
+      base_url: answers.endpoint || 'http://localhost:1234/v1/',
+      models: buildModels(answers, { id: 'qwen2.5-coder-7b-instruct', name: 'Qwen2.5 Coder 7B', supportsAttachments: false })
+    })
+  },
+  'litellm': {
+    name: 'LiteLLM Gateway',
+    defaultModel: 'gpt-4o',
+    discovery: 'openai',
+    envVars: ['LITELLM_API_KEY'],
+    endpoint: {
+      prompt: 'LiteLLM gateway URL',
+      default: 'http://localhost:4000/v1/',
+      normalize: requireV1
+    },
+    questions: [
+      {
+        key: 'requiresKey',
+        flag: 'api-key-required',
+        type: 'boolean',
+        prompt: 'Does the gateway require a key (master or virtual key)?',
+        default: true
+      }
+    ],
+    config: (answers) => ({
+      name: 'LiteLLM',
+      type: 'openai-compat',
+      base_url: answers.endpoint || 'http://localhost:4000/v1/',
+      ...(answers.requiresKey === false ? {} : { api_key: '$LITELLM_API_KEY' }),
+      models: buildModels(answers, { id: 'gpt-4o', name: 'GPT-4o (LiteLLM)', supportsAttachments: true })
+    })
+  },
+  'anthropic-compat': {
+    name: 'Anthropic-Compatible API',
+    defaultModel: 'claude-sonnet-4-20250514',
+    discovery: 'anthropic',
+    envVars: ['ANTHROPIC_COMPAT_API_KEY'],
+    endpoint: {
+      prompt: 'API endpoint URL',
+      example: 'https://llm-proxy.corp.example.com/',
+      normalize: anthropicRootEndpoint
+    },
+    questions: [
+      {
+        key: 'bearerAuth',
+        flag: 'bearer-auth',
+        type: 'boolean',
+        prompt: 'Does the endpoint expect the key as "Authorization: Bearer" instead of x-api-key?',
+        default: false
+      }
+    ],
+    config: (answers) => ({
+      name: 'Anthropic-Compatible',
+      type: 'anthropic',
+      base_url: answers.endpoint,
+      api_key: '$ANTHROPIC_COMPAT_API_KEY',
+      ...(answers.bearerAuth ? { extra_headers: { Authorization: 'Bearer $ANTHROPIC_COMPAT_API_KEY' } } : {}),
+      models: buildModels(answers, { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4', supportsAttachments: true })
+    })
+  }
+};
+
+// Env vars a provider needs with these answers: the template's envVars,
+// less an API key variable its config does not use
+function templateEnvVars(template, answers = {}) {
+  const config = JSON.stringify(template.config(answers));
+  return template.envVars.filter(envVar => !envVar.endsWith('_API_KEY') || config.includes(`$${envVar}`));
+}
+
+// Crush's top-level large/small model selection for one provider
+function buildModelSelection(providerKey, large, small) {
+  return {
+    large: { model: large, provider: providerKey },
+    small: { model: small || large, provider: providerKey }
+  };
+}
+
+// Keys accepted in an answers object (wizard, quick flags or --answers file)
+const ANSWER_KEYS = [
+  'provider', 'endpoint', 'models', 'large', 'small', 'disabledTools',
+  'merge', 'localCopy', 'envExample', 'localSchema', 'force', 'proxy', 'noProxy', 'caFile',
+  'credentialHelper', 'mcpServers', 'lspServers'
+];
+const MODEL_ANSWER_KEYS = [
+  'id', 'name', 'contextWindow', 'maxTokens', 'canReason', 'supportsAttachments',
+  'costIn', 'costOut', 'costInCached', 'costOutCached'
+];
+const MCP_ANSWER_KEYS = ['name', 'type', 'command', 'args', 'env', 'url', 'headers', 'timeout'];
+const MCP_TYPES = ['stdio', 'http', 'sse'];
+const LSP_ANSWER_KEYS = ['name', 'command', 'args', 'env', 'filetypes', 'rootMarkers', 'project'];
+
+// Fill in defaults that depend on the template and normalise the endpoint
+function normalizeAnswers(answers) {
+  const template = PROVIDER_TEMPLATES[answers.provider];
+  const normalized = { ...answers };
+  if (!template) return normalized;
+
+  if (!normalized.endpoint && template.endpoint.default) {
+    normalized.endpoint = template.endpoint.default;
+  }
+  // Ensure endpoint ends with /
+  if (typeof normalized.endpoint === 'string' && normalized.endpoint && !normalized.endpoint.endsWith('/')) {
+    normalized.endpoint += '/';
+  }
+  if (typeof normalized.endpoint === 'string' && template.endpoint.normalize) {
+    try {
+      normalized.endpoint = template.endpoint.normalize(normalized.endpoint);
+    } catch {
+      // Not a valid URL; checkAnswers reports it
+    }
+  }
+  // Template answers default to the variable they are passed as, if set
+  template.questions.forEach(q => {
+    if (normalized[q.key] === undefined && q.default !== undefined) {
+      normalized[q.key] = (q.envVar && process.env[q.envVar]) || q.default;
+    }
+  });
+  if (normalized.models === undefined || (Array.isArray(normalized.models) && normalized.models.length === 0)) {
+    normalized.models = [{ id: template.defaultModel }];
+  }
+  const ids = Array.isArray(normalized.models) ? normalized.models.map(m => m && m.id) : [];
+  normalized.large = normalized.large || ids[0];
+  normalized.small = normalized.small || ids[ids.length - 1];
+  return normalized;
+}
+
+// Check answers for problems; returns a list of messages (empty when valid)
+function checkAnswers(answers) {
+  const errors = [];
+  const isBool = v => v === undefined || typeof v === 'boolean';
+
+  const template = PROVIDER_TEMPLATES[answers.provider];
+  const questions = template ? template.questions : [];
+  Object.keys(answers).filter(k => !ANSWER_KEYS.includes(k) && !questions.some(q => q.key === k)).forEach(k => {
+    const owners = Object.values(PROVIDER_TEMPLATES).filter(t => t.questions.some(q => q.key === k));
+    errors.push(owners.length > 0 && template
+      ? `Answer "${k}" only applies to ${owners.map(t => t.name).join(', ')}`
+      : `Unknown answer "${k}"`);
+  });
+
+  if (!template) {
+    errors.push(`Unknown provider type "${answers.provider}" (valid: ${Object.keys(PROVIDER_TEMPLATES).join(', ')})`);
+  }
+  let validEndpoint = false;
+  if (!answers.endpoint) {
+    errors.push('An endpoint URL is required');
+  } else {
+    try {
+      new URL(answers.endpoint);
+      validEndpoint = true;
+    } catch {
+      errors.push(`Endpoint "${answers.endpoint}" is not a valid URL`);
+    }
+  }
+  questions.forEach(q => {
+    const value = answers[q.key];
+    if (value === undefined) return;
+    if (q.type === 'boolean' ? typeof value !== 'boolean' : typeof value !== 'string') {
+      errors.push(`${q.key} must be ${q.type === 'boolean' ? 'true or false' : 'a string'}`);
+    } else if (q.check) {
+      const problem = q.check(value);
+      if (problem) errors.push(problem);
+    }
+  });
+  if (template && template.validate && validEndpoint) {
+    errors.push(...template.validate(answers));
+  }
+
+  const ids = [];
+  if (answers.models !== undefined && !Array.isArray(answers.models)) {
+    errors.push('models must be a list of { id, ... }');
+  }
+  (Array.isArray(answers.models) ? answers.models : []).forEach((model, i) => {
+    errors.push(...checkModelAnswer(model, `models[${i}]`));
+    if (!model || typeof model.id !== 'string') return;
+    if (ids.includes(model.id)) errors.push(`Model "${model.id}" is listed twice`);
+    else ids.push(model.id);
+  });
+  ['large', 'small'].forEach(k => {
+    if (answers[k] && !ids.includes(answers[k])) errors.push(`${k} model "${answers[k]}" is not in the model list (${ids.join(', ')})`);
+  });
+
+  if (answers.disabledTools !== undefined &&
+      (!Array.isArray(answers.disabledTools) || answers.disabledTools.some(t => typeof t !== 'string'))) {
+    errors.push('disabledTools must be a list of tool names');
+  }
+  ['merge', 'localCopy', 'envExample', 'localSchema', 'force'].forEach(k => isBool(answers[k]) || errors.push(`${k} must be true or false`));
+
+  ['proxy', 'noProxy', 'caFile', 'credentialHelper'].forEach(k => {
+    if (answers[k] !== undefined && typeof answers[k] !== 'string') errors.push(`${k} must be a string`);
+  });
+  if (typeof answers.proxy === 'string' && answers.proxy) {
+    const problem = checkProxyUrl(answers.proxy);
+    if (problem) errors.push(problem);
+  }
+  if (typeof answers.caFile === 'string' && answers.caFile) {
+    const problem = checkCAFile(answers.caFile);
+    if (problem) errors.push(problem);
+  }
+  if (answers.mcpServers !== undefined) {
+    if (!Array.isArray(answers.mcpServers)) {
+      errors.push('mcpServers must be a list of servers');
+    } else {
+      const names = [];
+      answers.mcpServers.forEach((server, i) => {
+        errors.push(...checkMcpAnswer(server, `mcpServers[${i}]`));
+        if (!server || typeof server.name !== 'string') return;
+        if (names.includes(server.name)) errors.push(`MCP server "${server.name}" is listed twice`);
+        else names.push(server.name);
+      });
+    }
+  }
+  if (answers.lspServers !== undefined) {
+    if (!Array.isArray(answers.lspServers)) {
+      errors.push('lspServers must be a list of servers');
+    } else {
+      const names = [];
+      answers.lspServers.forEach((server, i) => {
+        errors.push(...checkLspAnswer(server, `lspServers[${i}]`));
+        if (!server || typeof server.name !== 'string') return;
+        if (names.includes(server.name)) errors.push(`Language server "${server.name}" is listed twice`);
+        else names.push(server.name);
+      });
+    }
+  }
+  if (answers.credentialHelper && template && !envVarReference(template.config(answers).api_key)) {
+    errors.push(`${template.name} has no API key for a credential helper to supply`);
+  }
+  return errors;
+}
+
+// Check one model's answers; `label` prefixes the messages
+function checkModelAnswer(model, label) {
+  const errors = [];
+  const isInt = v => v === undefined || (/^\d+$/.test(String(v)) && parseInt(v) > 0);
+  const isCost = v => v === undefined || (String(v).trim() !== '' && !isNaN(v) && parseFloat(v) >= 0);
+  const isBool = v => v === undefined || typeof v === 'boolean';
+
+  if (!model || typeof model !== 'object') {
+    return [`${label} must be an object`];
+  }
+  Object.keys(model).filter(k => !MODEL_ANSWER_KEYS.includes(k)).forEach(k => errors.push(`Unknown answer "${label}.${k}"`));
+  if (!model.id || typeof model.id !== 'string') errors.push(`${label}.id is required`);
+  ['contextWindow', 'maxTokens'].forEach(k => isInt(model[k]) || errors.push(`${label}.${k} must be a positive integer`));
+  ['costIn', 'costOut', 'costInCached', 'costOutCached'].forEach(k => isCost(model[k]) || errors.push(`${label}.${k} must be a non-negative number`));
+  ['canReason', 'supportsAttachments'].forEach(k => isBool(model[k]) || errors.push(`${label}.${k} must be true or false`));
+  return errors;
+}
+
+// The transport of an MCP server answer: its type, else stdio for a command
+// and http for a URL
+function mcpType(server) {
+  return server.type || (server.url && !server.command ? 'http' : 'stdio');
+}
+
+// Check one MCP server's answers; `label` prefixes the messages
+function checkMcpAnswer(server, label) {
+  const errors = [];
+  const isStringMap = v => v === undefined ||
+    (v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(item => typeof item === 'string'));
+
+  if (!server || typeof server !== 'object') {
+    return [`${label} must be an object`];
+  }
+  Object.keys(server).filter(k => !MCP_ANSWER_KEYS.includes(k)).forEach(k => errors.push(`Unknown answer "${label}.${k}"`));
+  if (typeof server.name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(server.name)) {
+    errors.push(`${label}.name is required (letters, digits, ".", "-" and "_")`);
+  }
+  const type = mcpType(server);
+  if (!MCP_TYPES.includes(type)) {
+    errors.push(`${label}.type must be one of ${MCP_TYPES.join(', ')}`);
+  } else if (type === 'stdio') {
+    if (typeof server.command !== 'string' || !server.command) errors.push(`${label}.command is required for a stdio server`);
+    if (server.url !== undefined || server.headers !== undefined) errors.push(`${label}: url and headers only apply to http and sse servers`);
+  } else {
+    let url;
+    try {
+      url = new URL(server.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push(`${label}.url must be an http:// or https:// URL`);
+    if (server.command !== undefined || server.args !== undefined || server.env !== undefined) {
+      errors.push(`${label}: command, args and env only apply to stdio servers`);
+    }
+  }
+  if (server.args !== undefined && (!Array.isArray(server.args) || server.args.some(a => typeof a !== 'string'))) {
+    errors.push(`${label}.args must be a list of strings`);
+  }
+  ['env', 'headers'].forEach(k => isStringMap(server[k]) || errors.push(`${label}.${k} must map names to string values`));
+  if (server.timeout !== undefined && !(Number.isInteger(server.timeout) && server.timeout > 0)) {
+    errors.push(`${label}.timeout must be a positive whole number of seconds`);
+  }
+  return errors;
+}
+
+// Check one language server's answers; `label` prefixes the messages
+function checkLspAnswer(server, label) {
+  const errors = [];
+  const isStringList = v => v === undefined || (Array.isArray(v) && v.every(item => typeof item === 'string'));
+
+  if (!server || typeof server !== 'object') {
+    return [`${label} must be an object`];
+  }
+  Object.keys(server).filter(k => !LSP_ANSWER_KEYS.includes(k)).forEach(k => errors.push(`Unknown answer "${label}.${k}"`));
+  if (typeof server.name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(server.name)) {
+    errors.push(`${label}.name is required (letters, digits, ".", "-" and "_")`);
+  }
+  if (typeof server.command !== 'string' || !server.command) {
+    errors.push(`${label}.command is required`);
+  }
+  ['args', 'filetypes', 'rootMarkers'].forEach(k => isStringList(server[k]) || errors.push(`${label}.${k} must be a list of strings`));
+  if (server.project !== undefined && typeof server.project !== 'boolean') {
+    errors.push(`${label}.project must be true or false`);
+  }
+  const env = server.env;
+  if (env !== undefined && !(env && typeof env === 'object' && !Array.isArray(env) && Object.values(env).every(v => typeof v === 'string'))) {
+    errors.push(`${label}.env must map names to string values`);
+  }
+  return errors;
+}
+
+// Describe what is wrong with a proxy URL, or null if it is usable
+function checkProxyUrl(value) {
+  let proxy;
+  try {
+    proxy = new URL(value);
+  } catch {
+    // Reported below
+  }
+  return proxy && ['http:', 'https:'].includes(proxy.protocol) ? null : `Proxy "${value}" is not an http:// or https:// URL`;
+}
+
+// Describe what is wrong with a CA bundle file, or null if it looks usable
+function checkCAFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return `CA bundle ${file} cannot be read: ${err.code === 'ENOENT' ? 'file does not exist' : err.message}`;
+  }
+  return text.includes('-----BEGIN CERTIFICATE-----') ? null : `CA bundle ${file} contains no PEM certificates`;
+}
+
+// Build the config for a set of answers, merged over an existing config
+function buildConfig(answers, existingConfig = {}) {
+  const template = PROVIDER_TEMPLATES[answers.provider];
+  const config = {
+    ...OFFLINE_CONFIG,
+    ...existingConfig,
+    options: {
+      ...OFFLINE_CONFIG.options,
+      ...(existingConfig.options || {})
+    },
+    providers: {
+      ...(existingConfig.providers || {}),
+      [answers.provider]: template.config(answers)
+    },
+    models: buildModelSelection(answers.provider, answers.large, answers.small)
+  };
+
+  if (answers.disabledTools && answers.disabledTools.length > 0) {
+    config.options.disabled_tools = [...answers.disabledTools];
+  }
+  if (answers.localSchema) {
+    config.$schema = localSchemaUrl();
+  }
+  if (answers.mcpServers && answers.mcpServers.length > 0) {
+    config.mcp = { ...(existingConfig.mcp || {}) };
+    answers.mcpServers.forEach(server => {
+      config.mcp[server.name] = buildMcpServer(server).config;
+    });
+  }
+  const globalServers = (answers.lspServers || []).filter(server => !server.project);
+  if (globalServers.length > 0) {
+    config.lsp = { ...(existingConfig.lsp || {}) };
+    globalServers.forEach(server => {
+      config.lsp[server.name] = buildLspServer(server);
+    });
+  }
+  return config;
+}
+
+// The project's crush.json with the language servers marked `project` in the
+// answers merged into its lsp section, or null when there are none. These
+// are found in (or for) one project, so they stay out of the global config.
+function buildProjectConfig(answers, existingConfig = {}) {
+  const servers = (answers.lspServers || []).filter(server => server.project);
+  if (servers.length === 0) return null;
+  const config = { ...existingConfig, lsp: { ...(existingConfig.lsp || {}) } };
+  servers.forEach(server => {
+    config.lsp[server.name] = buildLspServer(server);
+  });
+  return config;
+}
+
+// The `lsp` entry for one language server answer
+function buildLspServer(server) {
+  const config = { command: server.command };
+  if (server.args && server.args.length > 0) config.args = [...server.args];
+  if (server.env && Object.keys(server.env).length > 0) config.env = { ...server.env };
+  if (server.filetypes && server.filetypes.length > 0) config.filetypes = [...server.filetypes];
+  if (server.rootMarkers && server.rootMarkers.length > 0) config.root_markers = [...server.rootMarkers];
+  return config;
+}
+
+// Split a literal secret in an MCP header or env value off into an env var
+// named MCP_<SERVER>_<KEY>, keeping a "Bearer " style prefix in the config.
+// Values of keys that don't look secret, and $VAR references, are kept.
+// Returns { value, envVar, secret }.
+function splitMcpSecret(serverName, key, value) {
+  if (!SECRET_KEY_PATTERN.test(key.replace(/-/g, '_')) || /\$\{?[A-Za-z_]/.test(value)) {
+    return { value };
+  }
+  const envVar = `MCP_${serverName}_${key}`.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+  const scheme = value.match(/^(Bearer|Basic|Token)\s+(\S.*)$/i);
+  return scheme
+    ? { value: `${scheme[1]} $${envVar}`, envVar, secret: scheme[2] }
+    : { value: `$${envVar}`, envVar, secret: value };
+}
+
+// The `mcp` entry for one server answer, with literal secrets replaced by
+// $VAR references: { config, secrets } where secrets maps those variables
+// to the values they must hold
+function buildMcpServer(server) {
+  const type = mcpType(server);
+  const config = { type };
+  const secrets = {};
+  const secure = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => {
+    const split = splitMcpSecret(server.name, key, value);
+    if (split.envVar) secrets[split.envVar] = split.secret;
+    return [key, split.value];
+  }));
+
+  if (type === 'stdio') {
+    config.command = server.command;
+    if (server.args && server.args.length > 0) config.args = [...server.args];
+    if (server.env && Object.keys(server.env).length > 0) config.env = secure(server.env);
+  } else {
+    config.url = server.url;
+    if (server.headers && Object.keys(server.headers).length > 0) config.headers = secure(server.headers);
+  }
+  if (server.timeout) config.timeout = server.timeout;
+  return { config, secrets };
+}
+
+// Secrets the MCP servers in a set of answers need in env vars
+function mcpSecrets(answers) {
+  return Object.assign({}, ...(answers.mcpServers || []).map(server => buildMcpServer(server).secrets));
+}
+
+// Variables referenced as $VAR or ${VAR} anywhere in a config's providers
+// (api_key, base_url, extra_headers, ...) and MCP servers (env, headers):
+// [{ name, usedBy }] in the order they first appear, where usedBy lists
+// provider names and "mcp <name>" entries
+function configEnvVars(config) {
+  const vars = new Map();
+  const collect = (value, user) => {
+    if (Array.isArray(value)) value.forEach(item => collect(item, user));
+    else if (value && typeof value === 'object') Object.values(value).forEach(item => collect(item, user));
+    else if (typeof value === 'string') {
+      for (const [, name] of value.matchAll(/\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?/g)) {
+        if (!vars.has(name)) vars.set(name, []);
+        if (!vars.get(name).includes(user)) vars.get(name).push(user);
+      }
+    }
+  };
+  Object.entries((config && config.providers) || {}).forEach(([name, provider]) => collect(provider, name));
+  Object.entries((config && config.mcp) || {}).forEach(([name, server]) => collect(server, `mcp ${name}`));
+  return [...vars].map(([name, usedBy]) => ({ name, usedBy }));
+}
+
+// Contents of the .env.example written for a config: the offline variables
+// and every variable its providers and MCP servers reference
+function buildEnvExample(config) {
+  let envContent = '# Crush environment variables for offline/enterprise use\n\n';
+  envContent += '# Disable telemetry and auto-updates\n';
+  Object.entries(OFFLINE_ENV).forEach(([name, value]) => {
+    envContent += `${name}=${value}\n`;
+  });
+
+  const envVars = configEnvVars(config);
+  if (envVars.length > 0) {
+    envContent += '\n# Provider and MCP server credentials and settings\n';
+    envVars.forEach(({ name, usedBy }) => {
+      envContent += `# Used by ${usedBy.join(', ')}\n${name}=\n`;
+    });
+  }
+  return envContent;
+}
+
+// Extract the variable name from an api_key like "$VAR" or "${VAR}"
+function envVarReference(value) {
+  const match = typeof value === 'string' && value.match(/^\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?$/);
+  return match ? match[1] : null;
+}
+
+// Environment variables Crush reads in place of config options
+const ENV_OVERRIDES = [
+  { env: 'CRUSH_DISABLE_METRICS', path: ['options', 'disable_metrics'] },
+  { env: 'DO_NOT_TRACK', path: ['options', 'disable_metrics'] },
+  { env: 'CRUSH_DISABLE_PROVIDER_AUTO_UPDATE', path: ['options', 'disable_provider_auto_update'] }
+];
+
+// Keys whose literal string values are treated as secrets
+const SECRET_KEY_PATTERN = /(api_?key|token|secret|password|passwd|authorization|credential)/i;
+
+// Replace literal secrets with a placeholder. $VAR references are kept, and
+// passwords embedded in URLs are masked.
+function redactSecrets(value, key = '') {
+  if (Array.isArray(value)) return value.map(item => redactSecrets(item, key));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, k)]));
+  }
+  if (typeof value !== 'string' || !value) return value;
+  if (SECRET_KEY_PATTERN.test(key.replace(/-/g, '_')) && !envVarReference(value)) {
+    // Keep a "Bearer $VAR" style reference readable
+    return /^(Bearer|Basic)\s+\$\{?[A-Za-z_]\w*\}?$/.test(value) ? value : '<redacted>';
+  }
+  return value.replace(/^([a-z][a-z0-9+.-]*:\/\/[^/:@\s]+):[^@/\s]+@/i, '$1:<redacted>@');
+}
+
+// Owner of a directory, for stopping the project config search where Crush
+// does; null on Windows, where it isn't checked
+function directoryOwner(dir) {
+  if (process.platform === 'win32') return null;
+  try {
+    return fs.statSync(dir).uid;
+  } catch {
+    return undefined;
+  }
+}
+
+// The project configs Crush finds from a directory up to the filesystem
+// root, lowest priority first: a parent directory's before its child's, and
+// in one directory .crush.json before crush.json. Like Crush, the search
+// stops at a directory owned by another user.
+function projectConfigFiles(cwd = process.cwd()) {
+  const found = [];
+  let dir = path.resolve(cwd);
+  const owner = directoryOwner(dir);
+  for (;;) {
+    PROJECT_CONFIG_FILES.map(name => path.join(dir, name)).filter(file => fs.existsSync(file))
+      .forEach(file => found.push(file));
+    const parent = path.dirname(dir);
+    if (parent === dir || directoryOwner(parent) !== owner) break;
+    dir = parent;
+  }
+  return found.reverse();
+}
+
+// The config layers Crush merges, lowest priority first: the global config,
+// the one in Crush's data directory, then the project configs from the root
+// down to cwd. Returns [{ name, file, config, error }] with name 'global',
+// 'data' or 'project'; missing files are left out. env decides where the
+// global and data configs are (CRUSH_GLOBAL_CONFIG, CRUSH_GLOBAL_DATA).
+function loadConfigLayers(env = process.env, cwd = process.cwd()) {
+  const files = [
+    { name: 'global', file: globalConfigFile(env) },
+    { name: 'data', file: dataConfigFile(env) },
+    ...projectConfigFiles(cwd).map(file => ({ name: 'project', file }))
+  ].filter((layer, i, all) => all.findIndex(other => other.file === layer.file) === i);
+  return files.filter(layer => fs.existsSync(layer.file)).map(layer => {
+    try {
+      return { ...layer, config: JSON.parse(fs.readFileSync(layer.file, 'utf8')) };
+    } catch (err) {
+      return { ...layer, config: null, error: err.message };
+    }
+  });
+}
+
+// The project config in the current directory: the crush.json or
+// .crush.json that exists, else crush.json
+function projectConfigFile() {
+  const existing = PROJECT_CONFIG_FILES.map(name => path.resolve(name)).find(file => fs.existsSync(file));
+  return existing || path.resolve(PROJECT_CONFIG_FILES[0]);
+}
+
+// Merge config layers the way Crush does: objects merge key by key, while
+// arrays and scalars from a later layer replace earlier ones. Returns
+// { config, sources } where sources maps each leaf path to where it came from.
+function mergeConfigLayers(layers, env = process.env) {
+  const sources = {};
+  const merge = (target, value, source, at) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+      delete sources[at];
+      for (const [key, child] of Object.entries(value)) {
+        result[key] = merge(result[key], child, source, jsonPath(at, key));
+      }
+      return result;
+    }
+    Object.keys(sources).filter(p => p.startsWith(`${at}.`) || p.startsWith(`${at}[`)).forEach(p => delete sources[p]);
+    sources[at] = source;
+    return value;
+  };
+
+  let config = {};
+  for (const layer of layers) {
+    if (layer.config) config = merge(config, layer.config, layer.file, '$');
+  }
+  for (const override of ENV_OVERRIDES) {
+    const value = env[override.env];
+    if (value === undefined || value === '' || value === '0' || value.toLowerCase() === 'false') continue;
+    const patch = override.path.reduceRight((child, key) => ({ [key]: child }), true);
+    config = merge(config, patch, `env ${override.env}`, '$');
+  }
+  return { config, sources };
+}
+
+// Read a config file for editing; a missing file reads as null
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Timestamped backups of CONFIG_FILE are kept next to it, up to this many
+const MAX_BACKUPS = 10;
+const BACKUP_PATTERN = /^crush\.json\.(\d{8}T\d{6}Z(?:-\d+)?)\.bak$/;
+
+// Backups of the global config, newest first: [{ timestamp, file }]
+function listBackups() {
+  let entries;
+  try {
+    entries = fs.readdirSync(CONFIG_DIR);
+  } catch {
+    return [];
+  }
+  return entries
+    .map(entry => entry.match(BACKUP_PATTERN))
+    .filter(Boolean)
+    .map(match => ({ timestamp: match[1], file: path.join(CONFIG_DIR, match[0]) }))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp, 'en', { numeric: true }));
+}
+
+// The backup with a timestamp (as listBackups gives it), or the newest one
+// when no timestamp is given; null when there is none
+function findBackup(timestamp) {
+  const backups = listBackups();
+  return (timestamp ? backups.find(backup => backup.timestamp === timestamp) : backups[0]) || null;
+}
+
+// Copy the current global config to a timestamped backup and drop the oldest
+// ones beyond MAX_BACKUPS. Returns the backup path, or null if there was
+// nothing to back up.
+function backupConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) return null;
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  let timestamp = stamp;
+  for (let n = 2; fs.existsSync(path.join(CONFIG_DIR, `crush.json.${timestamp}.bak`)); n++) {
+    timestamp = `${stamp}-${n}`;
+  }
+  const backupFile = path.join(CONFIG_DIR, `crush.json.${timestamp}.bak`);
+  fs.copyFileSync(CONFIG_FILE, backupFile);
+
+  for (const old of listBackups().slice(MAX_BACKUPS)) {
+    fs.rmSync(old.file, { force: true });
+  }
+  return backupFile;
+}
+
+// Save a config file atomically; the global config is backed up first
+function saveConfigFile(file, config) {
+  if (path.resolve(file) === path.resolve(CONFIG_FILE)) {
+    backupConfig();
+  }
+  writeFileAtomic(file, JSON.stringify(config, null, 2));
+}
+
+// Merge updates into one object-valued key of wrapper.json; keys updated to
+// an empty value are removed, and so is the section once it is empty.
+// Returns the file written.
+function updateWrapperSection(section, updates) {
+  const file = WRAPPER_CONFIG_FILE;
+  const current = readTextFile(file);
+  const settings = current ? JSON.parse(current) : {};
+  const merged = { ...(settings[section] || {}), ...updates };
+  Object.keys(merged).filter(key => !merged[key]).forEach(key => delete merged[key]);
+  if (Object.keys(merged).length > 0) settings[section] = merged;
+  else delete settings[section];
+  writeFileAtomic(file, JSON.stringify(settings, null, 2));
+  return file;
+}
+
+// Record proxy and CA answers in the `network` key of wrapper.json, which
+// the crush wrapper passes to Crush as HTTPS_PROXY, HTTP_PROXY, NO_PROXY and
+// SSL_CERT_FILE. An empty answer removes the setting. Returns the file
+// written, or null when the answers have no network settings.
+function saveNetworkSettings(answers) {
+  const file = WRAPPER_CONFIG_FILE;
+  const updates = {};
+  if (answers.proxy !== undefined) {
+    updates.https_proxy = answers.proxy;
+    updates.http_proxy = answers.proxy;
+  }
+  if (answers.noProxy !== undefined) updates.no_proxy = answers.noProxy;
+  if (answers.caFile !== undefined) updates.ca_file = answers.caFile && path.resolve(answers.caFile);
+  if (Object.keys(updates).length === 0) return null;
+  return updateWrapperSection('network', updates);
+}
+
+// Record (or with an empty command, remove) the credential helper whose
+// token the crush wrapper puts into a provider's api_key variable
+function saveCredentialHelper(providerName, envVar, command) {
+  return updateWrapperSection('credential_helpers', {
+    [providerName]: command ? { command, env: envVar } : null
+  });
+}
+
+// The API version of an azure provider: extra_params.apiVersion, which
+// setup writes, else the default
+function azureApiVersion(provider) {
+  return (provider && provider.extra_params && provider.extra_params.apiVersion) || DEFAULT_AZURE_API_VERSION;
+}
+
+// Environment variables Crush reads provider settings from, taken from the
+// config where setup keeps them: AZURE_OPENAI_API_VERSION from the first
+// enabled azure provider (Crush reads only the one variable)
+function providerEnv(config) {
+  const azure = Object.values((config && config.providers) || {})
+    .find(provider => provider && provider.type === 'azure' && !provider.disable);
+  return azure && azure.extra_params && azure.extra_params.apiVersion
+    ? { AZURE_OPENAI_API_VERSION: String(azure.extra_params.apiVersion) }
+    : {};
+}
+
+// Update the `audit` key of wrapper.json; empty values fall back to defaults
+function saveAuditSettings(updates) {
+  return updateWrapperSection('audit', updates);
+}
+
+module.exports = {
+  OFFLINE_CONFIG,
+  OFFLINE_OPTIONS,
+  OFFLINE_ENV,
+  buildModel,
+  DEFAULT_AZURE_API_VERSION,
+  PROVIDER_TEMPLATES,
+  templateEnvVars,
+  buildModelSelection,
+  normalizeAnswers,
+  checkAnswers,
+  checkModelAnswer,
+  checkMcpAnswer,
+  checkLspAnswer,
+  checkProxyUrl,
+  checkCAFile,
+  buildConfig,
+  buildProjectConfig,
+  buildMcpServer,
+  mcpSecrets,
+  configEnvVars,
+  buildEnvExample,
+  envVarReference,
+  ENV_OVERRIDES,
+  SECRET_KEY_PATTERN,
+  redactSecrets,
+  projectConfigFiles,
+  loadConfigLayers,
+  projectConfigFile,
+  mergeConfigLayers,
+  readConfigFile,
+  listBackups,
+  findBackup,
+  backupConfig,
+  saveConfigFile,
+  saveNetworkSettings,
+  saveCredentialHelper,
+  azureApiVersion,
+  providerEnv,
+  saveAuditSettings,
+};
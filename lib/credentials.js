@@ -0,0 +1,221 @@
+/**
+ * Credential helpers: commands that print short-lived API tokens, cached
+ * encrypted on disk until shortly before they expire (or for a default
+ * lifetime when the helper gives no expiry)
+ */
+
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { CONFIG_DIR, getCacheDir, readWrapperConfig } = require('./paths');
+const { writeFileAtomic } = require('./files');
+
+// Credential helpers: key that encrypts cached tokens, how long a helper
+// may run (it may wait for an interactive login), how close to expiry a
+// cached token is no longer used, and how long a token without an expiry
+// is kept
+const CREDENTIAL_KEY_FILE = path.join(CONFIG_DIR, 'credential.key');
+const CREDENTIAL_HELPER_TIMEOUT_MS = 120000;
+const CREDENTIAL_EXPIRY_MARGIN_MS = 60000;
+const CREDENTIAL_DEFAULT_TTL_MS = 10 * 60000;
+
+/**
+ * Parse a credential helper's output: either the bare token, or JSON with
+ * the token (token, access_token or accessToken) and optionally its expiry
+ * (expires_at / expiresOn as a date or epoch, expires_on as epoch seconds,
+ * or expires_in seconds). Returns { token, expiresAt } with expiresAt in ms
+ * since the epoch, or null when unknown.
+ */
+function parseHelperOutput(stdout) {
+  const text = stdout.trim();
+  if (!text.startsWith('{')) {
+    if (!text || /\s/.test(text)) {
+      throw new Error('expected a token or a JSON object on stdout');
+    }
+    return { token: text, expiresAt: null };
+  }
+
+  const data = JSON.parse(text);
+  const token = data.token || data.access_token || data.accessToken;
+  if (typeof token !== 'string' || !token) {
+    throw new Error('JSON output has no token, access_token or accessToken');
+  }
+  const toMs = (value) => {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const n = Number(value);
+      return n < 1e12 ? n * 1000 : n;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  };
+  let expiresAt = null;
+  const expiry = data.expires_at ?? data.expiresOn ?? data.expires_on;
+  if (expiry !== undefined) {
+    expiresAt = toMs(expiry);
+  } else if (data.expires_in !== undefined) {
+    expiresAt = Date.now() + Number(data.expires_in) * 1000;
+  }
+  return { token, expiresAt: Number.isFinite(expiresAt) ? expiresAt : null };
+}
+
+function getCredentialCacheFile() {
+  return path.join(getCacheDir(), 'credentials.json');
+}
+
+/**
+ * The key that encrypts cached tokens, created on first use. It lives in the
+ * config directory under the same account as the cache, so anyone who can
+ * read the cache can read the key too: the encryption keeps tokens out of
+ * plain-text copies of the cache (backups, grep), while the protection
+ * against other users comes from the 0600 file permissions alone.
+ */
+function getCredentialKey() {
+  try {
+    const key = Buffer.from(fs.readFileSync(CREDENTIAL_KEY_FILE, 'utf8').trim(), 'base64');
+    if (key.length === 32) {
+      return key;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+  const key = crypto.randomBytes(32);
+  writeFileAtomic(CREDENTIAL_KEY_FILE, key.toString('base64'), 0o600);
+  return key;
+}
+
+function readCredentialCache() {
+  try {
+    return JSON.parse(fs.readFileSync(getCredentialCacheFile(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Cache entries are keyed on the helper command, so editing the command in
+ * wrapper.json invalidates its token
+ */
+function credentialCacheKey(helper) {
+  return crypto.createHash('sha256').update(`${helper.env}\0${helper.command}`).digest('hex');
+}
+
+/**
+ * Look up a cached, unexpired token for a helper. Tokens expiring within
+ * CREDENTIAL_EXPIRY_MARGIN_MS are treated as expired.
+ */
+function getCachedToken(helper) {
+  const entry = readCredentialCache()[credentialCacheKey(helper)];
+  if (!entry || entry.expiresAt - CREDENTIAL_EXPIRY_MARGIN_MS <= Date.now()) {
+    return null;
+  }
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getCredentialKey(), Buffer.from(entry.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    // Wrong key or tampered entry: fetch a fresh token
+    return null;
+  }
+}
+
+/**
+ * Store a token encrypted with AES-256-GCM until its expiry. Expired
+ * entries are dropped. Caching is best effort, so errors are ignored.
+ */
+function cacheToken(helper, token, expiresAt) {
+  try {
+    const cache = {};
+    for (const [key, entry] of Object.entries(readCredentialCache())) {
+      if (entry.expiresAt > Date.now()) {
+        cache[key] = entry;
+      }
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getCredentialKey(), iv);
+    const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+    cache[credentialCacheKey(helper)] = {
+      expiresAt,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    writeFileAtomic(getCredentialCacheFile(), JSON.stringify(cache, null, 2), 0o600);
+  } catch {
+    // The helper simply runs again next time
+  }
+}
+
+/**
+ * Run a credential helper command and return { token, expiresAt }. The
+ * helper may prompt on stderr/stdin (e.g. for an interactive login).
+ */
+function runCredentialHelper(helper) {
+  const result = spawnSync(helper.command, {
+    shell: true,
+    stdio: ['inherit', 'pipe', 'inherit'],
+    encoding: 'utf8',
+    timeout: CREDENTIAL_HELPER_TIMEOUT_MS,
+    windowsHide: true,
+  });
+  if (result.error) {
+    throw new Error(result.error.code === 'ETIMEDOUT'
+      ? `timed out after ${CREDENTIAL_HELPER_TIMEOUT_MS / 1000}s`
+      : result.error.message);
+  }
+  if (result.status !== 0) {
+    throw new Error(`exited with ${result.signal || `code ${result.status}`}`);
+  }
+  return parseHelperOutput(result.stdout);
+}
+
+/**
+ * Credential helpers from the `credential_helpers` key of wrapper.json, an
+ * object of { <provider>: { command, env } } where env names the variable the
+ * token goes into (normally the one the provider's api_key references).
+ * Returned as a list of { provider, env, command }; entries without a
+ * command or with an invalid variable name are left out.
+ */
+function getCredentialHelpers() {
+  const helpers = readWrapperConfig().credential_helpers || {};
+  return Object.entries(helpers)
+    .filter(([, helper]) => helper && typeof helper.command === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(helper.env || ''))
+    .map(([provider, helper]) => ({ provider, env: helper.env, command: helper.command }));
+}
+
+/**
+ * Tokens from the credential helpers, from the cache while they are valid.
+ * Helpers whose env var is already set in the shell are skipped.
+ * Returns { vars, errors: [{ helper, message }] }.
+ */
+function getHelperTokens(env = process.env) {
+  const result = { vars: {}, errors: [] };
+  for (const helper of getCredentialHelpers()) {
+    if (env[helper.env] !== undefined) {
+      continue;
+    }
+    let token = getCachedToken(helper);
+    if (!token) {
+      try {
+        const fresh = runCredentialHelper(helper);
+        token = fresh.token;
+        cacheToken(helper, token, fresh.expiresAt || Date.now() + CREDENTIAL_DEFAULT_TTL_MS);
+      } catch (err) {
+        result.errors.push({ helper, message: err.message });
+        continue;
+      }
+    }
+    result.vars[helper.env] = token;
+  }
+  return result;
+}
+
+module.exports = {
+  getCachedToken,
+  runCredentialHelper,
+  getCredentialHelpers,
+  getHelperTokens,
+};
@@ -0,0 +1,189 @@
+/**
+ * Diagnostics behind `crush-setup doctor`: the platform package and binary,
+ * config files, env files, audit log, proxy and CA settings, provider API
+ * keys and offline options
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { version } = require('../package.json');
+const { globalConfigFile } = require('./paths');
+const {
+  detectLibc,
+  getPlatformPackage,
+  findPlatformPackage,
+  getBinaryOverride,
+  findBinary,
+  getVersionMismatch,
+} = require('./binary');
+const { getCachedToken, getCredentialHelpers } = require('./credentials');
+const { loadEnvFiles } = require('./env');
+const { OFFLINE_OPTIONS, checkCAFile, envVarReference, redactSecrets, loadConfigLayers } = require('./config');
+const { localProxyConflict, currentProxy } = require('./http');
+const { getAuditSettings } = require('./audit');
+
+/**
+ * Run the diagnostic checks; each check is { id, title, status, message }
+ * with status 'pass', 'warn' or 'fail'. Values come from process.env, so run
+ * them with the variables the crush wrapper adds (as crush-setup does).
+ */
+function runDoctorChecks() {
+  const checks = [];
+  const add = (id, title, status, message) => checks.push({ id, title, status, message });
+
+  // Platform package
+  const override = getBinaryOverride();
+  const pkg = findPlatformPackage();
+  if (override) {
+    add('platform', 'Platform package', 'pass', `Skipped: binary overridden by ${override.source}`);
+  } else if (!pkg) {
+    add('platform', 'Platform package', 'fail',
+      `${getPlatformPackage()} is not installed (run: npm install ${getPlatformPackage()})`);
+  } else {
+    const mismatch = getVersionMismatch(pkg);
+    add('platform', 'Platform package', mismatch ? 'warn' : 'pass',
+      mismatch
+        ? `${pkg.name} ${pkg.version} does not match wrapper ${version}`
+        : `${pkg.name} ${pkg.version || '(unknown version)'} at ${pkg.dir}`);
+  }
+
+  // Binary presence, integrity and permissions
+  let binaryPath = null;
+  try {
+    binaryPath = findBinary();
+    if (!binaryPath) {
+      add('binary', 'Crush binary', 'fail', 'No Crush binary found');
+    } else {
+      if (process.platform !== 'win32') {
+        fs.accessSync(binaryPath, fs.constants.X_OK);
+      }
+      add('binary', 'Crush binary', 'pass', `${binaryPath} (verified, executable)`);
+    }
+  } catch (err) {
+    const problem = err.code === 'EINTEGRITY' ? 'failed integrity check' : 'is not usable';
+    add('binary', 'Crush binary', 'fail', `${binaryPath || 'Binary'} ${problem}: ${err.message}`);
+  }
+
+  // Global config file
+  const configFile = globalConfigFile();
+  let config = null;
+  if (!fs.existsSync(configFile)) {
+    add('config', 'Config file', 'warn', `${configFile} does not exist (run: crush-setup)`);
+  } else {
+    try {
+      config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      add('config', 'Config file', 'pass', `${configFile} parses`);
+    } catch (err) {
+      add('config', 'Config file', 'fail', `${configFile} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  // Env files the wrapper loads into Crush's environment
+  const envFiles = loadEnvFiles();
+  envFiles.loaded.forEach(file => add('env_file', 'Env file', 'pass', `${file} is loaded by the wrapper`));
+  envFiles.refused.forEach(({ file, reason }) => add('env_file', 'Env file', 'fail', `${file} is not loaded: ${reason}`));
+  envFiles.ignored.forEach(({ file, name }) => add('env_file', 'Env file', 'warn', `${name} in ${file} is ignored: only the shell can set it`));
+
+  // Audit log, when it is turned on
+  const audit = getAuditSettings();
+  if (audit.enabled) {
+    const target = fs.existsSync(audit.file) ? audit.file : path.dirname(audit.file);
+    try {
+      if (fs.existsSync(target)) fs.accessSync(target, fs.constants.W_OK);
+      add('audit', 'Audit log', 'pass', `Crush runs are logged to ${audit.file}`);
+    } catch {
+      add('audit', 'Audit log', 'fail', `${target} is not writable, so Crush runs are not logged`);
+    }
+  }
+
+  // Proxy and CA settings, from the shell or wrapper.json
+  const proxy = currentProxy();
+  if (proxy.proxy) {
+    add('proxy', 'Proxy', 'pass', `${redactSecrets(proxy.proxy)}${proxy.noProxy ? ` (NO_PROXY=${proxy.noProxy})` : ''}`);
+  }
+  if (process.env.SSL_CERT_FILE) {
+    const problem = checkCAFile(process.env.SSL_CERT_FILE);
+    add('ca_file', 'CA bundle', problem ? 'fail' : 'pass', problem || `${process.env.SSL_CERT_FILE} (SSL_CERT_FILE)`);
+  }
+  if (config) {
+    for (const [name, provider] of Object.entries(config.providers || {})) {
+      const conflict = localProxyConflict(provider.base_url, proxy.proxy, proxy.noProxy);
+      if (conflict) add(`proxy:${name}`, `Proxy (${name})`, 'warn', conflict);
+    }
+  }
+
+  // Provider API keys
+  if (config) {
+    const providers = Object.entries(config.providers || {});
+    if (providers.length === 0) {
+      add('api_keys', 'Provider API keys', 'warn', 'No providers configured');
+    }
+    const helpers = getCredentialHelpers();
+    for (const [name, provider] of providers) {
+      const id = `api_key:${name}`;
+      const title = `API key (${name})`;
+      const envVar = envVarReference(provider.api_key);
+      const helper = helpers.find(h => h.env === envVar);
+      if (!provider.api_key) {
+        add(id, title, 'pass', 'No API key required');
+      } else if (!envVar) {
+        add(id, title, 'warn', 'Literal API key stored in the config file; use a $VAR reference instead');
+      } else if (process.env[envVar]) {
+        add(id, title, 'pass', `$${envVar} is set${helper ? ' (overrides its credential helper)' : ''}`);
+      } else if (helper) {
+        add(id, title, 'pass', getCachedToken(helper)
+          ? `$${envVar} comes from a credential helper (cached token still valid)`
+          : `$${envVar} comes from a credential helper, which runs when crush starts`);
+      } else {
+        add(id, title, 'fail', `$${envVar} is not set`);
+      }
+    }
+  }
+
+  // Offline options
+  if (config) {
+    const options = config.options || {};
+    const missing = OFFLINE_OPTIONS.filter(opt => options[opt] !== true);
+    add('offline', 'Offline options', missing.length ? 'warn' : 'pass',
+      missing.length ? `Not enabled: ${missing.join(', ')}` : `Enabled: ${OFFLINE_OPTIONS.join(', ')}`);
+  }
+
+  // Data-dir and project configs (here or in a parent directory) shadowing
+  // the global one
+  const overlays = loadConfigLayers().filter(layer => layer.name !== 'global');
+  if (overlays.length === 0) {
+    add('project', 'Project config', 'pass', 'No project config here or in a parent directory');
+  }
+  for (const layer of overlays) {
+    add('project', layer.name === 'data' ? 'Data config' : 'Project config', layer.error ? 'fail' : 'warn',
+      layer.error ? `${layer.file} is not valid JSON: ${layer.error}` : `${layer.file} overrides settings from the global config`);
+  }
+
+  return checks;
+}
+
+/**
+ * The doctor report: versions, platform, the global config file, the checks
+ * and a summary counting checks by status ({ pass, warn, fail })
+ */
+function doctorReport() {
+  const checks = runDoctorChecks();
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  checks.forEach(check => summary[check.status]++);
+  return {
+    version,
+    node: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    libc: detectLibc(),
+    configFile: globalConfigFile(),
+    checks,
+    summary,
+  };
+}
+
+module.exports = {
+  runDoctorChecks,
+  doctorReport,
+};
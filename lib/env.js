@@ -0,0 +1,229 @@
+/**
+ * The environment Crush runs with: env files, network and provider settings
+ * and credential helper tokens, layered under the shell's own variables
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  CONFIG_DIR,
+  USER_ENV_FILE,
+  PROJECT_ENV_FILE,
+  expandHome,
+  readWrapperConfig,
+} = require('./paths');
+const { quoteEnvValue } = require('./files');
+const { getHelperTokens } = require('./credentials');
+const { loadConfigLayers, mergeConfigLayers, providerEnv } = require('./config');
+
+// Keys of the `network` setting in wrapper.json and the variables they set
+const NETWORK_ENV = {
+  https_proxy: 'HTTPS_PROXY',
+  http_proxy: 'HTTP_PROXY',
+  no_proxy: 'NO_PROXY',
+  ca_file: 'SSL_CERT_FILE',
+};
+
+/**
+ * Variables that decide which config and admin policy Crush gets. Only the
+ * shell may set them: env files and credential helpers are ignored for these,
+ * since a project's .env.crush could otherwise point Crush past the policy.
+ */
+const PROTECTED_ENV = ['CRUSH_GLOBAL_CONFIG', 'CRUSH_POLICY_FILE'];
+
+/**
+ * Parse a dotenv-style file: KEY=value lines, optional `export`, # comments
+ * and single or double quotes. Values are taken literally (no $VAR expansion).
+ */
+function parseEnvFile(text) {
+  const vars = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+    let value = match[2];
+    if (value.startsWith('"')) {
+      let unquoted = '';
+      for (let i = 1; i < value.length && value[i] !== '"'; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+          i++;
+          unquoted += value[i] === 'n' ? '\n' : value[i];
+        } else {
+          unquoted += value[i];
+        }
+      }
+      value = unquoted;
+    } else if (value.startsWith("'")) {
+      const end = value.indexOf("'", 1);
+      value = value.slice(1, end >= 0 ? end : undefined);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    vars[match[1]] = value;
+  }
+  return vars;
+}
+
+/**
+ * Describe why an env file must not be loaded, or return null if it is
+ * safe: on Unix it may hold secrets, so group and others get no access.
+ */
+function checkEnvFilePermissions(file) {
+  if (process.platform === 'win32') {
+    return null;
+  }
+  const mode = fs.statSync(file).mode & 0o777;
+  if (mode & 0o077) {
+    return `permissions ${mode.toString(8).padStart(4, '0')} are too open (run: chmod 600 ${file})`;
+  }
+  return null;
+}
+
+/**
+ * Read the user env file and the project .env.crush. The project file wins
+ * over the user file; the caller lets the shell environment win over both.
+ * Returns { vars, loaded: [file], refused: [{ file, reason }],
+ * ignored: [{ file, name }] } where ignored lists PROTECTED_ENV variables
+ * the files tried to set.
+ */
+function loadEnvFiles() {
+  const result = { vars: {}, loaded: [], refused: [], ignored: [] };
+  for (const file of [USER_ENV_FILE, path.resolve(PROJECT_ENV_FILE)]) {
+    let text;
+    try {
+      const problem = checkEnvFilePermissions(file);
+      if (problem) {
+        result.refused.push({ file, reason: problem });
+        continue;
+      }
+      text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        result.refused.push({ file, reason: err.message });
+      }
+      continue;
+    }
+    for (const [name, value] of Object.entries(parseEnvFile(text))) {
+      if (PROTECTED_ENV.includes(name)) {
+        result.ignored.push({ file, name });
+      } else {
+        result.vars[name] = value;
+      }
+    }
+    result.loaded.push(file);
+  }
+  return result;
+}
+
+/**
+ * Environment variables for the proxy and CA settings in the `network` key
+ * of wrapper.json (https_proxy, http_proxy, no_proxy, ca_file)
+ */
+function getNetworkEnv() {
+  const network = readWrapperConfig().network || {};
+  const env = {};
+  for (const [key, name] of Object.entries(NETWORK_ENV)) {
+    if (typeof network[key] === 'string' && network[key]) {
+      env[name] = network[key];
+    }
+  }
+  if (env.SSL_CERT_FILE) {
+    env.SSL_CERT_FILE = path.resolve(CONFIG_DIR, expandHome(env.SSL_CERT_FILE));
+  }
+  return env;
+}
+
+/**
+ * Provider settings in the effective config that Crush only reads from the
+ * environment (e.g. an azure provider's extra_params.apiVersion as
+ * AZURE_OPENAI_API_VERSION)
+ */
+function getProviderEnv() {
+  return providerEnv(mergeConfigLayers(loadConfigLayers()).config);
+}
+
+/**
+ * Variables the wrapper adds to Crush's environment: network settings from
+ * wrapper.json and provider settings from the config, overridden by the env
+ * files. Names already set in the shell (for proxies, in either case) are
+ * left out so the shell wins. Returns { vars, refused, ignored } with
+ * refused and ignored as in loadEnvFiles().
+ */
+function getWrapperEnv(env = process.env) {
+  const envFiles = loadEnvFiles();
+  const vars = {};
+  for (const [name, value] of Object.entries({ ...getNetworkEnv(), ...getProviderEnv(), ...envFiles.vars })) {
+    const isProxy = /_PROXY$/i.test(name);
+    if (env[name] !== undefined || (isProxy && env[name.toLowerCase()] !== undefined)) continue;
+    vars[name] = value;
+  }
+  return { vars, refused: envFiles.refused, ignored: envFiles.ignored };
+}
+
+/**
+ * Environment for the Crush process: the given environment (the shell's by
+ * default), plus env files and network settings, plus tokens from credential
+ * helpers. Returns { env, warnings } so callers decide how to report problems.
+ */
+function buildChildEnv(base = process.env) {
+  const { vars, refused, ignored } = getWrapperEnv(base);
+  const warnings = refused.map(({ file, reason }) => `not loading ${file}: ${reason}`);
+  ignored.forEach(({ file, name }) => warnings.push(`ignoring ${name} in ${file}: only the shell can set it`));
+  const tokens = getHelperTokens(base);
+  tokens.errors.forEach(({ helper, message }) => {
+    warnings.push(`credential helper for ${helper.provider} ($${helper.env}) failed: ${message}`);
+  });
+  for (const name of PROTECTED_ENV.filter(name => name in tokens.vars)) {
+    warnings.push(`ignoring the credential helper for $${name}: only the shell can set it`);
+    delete tokens.vars[name];
+  }
+  return { env: { ...base, ...vars, ...tokens.vars }, warnings };
+}
+
+/**
+ * Shells `crush-setup env --shell` prints for; dotenv is the KEY=value
+ * format of env files
+ */
+const ENV_SHELLS = ['bash', 'zsh', 'fish', 'powershell', 'cmd', 'dotenv'];
+
+/**
+ * The shell to print for by default: PowerShell on Windows, else the login
+ * shell when it is one of ENV_SHELLS, else bash
+ */
+function defaultShell(env = process.env) {
+  if (process.platform === 'win32') return 'powershell';
+  const shell = path.basename(env.SHELL || '');
+  return ENV_SHELLS.includes(shell) ? shell : 'bash';
+}
+
+/**
+ * One variable assignment in a shell's syntax, quoted as that shell needs
+ */
+function shellAssignment(shell, name, value) {
+  const plain = /^[\w@%+=:,./-]*$/.test(value);
+  switch (shell) {
+    case 'fish':
+      return `set -gx ${name} ${plain ? value : `'${value.replace(/[\\']/g, '\\$&')}'`}`;
+    case 'powershell':
+      return `$env:${name} = '${value.replace(/'/g, "''")}'`;
+    case 'cmd':
+      return `set "${name}=${value}"`;
+    case 'dotenv':
+      return `${name}=${quoteEnvValue(value)}`;
+    default:
+      return `export ${name}=${plain ? value : `'${value.replace(/'/g, "'\\''")}'`}`;
+  }
+}
+
+module.exports = {
+  ENV_SHELLS,
+  parseEnvFile,
+  loadEnvFiles,
+  getNetworkEnv,
+  getProviderEnv,
+  getWrapperEnv,
+  buildChildEnv,
+  defaultShell,
+  shellAssignment,
+};
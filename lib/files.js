@@ -0,0 +1,68 @@
+/**
+ * File writing helpers shared by the setup wizard and config commands
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Write a file under a temporary name and rename it into place, so a crash
+// mid-write never leaves a truncated file. An existing file keeps its mode.
+function writeFileAtomic(file, contents, mode) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempPath = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, contents, { mode: mode || 0o666 });
+    if (mode === undefined && fs.existsSync(file)) {
+      fs.chmodSync(tempPath, fs.statSync(file).mode & 0o777);
+    }
+    fs.renameSync(tempPath, file);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+// Current contents of a text file, or '' when it doesn't exist
+function readTextFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  }
+}
+
+// Quote an env file value when it contains anything beyond plain characters
+function quoteEnvValue(value) {
+  if (/^[\w@%+=:,./-]*$/.test(value)) return value;
+  return `"${value.replace(/(["\\$])/g, '\\$1').replace(/\n/g, '\\n')}"`;
+}
+
+// Set variables in an env file, replacing existing assignments in place and
+// keeping every other line. The file is only readable by its owner (0600).
+function writeEnvFile(file, values) {
+  const remaining = { ...values };
+  const lines = readTextFile(file).split('\n').filter((line, i, all) => line || i < all.length - 1);
+  const updated = lines.map(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+    if (!match || !(match[1] in remaining)) return line;
+    const value = remaining[match[1]];
+    delete remaining[match[1]];
+    return `${match[1]}=${quoteEnvValue(value)}`;
+  });
+  if (lines.length === 0) {
+    updated.push('# Loaded by the crush wrapper before starting Crush; variables set in the shell win');
+  }
+  Object.entries(remaining).forEach(([key, value]) => updated.push(`${key}=${quoteEnvValue(value)}`));
+  writeFileAtomic(file, `${updated.join('\n')}\n`, 0o600);
+  if (process.platform !== 'win32') {
+    fs.chmodSync(file, 0o600);
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  readTextFile,
+  quoteEnvValue,
+  writeEnvFile,
+};
@@ -0,0 +1,179 @@
+/**
+ * HTTP requests that honour the proxy and CA settings
+ */
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+// Whether a host is excluded from proxying by NO_PROXY
+function isNoProxy(hostname, noProxy = process.env.NO_PROXY || process.env.no_proxy || '') {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return noProxy.split(',').map(e => e.trim().toLowerCase()).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    const domain = entry.replace(/:\d+$/, '').replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+// Whether a host name refers to this machine
+function isLocalHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host.endsWith('.localhost') || /^127\./.test(host) ||
+    host === '::1' || host === '0.0.0.0' || host === os.hostname().toLowerCase();
+}
+
+// Warning for an endpoint on this machine that the proxy settings would
+// route through the proxy (e.g. a local Ollama), or null when there is none
+function localProxyConflict(endpoint, proxy, noProxy) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return null;
+  }
+  if (!proxy || !isLocalHost(url.hostname) || isNoProxy(url.hostname, noProxy || '')) return null;
+  return `${url.host} is on this machine, but NO_PROXY does not exclude it, so requests may go ` +
+    `through the proxy and fail; add ${url.hostname.replace(/^\[|\]$/g, '')} to NO_PROXY`;
+}
+
+// Proxy and NO_PROXY in effect for this process (shell or wrapper.json)
+function currentProxy() {
+  return {
+    proxy: process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy || '',
+    noProxy: process.env.NO_PROXY || process.env.no_proxy || ''
+  };
+}
+
+// Get the proxy URL to use for a target URL, or null for a direct connection
+function getProxyFor(target) {
+  if (isNoProxy(target.hostname)) return null;
+  const value = target.protocol === 'https:'
+    ? process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy
+    : process.env.HTTP_PROXY || process.env.http_proxy;
+  return value ? new URL(value.includes('://') ? value : `http://${value}`) : null;
+}
+
+// Build the CA list: public roots plus an optional corporate bundle
+function loadCA(caFile) {
+  const file = caFile || process.env.SSL_CERT_FILE || process.env.NODE_EXTRA_CA_CERTS;
+  if (!file) return undefined;
+  return [...tls.rootCertificates, fs.readFileSync(file, 'utf8')];
+}
+
+// Minimal HTTP(S) client with proxy (CONNECT tunnelling) and custom CA support.
+// Resolves with { status, headers, body } for any HTTP response; network
+// failures reject with the underlying error (err.code is preserved).
+function httpRequest(url, { method = 'GET', headers = {}, body, timeout = 30000, ca } = {}) {
+  const target = new URL(url);
+  const proxy = getProxyFor(target);
+  const isHttps = target.protocol === 'https:';
+  const port = target.port || (isHttps ? 443 : 80);
+  const proxyAuth = proxy && proxy.username
+    ? { 'Proxy-Authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}` }
+    : {};
+  const payload = body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body));
+  const requestHeaders = { ...headers };
+  if (payload !== undefined) {
+    requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    let req = null;
+    let connectReq = null;
+    const fail = (err) => {
+      if (!finished) {
+        finished = true;
+        reject(err);
+      }
+    };
+    const timer = setTimeout(() => {
+      const err = new Error(`Request timed out after ${timeout}ms`);
+      err.code = 'ETIMEDOUT';
+      fail(err);
+      if (req) req.destroy();
+      if (connectReq) connectReq.destroy();
+    }, timeout);
+
+    const send = (options) => {
+      req = (options.secure ? https : http).request(options, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          clearTimeout(timer);
+          if (!finished) {
+            finished = true;
+            resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') });
+          }
+        });
+        res.on('error', fail);
+      });
+      req.on('error', (err) => {
+        clearTimeout(timer);
+        fail(err);
+      });
+      if (payload !== undefined) req.write(payload);
+      req.end();
+    };
+
+    if (!proxy) {
+      send({
+        secure: isHttps, hostname: target.hostname, port, path: target.pathname + target.search,
+        method, headers: requestHeaders, ca, servername: target.hostname
+      });
+    } else if (!isHttps) {
+      // Plain HTTP through a proxy: send the absolute URL to the proxy
+      send({
+        hostname: proxy.hostname, port: proxy.port || 80, path: target.href,
+        method, headers: { ...requestHeaders, Host: target.host, ...proxyAuth }
+      });
+    } else {
+      // HTTPS through a proxy: open a CONNECT tunnel, then TLS over it
+      connectReq = http.request({
+        hostname: proxy.hostname, port: proxy.port || 80, method: 'CONNECT',
+        path: `${target.hostname}:${port}`, headers: { Host: `${target.hostname}:${port}`, ...proxyAuth }
+      });
+      connectReq.on('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          clearTimeout(timer);
+          socket.destroy();
+          const err = new Error(`Proxy ${proxy.host} refused the tunnel: HTTP ${res.statusCode}`);
+          err.code = res.statusCode === 407 ? 'EPROXYAUTH' : 'EPROXY';
+          fail(err);
+          return;
+        }
+        const secureSocket = tls.connect({ socket, servername: target.hostname, ca });
+        secureSocket.on('error', (err) => {
+          clearTimeout(timer);
+          fail(err);
+        });
+        send({
+          hostname: target.hostname, port, path: target.pathname + target.search, method,
+          headers: requestHeaders, createConnection: () => secureSocket
+        });
+      });
+      connectReq.on('error', (err) => {
+        clearTimeout(timer);
+        err.proxy = proxy.host;
+        fail(err);
+      });
+      connectReq.end();
+    }
+  });
+}
+
+// Append a relative path to a base URL, keeping the base's path
+function joinUrl(base, relative) {
+  return base.replace(/\/+$/, '') + '/' + relative.replace(/^\/+/, '');
+}
+
+module.exports = {
+  localProxyConflict,
+  currentProxy,
+  loadCA,
+  httpRequest,
+  joinUrl,
+};
@@ -0,0 +1,478 @@
+import { ChildProcess, StdioOptions } from 'child_process';
+
+/** Crush's config directory (~/.config/crush, or %LOCALAPPDATA%\crush on Windows) */
+export const CONFIG_DIR: string;
+/** The global crush.json */
+export const CONFIG_FILE: string;
+
+/** A crush.json document; see schema/crush.json for its full shape */
+export interface CrushConfig {
+  $schema?: string;
+  providers?: Record<string, ProviderConfig>;
+  models?: Record<string, { model: string; provider: string; [key: string]: unknown }>;
+  options?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+/** One entry of the providers map in crush.json */
+export interface ProviderConfig {
+  name?: string;
+  type: string;
+  base_url?: string;
+  api_key?: string;
+  models: ModelConfig[];
+  [key: string]: unknown;
+}
+
+export interface ModelConfig {
+  id: string;
+  name: string;
+  context_window: number;
+  default_max_tokens: number;
+  cost_per_1m_in: number;
+  cost_per_1m_out: number;
+  cost_per_1m_in_cached: number;
+  cost_per_1m_out_cached: number;
+  can_reason: boolean;
+  supports_attachments: boolean;
+  [key: string]: unknown;
+}
+
+/** A model in setup answers; only id is required */
+export interface ModelAnswer {
+  id: string;
+  name?: string;
+  contextWindow?: number;
+  maxTokens?: number;
+  canReason?: boolean;
+  supportsAttachments?: boolean;
+  costIn?: number;
+  costOut?: number;
+  costInCached?: number;
+  costOutCached?: number;
+}
+
+/** Setup answers, with the same keys as a crush-setup quick --answers file */
+export interface SetupAnswers {
+  provider: string;
+  endpoint?: string;
+  models?: ModelAnswer[];
+  large?: string;
+  small?: string;
+  disabledTools?: string[];
+  merge?: boolean;
+  localCopy?: boolean;
+  envExample?: boolean;
+  localSchema?: boolean;
+  force?: boolean;
+  proxy?: string;
+  noProxy?: string;
+  caFile?: string;
+  credentialHelper?: string;
+  /** Merged into the mcp section of crush.json */
+  mcpServers?: McpServerAnswer[];
+  /** Merged into the lsp section of crush.json, or of the project's config for those marked project */
+  lspServers?: LspServerAnswer[];
+  /** azure-openai: API version, written to the provider's extra_params.apiVersion */
+  apiVersion?: string;
+  /** vllm, litellm: whether the endpoint needs an API key */
+  requiresKey?: boolean;
+  /** anthropic-compat: also send the key as "Authorization: Bearer" */
+  bearerAuth?: boolean;
+}
+
+/**
+ * An MCP server in setup answers. type defaults to stdio when command is
+ * set and to http when url is. Secret-looking env and header values are
+ * replaced by $MCP_<NAME>_<KEY> references in crush.json.
+ */
+export interface McpServerAnswer {
+  name: string;
+  type?: 'stdio' | 'http' | 'sse';
+  command?: string;
+  args?: string[];
+  env?: Record<string, string>;
+  url?: string;
+  headers?: Record<string, string>;
+  /** Seconds */
+  timeout?: number;
+}
+
+/** A language server in setup answers, written to lsp.<name> */
+export interface LspServerAnswer {
+  name: string;
+  command: string;
+  args?: string[];
+  env?: Record<string, string>;
+  /** File extensions without the dot, e.g. ["go", "mod"] */
+  filetypes?: string[];
+  rootMarkers?: string[];
+  /** Write it to the project's crush.json instead of the global one */
+  project?: boolean;
+}
+
+/** A provider-specific question of a template */
+export interface TemplateQuestion {
+  /** Key in SetupAnswers */
+  key: string;
+  /** quick and provider add flag, without the leading -- */
+  flag: string;
+  prompt: string;
+  type?: 'string' | 'boolean';
+  default?: string | boolean;
+  /** Saved in wrapper.json and passed to Crush as this variable */
+  envVar?: string;
+  /** A problem with a string answer, or null */
+  check?(value: string): string | null;
+}
+
+export interface ProviderTemplate {
+  name: string;
+  defaultModel: string;
+  discovery: 'openai' | 'ollama' | 'azure' | 'anthropic';
+  envVars: string[];
+  endpoint: {
+    prompt: string;
+    example?: string;
+    default?: string;
+    /** Rewrite a valid URL ending in / into the base_url the provider expects */
+    normalize?(endpoint: string): string;
+  };
+  questions: TemplateQuestion[];
+  /** Problems with the answers as a whole */
+  validate?(answers: SetupAnswers): string[];
+  config(answers: Partial<SetupAnswers>): ProviderConfig;
+}
+
+/** Provider types the setup wizard knows, keyed by the provider answer */
+export const PROVIDER_TEMPLATES: Record<string, ProviderTemplate>;
+
+/** Thrown by buildProviderConfig and buildConfig for invalid answers */
+export interface AnswersError extends Error {
+  code: 'EANSWERS';
+  errors: string[];
+}
+
+/**
+ * Path of the Crush binary, prepared and verified as the crush command does.
+ * Throws with code ENOBINARY when none is installed, or EINTEGRITY when it
+ * fails verification.
+ */
+export function getBinaryPath(): string;
+
+export interface RunOptions {
+  /** Base environment; defaults to process.env */
+  env?: NodeJS.ProcessEnv;
+  cwd?: string;
+  /** Defaults to 'inherit' */
+  stdio?: StdioOptions;
+  /** Run this binary instead of resolving one */
+  binaryPath?: string;
+  /** Add env files, network settings and credential helper tokens (default true) */
+  wrapperEnv?: boolean;
+  /** Receives problems with env files and credential helpers; defaults to console.error */
+  onWarning?: (message: string) => void;
+}
+
+export interface RunResult {
+  code: number | null;
+  signal: NodeJS.Signals | null;
+}
+
+export interface RunPromise extends Promise<RunResult> {
+  /** The Crush process, or undefined when it could not be started */
+  child?: ChildProcess;
+}
+
+/** Run Crush with the given arguments; resolves once it exits */
+export function run(args?: string[], options?: RunOptions): RunPromise;
+
+/**
+ * Pass signals this process receives on to the child, leaving out those the
+ * terminal already delivers to it. Returns a function that stops forwarding.
+ */
+export function forwardSignals(child: ChildProcess, options?: { terminal?: boolean }): () => void;
+
+/** 128 plus the signal's number, the exit code shells report for it */
+export function signalExitCode(signal: NodeJS.Signals): number;
+
+/** Build the providers entry for one provider from setup answers */
+export function buildProviderConfig(answers: SetupAnswers): ProviderConfig;
+
+/**
+ * Build a complete crush.json from setup answers, merged over an existing
+ * config (other providers and options are kept)
+ */
+export function buildConfig(answers: SetupAnswers, existingConfig?: CrushConfig): CrushConfig;
+
+/**
+ * Build the project's crush.json: the language servers marked project merged
+ * into the existing project config; null when there are none
+ */
+export function buildProjectConfig(answers: SetupAnswers, existingConfig?: CrushConfig): CrushConfig | null;
+
+export interface ConfigLayer {
+  name: 'global' | 'data' | 'project';
+  file: string;
+  /** null when the file could not be parsed */
+  config: CrushConfig | null;
+  error?: string;
+}
+
+/**
+ * The config files Crush merges that exist, lowest priority first: the
+ * global crush.json, the one in Crush's data directory, then crush.json /
+ * .crush.json from the filesystem root down to cwd. env picks the global and
+ * data locations (CRUSH_GLOBAL_CONFIG, CRUSH_GLOBAL_DATA, XDG_DATA_HOME).
+ */
+export function loadConfigLayers(env?: NodeJS.ProcessEnv, cwd?: string): ConfigLayer[];
+
+/**
+ * Merge config layers the way Crush does (later layers win), then apply
+ * environment overrides. sources maps JSON paths to the file or variable
+ * each value came from.
+ */
+export function mergeConfigLayers(
+  layers: ConfigLayer[],
+  env?: NodeJS.ProcessEnv
+): { config: CrushConfig; sources: Record<string, string> };
+
+export interface ValidationIssue {
+  path: string;
+  problem: string;
+  suggestion?: string;
+  /** Unknown keys are warnings, which setup reports but never refuses to save */
+  severity: 'error' | 'warning';
+}
+
+/** Check a config against the bundled schema; an empty list means valid */
+export function validateConfig(config: unknown): ValidationIssue[];
+
+/** Read a config file (the global crush.json by default); null when missing */
+export function readConfig(file?: string): CrushConfig | null;
+
+/** Write a config file atomically, backing up the global crush.json first */
+export function saveConfig(config: CrushConfig, file?: string): void;
+
+/**
+ * Build setup answers from parsed crush-setup quick arguments: positionals
+ * are [provider, endpoint, models], flags map flag names (without dashes)
+ * to values (arrays when repeated). The file in flags.answers is read first.
+ */
+export function answersFromFlags(
+  positional: string[],
+  flags: Record<string, string | boolean | Array<string | boolean>>
+): { answers: Partial<SetupAnswers>; errors: string[] };
+
+export interface ProvisionOptions {
+  /** Ask a yes/no question; without it, setup runs non-interactively */
+  confirm?: (prompt: string, defaultYes: boolean) => Promise<boolean>;
+  /** Progress, diffs and validation reports (console.log by default) */
+  log?: (message: string) => void;
+  /** Failures (console.error by default) */
+  error?: (message: string) => void;
+}
+
+/**
+ * Write the config for setup answers, with the wrapper settings, project
+ * language servers, local copy and .env.example they ask for, the way
+ * crush-setup does. Resolves with false when the config was not saved.
+ */
+export function provision(answers: SetupAnswers, options?: ProvisionOptions): Promise<boolean>;
+
+/** Line diff of two texts */
+export function diffLines(before: string | null, after: string | null): Array<{ op: ' ' | '-' | '+'; line: string }>;
+
+/** Unified-style diff of a file's old and new contents */
+export function formatDiff(file: string, before: string | null, after: string, context?: number): string;
+
+/** Validation issues listed under a heading, as crush-setup prints them */
+export function formatIssues(label: string, issues: ValidationIssue[]): string;
+
+export interface ConfigChangeOptions {
+  /** Block schema errors the change introduces (default true) */
+  validate?: boolean;
+  /** Asked before writing; without it the change is written */
+  confirm?: () => Promise<boolean>;
+  /** The diff and messages (console.log by default) */
+  log?: (message: string) => void;
+}
+
+export interface ConfigChangeResult {
+  saved: boolean;
+  /** Why nothing was written */
+  reason: 'unchanged' | 'invalid' | 'declined' | null;
+}
+
+/**
+ * Show the diff between a config and its changed version and write the
+ * change once the schema and options.confirm allow it
+ */
+export function applyConfigChange(
+  file: string,
+  before: CrushConfig | null,
+  after: CrushConfig,
+  options?: ConfigChangeOptions
+): Promise<ConfigChangeResult>;
+
+/**
+ * The result of a provider or model edit: the changed copy of the config,
+ * or config null and the reasons the edit can't be made. Nothing is written;
+ * save the config with applyConfigChange or saveConfig.
+ */
+export interface ConfigEdit {
+  config: CrushConfig | null;
+  errors: string[];
+}
+
+/**
+ * Add a provider built from setup answers. select points the large/small
+ * selection at it (by default only when no large model is selected yet);
+ * apiKey replaces the template's api_key.
+ */
+export function addProvider(
+  config: CrushConfig | null,
+  name: string,
+  answers: SetupAnswers,
+  options?: { apiKey?: string; select?: boolean }
+): ConfigEdit;
+
+/** Remove a provider; refused while it supplies the large or small model */
+export function removeProvider(config: CrushConfig | null, name: string): ConfigEdit;
+
+/** Change a provider's endpoint (base_url), api_key, type or display name */
+export function editProvider(
+  config: CrushConfig | null,
+  name: string,
+  changes: { endpoint?: string; apiKey?: string; type?: string; displayName?: string }
+): ConfigEdit;
+
+/** Add a model to a provider */
+export function addModel(config: CrushConfig | null, provider: string, answer: ModelAnswer): ConfigEdit;
+
+/** Remove a model from a provider; refused while it is the large or small model */
+export function removeModel(config: CrushConfig | null, provider: string, modelId: string): ConfigEdit;
+
+/** Select a provider's model for each kind given (the large model by default) */
+export function setDefaultModel(
+  config: CrushConfig | null,
+  provider: string,
+  modelId: string,
+  kinds?: Array<'large' | 'small'>
+): ConfigEdit;
+
+export interface Backup {
+  /** e.g. 20250131T090000Z */
+  timestamp: string;
+  file: string;
+}
+
+/** Backups of the global crush.json, newest first */
+export function listBackups(): Backup[];
+
+/** The backup with a timestamp, or the newest one; null when there is none */
+export function findBackup(timestamp?: string): Backup | null;
+
+export interface ProbeResult {
+  status: 'pass' | 'warn' | 'fail';
+  /** e.g. ok, auth, dns, tls, timeout, proxy, model, api_version, http */
+  category: string;
+  message: string;
+}
+
+/**
+ * Send a minimal request to each provider in a config (or only the one
+ * named options.only), one after another, as crush-setup test does
+ */
+export function probeProviders(
+  config: CrushConfig | null,
+  options?: {
+    only?: string;
+    timeout?: number;
+    ca?: string | Buffer;
+    onResult?: (probed: { name: string; result: ProbeResult }) => void;
+  }
+): Promise<Array<{ name: string; result: ProbeResult }>>;
+
+export interface DoctorCheck {
+  id: string;
+  title: string;
+  status: 'pass' | 'warn' | 'fail';
+  message: string;
+}
+
+/** The crush-setup doctor checks, run against process.env */
+export function runDoctorChecks(): DoctorCheck[];
+
+/** The crush-setup doctor --json report */
+export function doctorReport(): {
+  version: string;
+  node: string;
+  platform: string;
+  arch: string;
+  libc: string | null;
+  configFile: string;
+  checks: DoctorCheck[];
+  summary: { pass: number; warn: number; fail: number };
+};
+
+/** An entry of the audit log; see the README for its fields */
+export type AuditEntry = Record<string, unknown> & { timestamp: string };
+
+/**
+ * Entries of the audit log (from wrapper.json's audit settings by default),
+ * oldest first; invalid counts lines that are not JSON
+ */
+export function readAuditLog(settings?: { file: string; maxFiles: number }): { entries: AuditEntry[]; invalid: number };
+
+/**
+ * A filter for audit entries, as the crush-setup audit flags select them.
+ * Throws when since or until is not a date.
+ */
+export function auditEntryFilter(filters?: {
+  since?: string;
+  until?: string;
+  user?: string;
+  repo?: string;
+  provider?: string;
+}): (entry: AuditEntry) => boolean;
+
+/** Audit entries as a JSON Lines or CSV export */
+export function formatAuditEntries(entries: AuditEntry[], format?: 'jsonl' | 'csv'): string;
+
+export interface PolicyViolation {
+  path: string;
+  problem: string;
+  /** The config file or env variable the value came from */
+  source: string | null;
+  /** Whether the wrapper can override it in enforce mode */
+  enforceable: boolean;
+}
+
+/**
+ * The admin policy and how the effective config in the current directory
+ * meets it; null without a policy file
+ */
+export function policyStatus(env?: NodeJS.ProcessEnv):
+  | { file: string; mode: 'enforce' | 'refuse'; violations: PolicyViolation[] }
+  | { file: string; error: string }
+  | null;
+
+/** A mock server fixture; see the README for its keys */
+export interface MockFixture {
+  models: Array<{ id: string; name?: string; context_window?: number }>;
+  api_key?: string;
+  [key: string]: unknown;
+}
+
+/** Read and check a mock server fixture; throws when it can't be used */
+export function loadFixture(file: string): MockFixture;
+
+/** Create (but don't start) the mock OpenAI-compatible server */
+export function createMockServer(
+  fixture?: MockFixture,
+  options?: { onRequest?: (request: Record<string, unknown>) => void }
+): import('http').Server;
+
+/** The providers entry for a mock server at baseUrl serving a fixture */
+export function mockProviderConfig(baseUrl: string, fixture: MockFixture): ProviderConfig;
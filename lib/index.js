@@ -0,0 +1,141 @@
+/**
+ * Node API for @offlinecli/crush
+ *
+ * Resolves and runs the bundled Crush binary, and builds, merges, validates
+ * and saves crush.json the same way the crush and crush-setup commands do
+ * (crush-setup itself only parses arguments and prompts around these).
+ */
+
+const { CONFIG_DIR, CONFIG_FILE } = require('./paths');
+const { getBinaryPath } = require('./binary');
+const { run, forwardSignals, signalExitCode } = require('./run');
+const { validateConfig } = require('./schema');
+const {
+  PROVIDER_TEMPLATES,
+  normalizeAnswers,
+  checkAnswers,
+  buildConfig: buildFullConfig,
+  buildProjectConfig: buildFullProjectConfig,
+  loadConfigLayers,
+  mergeConfigLayers,
+  readConfigFile,
+  saveConfigFile,
+  listBackups,
+  findBackup,
+} = require('./config');
+const { answersFromFlags } = require('./answers');
+const { diffLines, formatDiff, formatIssues, applyConfigChange } = require('./changes');
+const { provision } = require('./provision');
+const {
+  addProvider,
+  removeProvider,
+  editProvider,
+  addModel,
+  removeModel,
+  setDefaultModel,
+} = require('./manage');
+const { probeProviders } = require('./providers');
+const { runDoctorChecks, doctorReport } = require('./doctor');
+const { readAuditLog, auditEntryFilter, formatAuditEntries } = require('./audit');
+const { policyStatus } = require('./policy');
+const { loadFixture, createMockServer, mockProviderConfig } = require('./mock-server');
+
+/**
+ * Fill in defaults for a set of setup answers and check them, throwing an
+ * error with code EANSWERS and the problems in err.errors when they are invalid
+ */
+function prepareAnswers(answers) {
+  const normalized = normalizeAnswers(answers || {});
+  const errors = checkAnswers(normalized);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid setup answers: ${errors.join('; ')}`);
+    err.code = 'EANSWERS';
+    err.errors = errors;
+    throw err;
+  }
+  return normalized;
+}
+
+/**
+ * Build the providers entry for one provider from setup answers (the same
+ * keys as an answers file for crush-setup quick --answers)
+ */
+function buildProviderConfig(answers) {
+  const normalized = prepareAnswers(answers);
+  return PROVIDER_TEMPLATES[normalized.provider].config(normalized);
+}
+
+/**
+ * Build a complete crush.json from setup answers, merged over an existing
+ * config: other providers and options are kept, the answered provider and
+ * the model selection are replaced
+ */
+function buildConfig(answers, existingConfig = {}) {
+  return buildFullConfig(prepareAnswers(answers), existingConfig || {});
+}
+
+/**
+ * Build the project's crush.json from setup answers: the language servers
+ * marked `project` merged into the existing project config's lsp section.
+ * Returns null when no server belongs in the project config.
+ */
+function buildProjectConfig(answers, existingConfig = {}) {
+  return buildFullProjectConfig(prepareAnswers(answers), existingConfig || {});
+}
+
+/**
+ * Read a config file (the global crush.json by default); null when missing
+ */
+function readConfig(file = CONFIG_FILE) {
+  return readConfigFile(file);
+}
+
+/**
+ * Write a config file atomically (the global crush.json by default). The
+ * global file gets a timestamped backup first, like crush-setup makes.
+ */
+function saveConfig(config, file = CONFIG_FILE) {
+  saveConfigFile(file, config);
+}
+
+module.exports = {
+  CONFIG_DIR,
+  CONFIG_FILE,
+  PROVIDER_TEMPLATES,
+  getBinaryPath,
+  run,
+  forwardSignals,
+  signalExitCode,
+  buildProviderConfig,
+  buildConfig,
+  buildProjectConfig,
+  loadConfigLayers,
+  mergeConfigLayers,
+  validateConfig,
+  readConfig,
+  saveConfig,
+  answersFromFlags,
+  provision,
+  diffLines,
+  formatDiff,
+  formatIssues,
+  applyConfigChange,
+  addProvider,
+  removeProvider,
+  editProvider,
+  addModel,
+  removeModel,
+  setDefaultModel,
+  listBackups,
+  findBackup,
+  probeProviders,
+  runDoctorChecks,
+  doctorReport,
+  readAuditLog,
+  auditEntryFilter,
+  formatAuditEntries,
+  policyStatus,
+  loadFixture,
+  createMockServer,
+  mockProviderConfig,
+};
@@ -0,0 +1,233 @@
+/**
+ * Finding language servers for the current project: the languages it uses
+ * are read from its files, and known servers for them are looked up in the
+ * project's node_modules/.bin, extra tool directories and PATH
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { expandHome } = require('./paths');
+
+// Env var listing extra directories to search, separated like PATH
+const LSP_DIRS_ENV = 'CRUSH_LSP_DIRS';
+
+/**
+ * Languages with the file extensions and root markers that show a project
+ * uses them, and the servers for each in order of preference. The language
+ * key becomes the server's key under `lsp` in crush.json.
+ */
+const LANGUAGES = {
+  go: {
+    extensions: ['go'],
+    markers: ['go.mod', 'go.work'],
+    filetypes: ['go', 'mod', 'work', 'gotmpl'],
+    rootMarkers: ['go.mod', 'go.work'],
+    servers: [{ command: 'gopls', args: [] }],
+  },
+  typescript: {
+    extensions: ['ts', 'tsx', 'js', 'jsx', 'mjs', 'cjs', 'mts', 'cts'],
+    markers: ['tsconfig.json', 'jsconfig.json'],
+    filetypes: ['ts', 'tsx', 'js', 'jsx', 'mjs', 'cjs', 'mts', 'cts'],
+    rootMarkers: ['tsconfig.json', 'jsconfig.json', 'package.json'],
+    servers: [{ command: 'typescript-language-server', args: ['--stdio'] }],
+  },
+  python: {
+    extensions: ['py', 'pyi'],
+    markers: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt'],
+    filetypes: ['py', 'pyi'],
+    rootMarkers: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt'],
+    servers: [
+      { command: 'pyright-langserver', args: ['--stdio'] },
+      { command: 'basedpyright-langserver', args: ['--stdio'] },
+      { command: 'pylsp', args: [] },
+    ],
+  },
+  rust: {
+    extensions: ['rs'],
+    markers: ['Cargo.toml'],
+    filetypes: ['rs'],
+    rootMarkers: ['Cargo.toml'],
+    servers: [{ command: 'rust-analyzer', args: [] }],
+  },
+  c: {
+    extensions: ['c', 'h', 'cc', 'cpp', 'cxx', 'hh', 'hpp', 'hxx'],
+    markers: ['compile_commands.json', 'CMakeLists.txt', '.clangd'],
+    filetypes: ['c', 'h', 'cc', 'cpp', 'cxx', 'hh', 'hpp', 'hxx'],
+    rootMarkers: ['compile_commands.json', 'compile_flags.txt', '.clangd', 'CMakeLists.txt'],
+    servers: [{ command: 'clangd', args: [] }],
+  },
+  java: {
+    extensions: ['java'],
+    markers: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+    filetypes: ['java'],
+    rootMarkers: ['pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle'],
+    servers: [{ command: 'jdtls', args: [] }],
+  },
+  bash: {
+    extensions: ['sh', 'bash'],
+    markers: [],
+    filetypes: ['sh', 'bash'],
+    servers: [{ command: 'bash-language-server', args: ['start'] }],
+  },
+  lua: {
+    extensions: ['lua'],
+    markers: ['.luarc.json'],
+    filetypes: ['lua'],
+    rootMarkers: ['.luarc.json'],
+    servers: [{ command: 'lua-language-server', args: [] }],
+  },
+  zig: {
+    extensions: ['zig'],
+    markers: ['build.zig'],
+    filetypes: ['zig'],
+    rootMarkers: ['build.zig'],
+    servers: [{ command: 'zls', args: [] }],
+  },
+};
+
+// Directories not worth reading when looking for a project's languages
+const SKIPPED_DIRS = ['node_modules', 'vendor', 'target', 'dist', 'build', 'out', '__pycache__', 'venv'];
+const MAX_SCAN_DEPTH = 4;
+const MAX_SCAN_ENTRIES = 5000;
+
+/**
+ * Languages used in a project directory, from root markers and the
+ * extensions of files up to a few levels down (hidden and dependency
+ * directories are skipped, and the scan stops after a few thousand entries)
+ */
+function detectLanguages(dir = process.cwd()) {
+  const extensions = new Set();
+  const files = new Set();
+  let budget = MAX_SCAN_ENTRIES;
+
+  const scan = (current, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (--budget < 0) return;
+      if (entry.isDirectory()) {
+        if (depth < MAX_SCAN_DEPTH && !entry.name.startsWith('.') && !SKIPPED_DIRS.includes(entry.name)) {
+          scan(path.join(current, entry.name), depth + 1);
+        }
+      } else {
+        if (depth === 0) files.add(entry.name);
+        const ext = path.extname(entry.name).slice(1).toLowerCase();
+        if (ext) extensions.add(ext);
+      }
+    }
+  };
+  scan(dir, 0);
+
+  return Object.keys(LANGUAGES).filter((language) => {
+    const { extensions: exts, markers } = LANGUAGES[language];
+    return markers.some(marker => files.has(marker)) || exts.some(ext => extensions.has(ext));
+  });
+}
+
+/**
+ * Directories searched for language servers, in order: node_modules/.bin
+ * of the project and its parent directories up to the repository root,
+ * the extra directories ($CRUSH_LSP_DIRS, then `extraDirs`), and PATH.
+ * Each is { dir, source } where source is 'project', 'extra' or 'PATH'.
+ */
+function lspSearchDirs(options = {}) {
+  const { cwd = process.cwd(), extraDirs = [], env = process.env } = options;
+  const dirs = [];
+  const add = (dir, source) => {
+    if (dir && !dirs.some(d => d.dir === dir)) dirs.push({ dir, source });
+  };
+
+  for (let current = path.resolve(cwd); ; current = path.dirname(current)) {
+    add(path.join(current, 'node_modules', '.bin'), 'project');
+    if (fs.existsSync(path.join(current, '.git')) || path.dirname(current) === current) break;
+  }
+  const extra = [...(env[LSP_DIRS_ENV] || '').split(path.delimiter), ...extraDirs];
+  extra.filter(Boolean).forEach(dir => add(path.resolve(expandHome(dir)), 'extra'));
+  (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean).forEach(dir => add(dir, 'PATH'));
+  return dirs;
+}
+
+/**
+ * Path of an executable named `command` in a directory, or null. On Windows
+ * the PATHEXT extensions (.cmd for node_modules/.bin shims) are tried.
+ */
+function findExecutable(command, dir, env = process.env) {
+  const names = process.platform === 'win32'
+    ? (env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean).map(ext => command + ext.toLowerCase())
+    : [command];
+  for (const name of names) {
+    const file = path.join(dir, name);
+    try {
+      const stat = fs.statSync(file);
+      if (!stat.isFile()) continue;
+      if (process.platform !== 'win32') fs.accessSync(file, fs.constants.X_OK);
+      return file;
+    } catch {
+      // Not here
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a server for each language the project uses. Returns
+ * { languages, servers, missing }: each server is { answer, path, source }
+ * where answer is its lsp answer ({ name, command, args, filetypes,
+ * rootMarkers, project }) and path and source say where the command was
+ * found; missing lists the languages with no server installed. A server on
+ * PATH keeps its bare command name; one found elsewhere gets its full path,
+ * since Crush only searches PATH. Only servers in the project's
+ * node_modules/.bin are marked `project`, so they are written to the
+ * project's config: those in the extra directories serve every project and
+ * go to the global config like the ones on PATH.
+ */
+function detectLanguageServers(options = {}) {
+  const { cwd = process.cwd(), env = process.env } = options;
+  const languages = detectLanguages(cwd);
+  const dirs = lspSearchDirs(options);
+  const servers = [];
+  const missing = [];
+
+  for (const language of languages) {
+    const spec = LANGUAGES[language];
+    let found = null;
+    for (const candidate of spec.servers) {
+      for (const { dir, source } of dirs) {
+        const file = findExecutable(candidate.command, dir, env);
+        if (file) {
+          found = { candidate, file, source };
+          break;
+        }
+      }
+      if (found) break;
+    }
+    if (!found) {
+      missing.push(language);
+      continue;
+    }
+    const answer = {
+      name: language,
+      command: found.source === 'PATH' ? found.candidate.command : found.file,
+      args: [...found.candidate.args],
+      filetypes: [...spec.filetypes],
+    };
+    if (spec.rootMarkers) answer.rootMarkers = [...spec.rootMarkers];
+    if (found.source === 'project') answer.project = true;
+    servers.push({ answer, path: found.file, source: found.source });
+  }
+  return { languages, servers, missing };
+}
+
+module.exports = {
+  LSP_DIRS_ENV,
+  LANGUAGES,
+  detectLanguages,
+  lspSearchDirs,
+  findExecutable,
+  detectLanguageServers,
+};
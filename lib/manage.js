@@ -0,0 +1,191 @@
+/**
+ * Provider and model management: the config edits behind `crush-setup
+ * provider` and `crush-setup model`. Each edit takes a config and returns
+ * { config, errors } with a changed copy, or config null and the problems
+ * when the edit can't be made; nothing is written.
+ */
+
+const {
+  PROVIDER_TEMPLATES,
+  buildModel,
+  buildModelSelection,
+  normalizeAnswers,
+  checkAnswers,
+  checkModelAnswer,
+} = require('./config');
+
+/**
+ * Model kinds (large, small) in the selection that use a provider, or one
+ * of its models when modelId is given
+ */
+function selectionsUsing(config, providerName, modelId) {
+  return ['large', 'small'].filter(kind => {
+    const selected = config && config.models && config.models[kind];
+    return selected && selected.provider === providerName && (modelId === undefined || selected.model === modelId);
+  });
+}
+
+/**
+ * The result of an edit: the changed config, or the problems found
+ */
+function editResult(config, errors) {
+  return errors.length > 0 ? { config: null, errors } : { config, errors };
+}
+
+/**
+ * Add a provider built from setup answers (the keys of a crush-setup quick
+ * answers file) under `name`. Options: apiKey replaces the template's
+ * api_key; select points the large/small selection at the new provider's
+ * models, which by default happens only when no large model is selected yet.
+ */
+function addProvider(config, name, answers, options = {}) {
+  const current = config || {};
+  const { apiKey, select = !(current.models && current.models.large) } = options;
+  const providers = current.providers || {};
+  const errors = [];
+  if (providers[name]) {
+    errors.push(`Provider "${name}" already exists; edit it or pick another name`);
+  }
+  const normalized = normalizeAnswers(answers);
+  errors.push(...checkAnswers(normalized));
+  if (errors.length > 0) {
+    return editResult(null, errors);
+  }
+
+  const provider = PROVIDER_TEMPLATES[normalized.provider].config(normalized);
+  if (apiKey !== undefined) {
+    provider.api_key = apiKey;
+  }
+  const updated = { ...current, providers: { ...providers, [name]: provider } };
+  if (select) {
+    updated.models = { ...(current.models || {}), ...buildModelSelection(name, normalized.large, normalized.small) };
+  }
+  return editResult(updated, errors);
+}
+
+/**
+ * Remove a provider. One that supplies the large or small model is refused
+ * until another model is selected.
+ */
+function removeProvider(config, name) {
+  const providers = (config && config.providers) || {};
+  if (!providers[name]) {
+    return editResult(null, [`Provider "${name}" is not configured`]);
+  }
+  const used = selectionsUsing(config, name);
+  if (used.length > 0) {
+    return editResult(null, [`Provider "${name}" supplies the ${used.join(' and ')} model${used.length > 1 ? 's' : ''}; ` +
+      'pick another with "crush-setup model set-default" first']);
+  }
+  const remaining = { ...providers };
+  delete remaining[name];
+  return editResult({ ...config, providers: remaining }, []);
+}
+
+/**
+ * Change a provider's settings. changes may hold endpoint (base_url, which
+ * gets a trailing /), apiKey, type and displayName (its name).
+ */
+function editProvider(config, name, changes = {}) {
+  const providers = (config && config.providers) || {};
+  if (!providers[name]) {
+    return editResult(null, [`Provider "${name}" is not configured`]);
+  }
+  const provider = { ...providers[name] };
+  if (changes.endpoint !== undefined) {
+    try {
+      new URL(changes.endpoint);
+    } catch {
+      return editResult(null, [`Endpoint "${changes.endpoint}" is not a valid URL`]);
+    }
+    provider.base_url = changes.endpoint.endsWith('/') ? changes.endpoint : `${changes.endpoint}/`;
+  }
+  if (changes.apiKey !== undefined) provider.api_key = changes.apiKey;
+  if (changes.type !== undefined) provider.type = changes.type;
+  if (changes.displayName !== undefined) provider.name = changes.displayName;
+  return editResult({ ...config, providers: { ...providers, [name]: provider } }, []);
+}
+
+/**
+ * A provider's entry and a function returning the config with its model
+ * list replaced, or the problem when the provider is missing
+ */
+function providerModels(config, providerName) {
+  const providers = (config && config.providers) || {};
+  const provider = providers[providerName];
+  if (!provider) {
+    return { error: `Provider "${providerName}" is not configured` };
+  }
+  return {
+    models: provider.models || [],
+    withModels: list => ({ ...config, providers: { ...providers, [providerName]: { ...provider, models: list } } }),
+  };
+}
+
+/**
+ * Add a model to a provider from a model answer ({ id, name, contextWindow,
+ * maxTokens, canReason, supportsAttachments, costIn, ... } as in an answers
+ * file). Attachment support defaults to that of the provider's first model.
+ */
+function addModel(config, providerName, answer) {
+  const { error, models, withModels } = providerModels(config, providerName);
+  if (error) {
+    return editResult(null, [error]);
+  }
+  const errors = checkModelAnswer(answer, 'model');
+  if (answer && models.some(m => m.id === answer.id)) {
+    errors.push(`Model "${answer.id}" already exists for provider "${providerName}"`);
+  }
+  if (errors.length > 0) {
+    return editResult(null, errors);
+  }
+  const supportsAttachments = models.length > 0 ? models[0].supports_attachments : true;
+  return editResult(withModels([...models, buildModel(answer, { supportsAttachments })]), []);
+}
+
+/**
+ * Remove a model from a provider. The selected large or small model is
+ * refused until another one is selected.
+ */
+function removeModel(config, providerName, modelId) {
+  const { error, models, withModels } = providerModels(config, providerName);
+  if (error) {
+    return editResult(null, [error]);
+  }
+  if (!models.some(m => m.id === modelId)) {
+    return editResult(null, [`Model "${modelId}" is not configured for provider "${providerName}"`]);
+  }
+  const used = selectionsUsing(config, providerName, modelId);
+  if (used.length > 0) {
+    return editResult(null, [`Model "${modelId}" is the ${used.join(' and ')} model${used.length > 1 ? 's' : ''}; ` +
+      'pick another with "crush-setup model set-default" first']);
+  }
+  return editResult(withModels(models.filter(m => m.id !== modelId)), []);
+}
+
+/**
+ * Select a provider's model as the large model, or for each kind in `kinds`
+ * ('large', 'small'), keeping other settings of the selection
+ */
+function setDefaultModel(config, providerName, modelId, kinds = ['large']) {
+  const { error, models } = providerModels(config, providerName);
+  if (error) {
+    return editResult(null, [error]);
+  }
+  if (!models.some(m => m.id === modelId)) {
+    return editResult(null, [`Model "${modelId}" is not configured for provider "${providerName}"`]);
+  }
+  const selection = { ...(config.models || {}) };
+  kinds.forEach(kind => { selection[kind] = { ...(selection[kind] || {}), model: modelId, provider: providerName }; });
+  return editResult({ ...config, models: selection }, []);
+}
+
+module.exports = {
+  selectionsUsing,
+  addProvider,
+  removeProvider,
+  editProvider,
+  addModel,
+  removeModel,
+  setDefaultModel,
+};
@@ -0,0 +1,158 @@
+/**
+ * Checking MCP (Model Context Protocol) servers before they go into the
+ * config: a stdio server is launched and must complete the initialize
+ * handshake
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const { version } = require('../package.json');
+const { findExecutable } = require('./lsp');
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+const DEFAULT_MCP_CHECK_TIMEOUT_MS = 10000;
+
+/**
+ * Fill $VAR and ${VAR} references in an MCP server's env values from the
+ * environment, the way Crush does when it starts the server
+ */
+function resolveMcpEnv(env = {}, base = process.env) {
+  return Object.fromEntries(Object.entries(env).map(([name, value]) => [
+    name, String(value).replace(/\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?/g, (ref, envVar) => base[envVar] || '')
+  ]));
+}
+
+/**
+ * The file a server command runs: a bare name is looked up in env's PATH
+ * the way Crush finds it, so on Windows `npx` is found as npx.cmd. Commands
+ * with a directory, and names not found, are returned as they are.
+ */
+function resolveCommand(command, env = process.env) {
+  if (/[\\/]/.test(command)) {
+    return command;
+  }
+  for (const dir of (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean)) {
+    const file = findExecutable(command, dir, env);
+    if (file) return file;
+  }
+  return command;
+}
+
+/**
+ * spawn() arguments for running a file. Windows can only run .cmd and .bat
+ * files (such as npm's shims) through cmd.exe, so those get a quoted
+ * command line for it.
+ */
+function spawnCommand(file, args, env) {
+  if (process.platform !== 'win32' || !/\.(cmd|bat)$/i.test(file)) {
+    return { file, args, options: {} };
+  }
+  const line = [file, ...args].map(arg => `"${String(arg).replace(/"/g, '""')}"`).join(' ');
+  return {
+    file: env.ComSpec || env.COMSPEC || 'cmd.exe',
+    args: ['/d', '/s', '/c', `"${line}"`],
+    options: { windowsVerbatimArguments: true },
+  };
+}
+
+/**
+ * Launch a stdio MCP server ({ command, args, env }) and complete the
+ * initialize handshake over newline-delimited JSON-RPC. Resolves with
+ * { name, version, protocolVersion } from the server's reply; rejects when
+ * it can't be started, exits, answers with an error or doesn't answer
+ * within options.timeout milliseconds. The server is stopped afterwards.
+ * options.env is the environment it starts with (process.env by default),
+ * whose PATH is searched for the command (see resolveCommand).
+ */
+function checkStdioServer(server, options = {}) {
+  const { timeout = DEFAULT_MCP_CHECK_TIMEOUT_MS, env = process.env } = options;
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let stdout = '';
+    let stderr = '';
+    const childEnv = { ...env, ...resolveMcpEnv(server.env, env) };
+    const command = spawnCommand(resolveCommand(server.command, childEnv), server.args || [], childEnv);
+    const child = spawn(command.file, command.args, {
+      ...command.options,
+      env: childEnv,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.stdin.end();
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+      }
+      if (err) reject(err);
+      else resolve(result);
+    };
+    const lastStderr = () => {
+      const line = stderr.trim().split('\n').pop();
+      return line ? ` (${line.slice(0, 200)})` : '';
+    };
+    const timer = setTimeout(() => {
+      finish(new Error(`no reply to initialize within ${Math.round(timeout / 1000)}s${lastStderr()}`));
+    }, timeout);
+
+    child.on('error', (err) => finish(new Error(`could not start ${server.command}: ${err.message}`)));
+    child.on('exit', (code, signal) => {
+      finish(new Error(`exited with ${signal || `code ${code}`} before completing the handshake${lastStderr()}`));
+    });
+    child.stdin.on('error', () => {
+      // Reported through the exit handler
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      let newline;
+      while ((newline = stdout.indexOf('\n')) >= 0) {
+        const line = stdout.slice(0, newline).trim();
+        stdout = stdout.slice(newline + 1);
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (!message || message.id !== 1) continue;
+        if (message.error) {
+          finish(new Error(`initialize failed: ${message.error.message || JSON.stringify(message.error)}`));
+          return;
+        }
+        const result = message.result || {};
+        child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+        finish(null, {
+          name: (result.serverInfo && result.serverInfo.name) || null,
+          version: (result.serverInfo && result.serverInfo.version) || null,
+          protocolVersion: result.protocolVersion || null,
+        });
+        return;
+      }
+    });
+
+    child.stdin.write(`${JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'crush-setup', version },
+      },
+    })}\n`);
+  });
+}
+
+module.exports = {
+  MCP_PROTOCOL_VERSION,
+  resolveMcpEnv,
+  resolveCommand,
+  checkStdioServer,
+};
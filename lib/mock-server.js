@@ -0,0 +1,338 @@
+/**
+ * Local mock of an OpenAI-compatible endpoint, for testing a Crush setup
+ * (config, proxies, the wrapper's environment) without access to a model
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const { buildModel } = require('./config');
+
+const DEFAULT_MOCK_PORT = 8808;
+// Variable the mock provider's api_key refers to when the fixture needs a key
+const MOCK_API_KEY_ENV = 'CRUSH_MOCK_API_KEY';
+const FIXTURE_KEYS = ['models', 'api_key', 'latency_ms', 'chunk_delay_ms', 'responses'];
+const RESPONSE_KEYS = ['match', 'model', 'content', 'tool_calls', 'status', 'error', 'latency_ms'];
+
+/**
+ * Fixture used when none is given: one model that answers every prompt
+ */
+const DEFAULT_FIXTURE = {
+  models: [{ id: 'mock-model', name: 'Mock Model', context_window: 32768 }],
+  responses: [
+    { content: 'Hello from the crush-setup mock server. You said: {{prompt}}' }
+  ]
+};
+
+/**
+ * Read and check a fixture file. Returns the fixture with defaults filled
+ * in; throws with every problem found.
+ *
+ * Fixture keys: models ([{ id, name, context_window }]), api_key (required
+ * as a bearer token or api-key header when set), latency_ms (delay before
+ * each response), chunk_delay_ms (delay between streamed chunks) and
+ * responses. The first response whose match (a case-insensitive regular
+ * expression tested against the last user message) and model fit the
+ * request is used: { match, model, content, tool_calls: [{ name,
+ * arguments }], status, error, latency_ms }. A status of 400 or more sends
+ * `error` as an OpenAI-style error instead. {{prompt}} and {{model}} in
+ * content are replaced with the request's.
+ */
+function loadFixture(file) {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read fixture ${file}: ${err.message}`);
+  }
+  const problems = checkFixture(fixture);
+  if (problems.length > 0) {
+    throw new Error(`Invalid fixture ${file}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return { ...DEFAULT_FIXTURE, ...fixture };
+}
+
+/**
+ * Problems with a fixture object; an empty list means it is usable
+ */
+function checkFixture(fixture) {
+  if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+    return ['the fixture must be a JSON object'];
+  }
+  const problems = [];
+  const isDelay = value => value === undefined || (Number.isInteger(value) && value >= 0);
+  Object.keys(fixture).filter(key => !FIXTURE_KEYS.includes(key))
+    .forEach(key => problems.push(`unknown key "${key}" (valid: ${FIXTURE_KEYS.join(', ')})`));
+  if (fixture.models !== undefined &&
+      (!Array.isArray(fixture.models) || fixture.models.length === 0 ||
+       fixture.models.some(model => !model || typeof model.id !== 'string' || !model.id))) {
+    problems.push('models must be a non-empty list of { id, name, context_window }');
+  }
+  if (fixture.api_key !== undefined && (typeof fixture.api_key !== 'string' || !fixture.api_key)) {
+    problems.push('api_key must be a non-empty string');
+  }
+  ['latency_ms', 'chunk_delay_ms'].forEach(key => isDelay(fixture[key]) || problems.push(`${key} must be a whole number of milliseconds`));
+  if (fixture.responses !== undefined && !Array.isArray(fixture.responses)) {
+    problems.push('responses must be a list');
+  }
+  (Array.isArray(fixture.responses) ? fixture.responses : []).forEach((response, i) => {
+    const label = `responses[${i}]`;
+    if (!response || typeof response !== 'object') {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+    Object.keys(response).filter(key => !RESPONSE_KEYS.includes(key))
+      .forEach(key => problems.push(`${label}: unknown key "${key}" (valid: ${RESPONSE_KEYS.join(', ')})`));
+    if (response.match !== undefined) {
+      try {
+        new RegExp(response.match, 'i');
+      } catch (err) {
+        problems.push(`${label}.match is not a valid regular expression: ${err.message}`);
+      }
+    }
+    if (response.status !== undefined && !(Number.isInteger(response.status) && response.status >= 200 && response.status < 600)) {
+      problems.push(`${label}.status must be an HTTP status code`);
+    }
+    if (response.tool_calls !== undefined &&
+        (!Array.isArray(response.tool_calls) || response.tool_calls.some(call => !call || typeof call.name !== 'string'))) {
+      problems.push(`${label}.tool_calls must be a list of { name, arguments }`);
+    }
+    isDelay(response.latency_ms) || problems.push(`${label}.latency_ms must be a whole number of milliseconds`);
+  });
+  return problems;
+}
+
+/**
+ * Text of the last user message, with content parts joined
+ */
+function lastUserMessage(messages) {
+  const message = [...(Array.isArray(messages) ? messages : [])].reverse().find(m => m && m.role === 'user');
+  if (!message) {
+    return '';
+  }
+  if (Array.isArray(message.content)) {
+    return message.content.filter(part => part && part.type === 'text').map(part => part.text).join('\n');
+  }
+  return String(message.content || '');
+}
+
+/**
+ * The fixture response for a request, or a catch-all when none matches
+ */
+function pickResponse(fixture, model, prompt) {
+  const response = (fixture.responses || []).find(candidate =>
+    (candidate.model === undefined || candidate.model === model) &&
+    (candidate.match === undefined || new RegExp(candidate.match, 'i').test(prompt)));
+  return response || { content: 'The mock server has no scripted response for this prompt.' };
+}
+
+/**
+ * An OpenAI-style error body
+ */
+function errorBody(message, type = 'invalid_request_error', code = null) {
+  return { error: { message, type, code } };
+}
+
+/**
+ * Tool calls of a response in OpenAI's format
+ */
+function toolCalls(response, id) {
+  return (response.tool_calls || []).map((call, index) => ({
+    index,
+    id: `call_${id}_${index}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+    }
+  }));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer a chat completion request, streamed as server-sent events when the
+ * request asks for it
+ */
+async function sendCompletion(res, fixture, request, model) {
+  const prompt = lastUserMessage(request.messages);
+  const response = pickResponse(fixture, model, prompt);
+  await sleep(response.latency_ms ?? fixture.latency_ms ?? 0);
+
+  if (response.status >= 400) {
+    sendJson(res, response.status, errorBody(response.error || `Simulated HTTP ${response.status}`, 'mock_error'));
+    return response.status;
+  }
+
+  const id = `mock-${Date.now().toString(36)}`;
+  const created = Math.floor(Date.now() / 1000);
+  const content = String(response.content || '').replace(/\{\{prompt\}\}/g, prompt).replace(/\{\{model\}\}/g, model);
+  const calls = toolCalls(response, id);
+  const finishReason = calls.length > 0 ? 'tool_calls' : 'stop';
+  const promptTokens = Math.ceil(JSON.stringify(request.messages || []).length / 4);
+  const completionTokens = Math.ceil((content.length + JSON.stringify(calls).length) / 4);
+  const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+
+  if (!request.stream) {
+    const message = { role: 'assistant', content: calls.length > 0 && !content ? null : content };
+    if (calls.length > 0) {
+      message.tool_calls = calls.map(({ index, ...call }) => call);
+    }
+    sendJson(res, 200, {
+      id, object: 'chat.completion', created, model,
+      choices: [{ index: 0, message, finish_reason: finishReason }],
+      usage
+    });
+    return 200;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const send = (delta, finish = null, extra = {}) => res.write(`data: ${JSON.stringify({
+    id, object: 'chat.completion.chunk', created, model,
+    choices: [{ index: 0, delta, finish_reason: finish }],
+    ...extra
+  })}\n\n`);
+  send({ role: 'assistant', content: '' });
+  for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+    await sleep(fixture.chunk_delay_ms ?? 20);
+    send({ content: piece });
+  }
+  if (calls.length > 0) {
+    send({ tool_calls: calls });
+  }
+  send({}, finishReason);
+  if (request.stream_options && request.stream_options.include_usage) {
+    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [], usage })}\n\n`);
+  }
+  res.end('data: [DONE]\n\n');
+  return 200;
+}
+
+/**
+ * Read a request body as JSON; null when it is not valid JSON
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Create (but don't start) the mock server. It serves GET /v1/models and
+ * POST /v1/chat/completions (also without /v1, and under /openai/v1/ as on
+ * Azure AI Foundry), plus the Azure OpenAI deployment routes
+ * /openai/deployments and /openai/deployments/<id>/chat/completions.
+ * options.onRequest receives { method, path, status, model, stream, ms }
+ * after each request.
+ */
+function createMockServer(fixture = DEFAULT_FIXTURE, options = {}) {
+  const { onRequest = () => {} } = options;
+  const models = fixture.models || DEFAULT_FIXTURE.models;
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://mock');
+    const route = url.pathname.replace(/\/+$/, '');
+    const log = { method: req.method, path: url.pathname, model: null, stream: false };
+    let status;
+
+    try {
+      const auth = req.headers.authorization || '';
+      const key = req.headers['api-key'] || req.headers['x-api-key'] || auth.replace(/^Bearer\s+/i, '');
+      const deployment = route.match(/^\/openai\/deployments\/([^/]+)\/chat\/completions$/);
+      const isAzure = route.startsWith('/openai/deployments');
+
+      if (fixture.api_key && key !== fixture.api_key) {
+        status = 401;
+        sendJson(res, status, errorBody(
+          isAzure ? 'Access denied due to invalid subscription key or wrong API endpoint.' : 'Incorrect API key provided.',
+          'invalid_request_error', isAzure ? '401' : 'invalid_api_key'));
+      } else if (isAzure && !url.searchParams.get('api-version')) {
+        status = 404;
+        sendJson(res, status, errorBody('Resource not found', 'invalid_request_error', '404'));
+      } else if (req.method === 'GET' && /^(\/openai)?(\/v1)?\/models$/.test(route)) {
+        status = 200;
+        sendJson(res, status, {
+          object: 'list',
+          data: models.map(model => ({
+            id: model.id, object: 'model', created: 0, owned_by: 'mock',
+            name: model.name || model.id, context_length: model.context_window
+          }))
+        });
+      } else if (req.method === 'GET' && route === '/openai/deployments') {
+        status = 200;
+        sendJson(res, status, { object: 'list', data: models.map(model => ({ id: model.id, model: model.id, object: 'deployment' })) });
+      } else if (req.method === 'POST' && (deployment || /^(\/openai)?(\/v1)?\/chat\/completions$/.test(route))) {
+        const request = await readJsonBody(req);
+        log.model = deployment ? decodeURIComponent(deployment[1]) : request && request.model;
+        log.stream = Boolean(request && request.stream);
+        if (!request || !Array.isArray(request.messages)) {
+          status = 400;
+          sendJson(res, status, errorBody('The request body must be JSON with a messages list'));
+        } else if (!models.some(model => model.id === log.model)) {
+          status = 404;
+          sendJson(res, status, deployment
+            ? errorBody('The API deployment for this resource does not exist.', 'invalid_request_error', 'DeploymentNotFound')
+            : errorBody(`The model \`${log.model}\` does not exist`, 'invalid_request_error', 'model_not_found'));
+        } else {
+          status = await sendCompletion(res, fixture, request, log.model);
+        }
+      } else {
+        status = 404;
+        sendJson(res, status, errorBody(`No mock route for ${req.method} ${url.pathname}`));
+      }
+    } catch (err) {
+      status = 500;
+      if (!res.headersSent) {
+        sendJson(res, status, errorBody(err.message, 'server_error'));
+      } else {
+        res.end();
+      }
+    }
+    onRequest({ ...log, status, ms: Date.now() - started });
+  });
+}
+
+/**
+ * The providers entry for a mock server at baseUrl serving a fixture: an
+ * openai-compat provider with the fixture's models, whose api_key refers to
+ * $CRUSH_MOCK_API_KEY when the fixture requires a key
+ */
+function mockProviderConfig(baseUrl, fixture) {
+  return {
+    name: 'Mock server',
+    type: 'openai-compat',
+    base_url: baseUrl,
+    ...(fixture.api_key ? { api_key: `$${MOCK_API_KEY_ENV}` } : {}),
+    models: fixture.models.map(model => buildModel(
+      { id: model.id, name: model.name, contextWindow: model.context_window },
+      { name: model.id, supportsAttachments: false })),
+  };
+}
+
+module.exports = {
+  DEFAULT_MOCK_PORT,
+  MOCK_API_KEY_ENV,
+  DEFAULT_FIXTURE,
+  loadFixture,
+  checkFixture,
+  createMockServer,
+  mockProviderConfig,
+};
@@ -0,0 +1,94 @@
+/**
+ * Locations of Crush's config and the wrapper's own settings and caches
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Crush's config directory; the wrapper's settings live next to crush.json
+const CONFIG_DIR = process.platform === 'win32'
+  ? path.join(process.env.LOCALAPPDATA || '', 'crush')
+  : path.join(os.homedir(), '.config', 'crush');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'crush.json');
+const WRAPPER_CONFIG_FILE = path.join(CONFIG_DIR, 'wrapper.json');
+
+// Env files loaded into Crush's environment: per user, and per project (cwd)
+const USER_ENV_FILE = path.join(CONFIG_DIR, 'env');
+const PROJECT_ENV_FILE = '.env.crush';
+
+// Project-local config files that Crush merges over the global one
+const PROJECT_CONFIG_FILES = ['crush.json', '.crush.json'];
+
+/**
+ * The global config file Crush reads in an environment: the crush.json in
+ * $CRUSH_GLOBAL_CONFIG when that is set, else CONFIG_FILE
+ */
+function globalConfigFile(env = process.env) {
+  return env.CRUSH_GLOBAL_CONFIG ? path.resolve(env.CRUSH_GLOBAL_CONFIG, 'crush.json') : CONFIG_FILE;
+}
+
+/**
+ * The crush.json in Crush's data directory, where Crush saves settings
+ * changed from its UI: $CRUSH_GLOBAL_DATA, else crush under $XDG_DATA_HOME
+ * or ~/.local/share (%LOCALAPPDATA% on Windows)
+ */
+function dataConfigFile(env = process.env) {
+  if (env.CRUSH_GLOBAL_DATA) {
+    return path.resolve(env.CRUSH_GLOBAL_DATA, 'crush.json');
+  }
+  if (env.XDG_DATA_HOME) {
+    return path.join(env.XDG_DATA_HOME, 'crush', 'crush.json');
+  }
+  return process.platform === 'win32'
+    ? path.join(env.LOCALAPPDATA || '', 'crush', 'crush.json')
+    : path.join(os.homedir(), '.local', 'share', 'crush', 'crush.json');
+}
+
+/**
+ * Get the per-user cache directory used by the wrapper
+ */
+function getCacheDir() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || os.homedir(), 'crush');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'crush');
+}
+
+/**
+ * Expand a leading ~ in a path to the home directory
+ */
+function expandHome(file) {
+  if (file === '~' || file.startsWith('~/') || file.startsWith('~\\')) {
+    return path.join(os.homedir(), file.slice(1));
+  }
+  return file;
+}
+
+/**
+ * Read the wrapper's own settings file (not Crush's crush.json)
+ */
+function readWrapperConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(WRAPPER_CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Warning: ignoring ${WRAPPER_CONFIG_FILE}: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+module.exports = {
+  CONFIG_DIR,
+  CONFIG_FILE,
+  WRAPPER_CONFIG_FILE,
+  USER_ENV_FILE,
+  PROJECT_ENV_FILE,
+  PROJECT_CONFIG_FILES,
+  globalConfigFile,
+  dataConfigFile,
+  getCacheDir,
+  expandHome,
+  readWrapperConfig,
+};
@@ -0,0 +1,319 @@
+/**
+ * Admin-managed policy: required options, mandatory disabled tools and
+ * allowed provider endpoints, checked by the wrapper before Crush starts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { globalConfigFile } = require('./paths');
+const { writeFileAtomic } = require('./files');
+const { jsonPath } = require('./schema');
+const { envVarReference, loadConfigLayers, mergeConfigLayers } = require('./config');
+
+// Env var naming the policy file, overriding the machine-wide location
+const POLICY_ENV = 'CRUSH_POLICY_FILE';
+const POLICY_MODES = ['enforce', 'refuse'];
+const POLICY_KEYS = ['mode', 'required_options', 'disabled_tools', 'allowed_base_urls'];
+
+/**
+ * Location of the policy file: $CRUSH_POLICY_FILE, else /etc/crush/policy.json
+ * (%ProgramData%\crush\policy.json on Windows)
+ */
+function getPolicyFile(env = process.env) {
+  if (env[POLICY_ENV]) {
+    return path.resolve(env[POLICY_ENV]);
+  }
+  return process.platform === 'win32'
+    ? path.join(env.ProgramData || 'C:\\ProgramData', 'crush', 'policy.json')
+    : '/etc/crush/policy.json';
+}
+
+/**
+ * Error for a policy file that exists but can't be used. The wrapper refuses
+ * to start on it rather than run without the policy.
+ */
+function policyError(message, file) {
+  const err = new Error(`${file}: ${message}`);
+  err.code = 'EPOLICY';
+  err.file = file;
+  return err;
+}
+
+// Ports URLs leave out when they use their scheme's default
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Split an allowed_base_urls pattern into { protocol, host, port, path }.
+ * The host may use * for whole or partial labels and the port may be *;
+ * null when the pattern has no scheme and host.
+ */
+function parseUrlPattern(pattern) {
+  const match = pattern.match(/^([a-z][a-z0-9+.-]*:)\/\/([^/?#@:]+)(?::(\d+|\*))?([^?#]*)$/i);
+  if (!match) {
+    return null;
+  }
+  const [, protocol, host, port = '', pathPattern] = match;
+  return {
+    protocol: protocol.toLowerCase(),
+    host: host.toLowerCase(),
+    port: port === DEFAULT_PORTS[protocol.toLowerCase()] ? '' : port,
+    path: pathPattern,
+  };
+}
+
+/**
+ * Read and check the policy file. Returns null when there is none, else
+ * { file, mode, requiredOptions, disabledTools, allowedBaseUrls }.
+ */
+function readPolicy(file = getPolicyFile()) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw policyError(`could not be read (${err.message})`, file);
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(raw);
+  } catch (err) {
+    throw policyError(`is not valid JSON (${err.message})`, file);
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw policyError('must contain a JSON object', file);
+  }
+  const problems = [];
+  Object.keys(policy).filter(key => !POLICY_KEYS.includes(key))
+    .forEach(key => problems.push(`unknown key "${key}" (valid: ${POLICY_KEYS.join(', ')})`));
+  if (policy.mode !== undefined && !POLICY_MODES.includes(policy.mode)) {
+    problems.push(`mode must be ${POLICY_MODES.join(' or ')}`);
+  }
+  const options = policy.required_options;
+  if (options !== undefined && (!options || typeof options !== 'object' || Array.isArray(options))) {
+    problems.push('required_options must be an object of option values');
+  }
+  for (const key of ['disabled_tools', 'allowed_base_urls']) {
+    const list = policy[key];
+    if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item))) {
+      problems.push(`${key} must be a list of strings`);
+    }
+  }
+  if (Array.isArray(policy.allowed_base_urls)) {
+    policy.allowed_base_urls.filter(pattern => typeof pattern === 'string' && pattern && !parseUrlPattern(pattern))
+      .forEach(pattern => problems.push(`allowed_base_urls entry "${pattern}" must look like scheme://host[:port][/path]`));
+  }
+  if (problems.length > 0) {
+    throw policyError(problems.join('; '), file);
+  }
+
+  return {
+    file,
+    mode: policy.mode || 'enforce',
+    requiredOptions: options || {},
+    disabledTools: policy.disabled_tools || [],
+    allowedBaseUrls: policy.allowed_base_urls || [],
+  };
+}
+
+/**
+ * A regular expression for a pattern part, with each * matching `wildcard`
+ */
+function wildcardRegExp(pattern, wildcard) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join(wildcard);
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether a URL matches one of the allowed patterns. The URL is parsed and
+ * its origin compared with the pattern's: * in the host matches within one
+ * label (https://*.openai.azure.com), * as the port matches any port. In the
+ * path * matches anything, and a pattern without a path allows every path.
+ * URLs with a user name or password are never allowed.
+ */
+function isAllowedUrl(url, patterns) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.username || parsed.password) {
+    return false;
+  }
+  return patterns.some((pattern) => {
+    const allowed = parseUrlPattern(pattern);
+    return Boolean(allowed) &&
+      parsed.protocol === allowed.protocol &&
+      wildcardRegExp(allowed.host, '[^./]+').test(parsed.hostname) &&
+      (allowed.port === '*' || parsed.port === allowed.port) &&
+      (allowed.path === '' || wildcardRegExp(allowed.path, '.*').test(parsed.pathname));
+  });
+}
+
+/**
+ * The layers a value in the merged config came from: the source recorded
+ * for its path or the nearest ancestor's, else those of the values set
+ * below it (for an object merged from several layers); empty when unset
+ */
+function sourcesOf(sources, at) {
+  for (let current = at; current; current = current.replace(/(\.[^.[]+|\[[^\]]*\])$/, '')) {
+    if (current in sources) {
+      return [sources[current]];
+    }
+    if (current === '$') {
+      break;
+    }
+  }
+  return [...new Set(Object.keys(sources)
+    .filter(p => p.startsWith(`${at}.`) || p.startsWith(`${at}[`))
+    .map(p => sources[p]))];
+}
+
+/**
+ * Check a merged config against the policy. Returns violations as
+ * [{ path, problem, source, enforceable }]. The wrapper can only override
+ * values from the global config: the data-dir and project configs and
+ * environment overrides are applied by Crush on top of it, so those
+ * violations are not enforceable.
+ */
+function checkPolicy(policy, config, sources = {}, env = process.env) {
+  const violations = [];
+  const add = (at, problem) => {
+    const found = sourcesOf(sources, at);
+    const overriding = found.find(source => source !== globalConfigFile(env));
+    violations.push({ path: at, problem, source: overriding || found[0] || null, enforceable: !overriding });
+  };
+  const options = config.options || {};
+
+  for (const [key, required] of Object.entries(policy.requiredOptions)) {
+    if (JSON.stringify(options[key]) !== JSON.stringify(required)) {
+      add(jsonPath('$.options', key),
+        `is ${options[key] === undefined ? 'not set' : JSON.stringify(options[key])}; the policy requires ${JSON.stringify(required)}`);
+    }
+  }
+
+  const disabled = Array.isArray(options.disabled_tools) ? options.disabled_tools : [];
+  const missing = policy.disabledTools.filter(tool => !disabled.includes(tool));
+  if (missing.length > 0) {
+    add('$.options.disabled_tools', `must include ${missing.map(tool => `"${tool}"`).join(', ')}`);
+  }
+
+  if (policy.allowedBaseUrls.length > 0) {
+    for (const [name, provider] of Object.entries(config.providers || {})) {
+      const at = jsonPath(jsonPath('$.providers', name), 'base_url');
+      const value = provider && provider.base_url;
+      const ref = envVarReference(value);
+      const url = ref ? env[ref] : value;
+      if (!url) {
+        add(at, ref
+          ? `references $${ref}, which is not set, so the endpoint can't be checked`
+          : 'is not set, so the provider\'s public endpoint would be used');
+      } else if (!isAllowedUrl(url, policy.allowedBaseUrls)) {
+        add(at, `${url} is not an allowed endpoint (allowed: ${policy.allowedBaseUrls.join(', ')})`);
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * A copy of the config with the policy applied: required options set,
+ * mandatory tools disabled, and providers with endpoints the policy doesn't
+ * allow removed (with any model selection that used them)
+ */
+function applyPolicy(policy, config, violations) {
+  const enforced = JSON.parse(JSON.stringify(config));
+  const options = { ...(enforced.options || {}), ...JSON.parse(JSON.stringify(policy.requiredOptions)) };
+  const disabled = Array.isArray(options.disabled_tools) ? options.disabled_tools : [];
+  if (policy.disabledTools.length > 0) {
+    options.disabled_tools = [...disabled, ...policy.disabledTools.filter(tool => !disabled.includes(tool))];
+  }
+  enforced.options = options;
+
+  const removed = Object.keys(enforced.providers || {})
+    .filter(name => violations.some(v => v.path === jsonPath(jsonPath('$.providers', name), 'base_url')));
+  removed.forEach(name => delete enforced.providers[name]);
+  for (const [type, selection] of Object.entries(enforced.models || {})) {
+    if (selection && removed.includes(selection.provider)) {
+      delete enforced.models[type];
+    }
+  }
+  return enforced;
+}
+
+/**
+ * Check the effective config (every layer Crush loads, environment
+ * overrides) in the current directory against the policy file. `env` should
+ * be the environment Crush will start with (see buildChildEnv), since it
+ * picks the global config and can override options and endpoints. Returns
+ * null when there is no policy, else { policy, layers, config, violations }
+ * with the layers as loadConfigLayers() returns them. Throws EPOLICY when
+ * the policy file can't be used.
+ */
+function evaluatePolicy(env = process.env) {
+  const policy = readPolicy(getPolicyFile(env));
+  if (!policy) {
+    return null;
+  }
+  const layers = loadConfigLayers(env);
+  const { config, sources } = mergeConfigLayers(layers, env);
+  return { policy, layers, config, violations: checkPolicy(policy, config, sources, env) };
+}
+
+/**
+ * The policy status for reports such as `crush-setup show`: null without a
+ * policy file, else { file, mode, violations }, or { file, error } when the
+ * policy file can't be used. `env` is as for evaluatePolicy.
+ */
+function policyStatus(env = process.env) {
+  try {
+    const result = evaluatePolicy(env);
+    if (!result) return null;
+    return { file: result.policy.file, mode: result.policy.mode, violations: result.violations };
+  } catch (err) {
+    return { file: err.file || getPolicyFile(env), error: err.message };
+  }
+}
+
+/**
+ * Write a global config with the policy applied (see applyPolicy on the
+ * global layer alone) to a new private directory, for pointing one run of
+ * Crush at it through CRUSH_GLOBAL_CONFIG. Crush still layers the data-dir
+ * and project configs on top, as it would over the real one. Returns the
+ * directory; remove it with removeEnforcedConfig once Crush has exited.
+ */
+function writeEnforcedConfig(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-policy-'));
+  try {
+    writeFileAtomic(path.join(dir, 'crush.json'), JSON.stringify(config, null, 2), 0o600);
+  } catch (err) {
+    removeEnforcedConfig(dir);
+    throw err;
+  }
+  return dir;
+}
+
+/**
+ * Remove a directory written by writeEnforcedConfig
+ */
+function removeEnforcedConfig(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  POLICY_ENV,
+  getPolicyFile,
+  readPolicy,
+  isAllowedUrl,
+  checkPolicy,
+  applyPolicy,
+  evaluatePolicy,
+  policyStatus,
+  writeEnforcedConfig,
+  removeEnforcedConfig,
+};
@@ -0,0 +1,262 @@
+/**
+ * Probing providers and discovering the models they serve
+ */
+
+const { azureApiVersion, envVarReference } = require('./config');
+const { loadCA, httpRequest, joinUrl } = require('./http');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const TLS_ERROR_CODES = /^(CERT_|UNABLE_TO_|SELF_SIGNED_|DEPTH_ZERO_|ERR_TLS_|ERR_SSL_|EPROTO$)/;
+
+// Resolve the API key of a provider from its "$VAR" reference or literal value
+function resolveApiKey(provider) {
+  const envVar = envVarReference(provider.api_key);
+  if (envVar) return { envVar, value: process.env[envVar] };
+  return { envVar: null, value: provider.api_key || '' };
+}
+
+// A provider's extra_headers with $VAR references filled in from the environment
+function resolveExtraHeaders(provider) {
+  return Object.fromEntries(Object.entries(provider.extra_headers || {}).map(([name, value]) => [
+    name, String(value).replace(/\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?/g, (ref, envVar) => process.env[envVar] || '')
+  ]));
+}
+
+// Build the minimal chat-completion request for a provider's type
+function buildProbeRequest(provider, model, apiKey) {
+  const body = { messages: [{ role: 'user', content: 'ping' }], max_tokens: 1 };
+  if (provider.type === 'anthropic') {
+    return {
+      url: joinUrl(provider.base_url, 'v1/messages'),
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        ...resolveExtraHeaders(provider)
+      },
+      body: { ...body, model }
+    };
+  }
+  if (provider.type === 'azure') {
+    const apiVersion = azureApiVersion(provider);
+    return {
+      url: `${joinUrl(provider.base_url, `openai/deployments/${encodeURIComponent(model)}/chat/completions`)}?api-version=${encodeURIComponent(apiVersion)}`,
+      headers: { 'Content-Type': 'application/json', 'api-key': apiKey },
+      body,
+      apiVersion
+    };
+  }
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  Object.assign(headers, resolveExtraHeaders(provider));
+  return {
+    url: joinUrl(provider.base_url, 'chat/completions'),
+    headers,
+    body: { ...body, model }
+  };
+}
+
+// Pull a human-readable message and code out of an error response body
+function parseErrorBody(text) {
+  try {
+    const data = JSON.parse(text);
+    const error = data.error || data;
+    return {
+      code: String(error.code || error.type || ''),
+      message: String(error.message || data.message || data.detail || text).slice(0, 300)
+    };
+  } catch {
+    return { code: '', message: String(text).trim().slice(0, 300) };
+  }
+}
+
+// Turn a probe outcome into { status, category, message }
+function classifyProbe(provider, model, request, response, error) {
+  if (error) {
+    const code = error.code || '';
+    if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+      return { status: 'fail', category: 'dns', message: `DNS lookup failed for ${error.hostname || new URL(request.url).hostname} (${code}). Check the endpoint host name${error.proxy ? ` and the proxy ${error.proxy}` : ''}.` };
+    }
+    if (TLS_ERROR_CODES.test(code)) {
+      return { status: 'fail', category: 'tls', message: `TLS verification failed (${code}). If your network inspects TLS, point --ca-file or SSL_CERT_FILE at the corporate root CA.` };
+    }
+    if (code === 'ETIMEDOUT') {
+      return { status: 'fail', category: 'timeout', message: `${error.message}. Check connectivity and HTTPS_PROXY/NO_PROXY.` };
+    }
+    if (code === 'EPROXYAUTH' || code === 'EPROXY') {
+      return { status: 'fail', category: 'proxy', message: error.message };
+    }
+    return { status: 'fail', category: 'connection', message: `Connection failed${error.proxy ? ` via proxy ${error.proxy}` : ''}: ${error.message}` };
+  }
+
+  const { status } = response;
+  const detail = parseErrorBody(response.body);
+  const mentionsApiVersion = /api[- ]?version/i.test(detail.message) || /api[- ]?version/i.test(detail.code);
+  const mentionsModel = /deployment|model/i.test(detail.code) || /deployment|model.*(not found|does not exist)/i.test(detail.message);
+
+  if (status >= 200 && status < 300) {
+    return { status: 'pass', category: 'ok', message: `${model} responded (HTTP ${status})` };
+  }
+  if (status === 401 || status === 403) {
+    const envVar = envVarReference(provider.api_key);
+    return { status: 'fail', category: 'auth', message: `Authentication rejected (HTTP ${status}): ${detail.message}. Check the API key${envVar ? ` in $${envVar}` : ''}.` };
+  }
+  if (request.apiVersion && mentionsApiVersion) {
+    return { status: 'fail', category: 'api_version', message: `API version ${request.apiVersion} was rejected (HTTP ${status}): ${detail.message}` };
+  }
+  if ((status === 404 || status === 400) && mentionsModel) {
+    const what = provider.type === 'azure' ? 'Deployment' : 'Model';
+    return { status: 'fail', category: 'deployment', message: `${what} "${model}" was not found (HTTP ${status}): ${detail.message}` };
+  }
+  if (status === 404 && request.apiVersion) {
+    // Azure answers a bare "Resource not found" for unsupported API versions
+    return { status: 'fail', category: 'api_version', message: `Azure returned HTTP 404 (${detail.message}). API version ${request.apiVersion} is likely not supported by this resource, or base_url is wrong.` };
+  }
+  if (status === 404) {
+    return { status: 'fail', category: 'endpoint', message: `Endpoint path not found (HTTP 404) at ${request.url.split('?')[0]}. Check base_url.` };
+  }
+  if (status === 400 || status === 429) {
+    return { status: 'warn', category: 'http', message: `Endpoint and key accepted, but the request was rejected (HTTP ${status}): ${detail.message}` };
+  }
+  return { status: 'fail', category: 'http', message: `Unexpected response (HTTP ${status}): ${detail.message}` };
+}
+
+// Send one minimal request to a configured provider
+async function probeProvider(provider, { timeout, ca } = {}) {
+  const model = provider.models && provider.models[0] && provider.models[0].id;
+  if (!provider.base_url) {
+    return { status: 'fail', category: 'config', message: 'Provider has no base_url' };
+  }
+  if (!model) {
+    return { status: 'fail', category: 'config', message: 'Provider has no models' };
+  }
+  const key = resolveApiKey(provider);
+  if (key.envVar && !key.value) {
+    return { status: 'fail', category: 'config', message: `$${key.envVar} is not set` };
+  }
+
+  const request = buildProbeRequest(provider, model, key.value);
+  try {
+    const response = await httpRequest(request.url, {
+      method: 'POST', headers: request.headers, body: request.body, timeout, ca
+    });
+    return classifyProbe(provider, model, request, response, null);
+  } catch (err) {
+    return classifyProbe(provider, model, request, null, err);
+  }
+}
+
+// Probe a config's providers one after another, or only the one named
+// options.only. Resolves with [{ name, result }]; options.onResult is called
+// with each as it completes, and timeout and ca are passed to probeProvider.
+async function probeProviders(config, options = {}) {
+  const { only, onResult = () => {}, ...probeOptions } = options;
+  const results = [];
+  for (const [name, provider] of Object.entries((config && config.providers) || {})) {
+    if (only && name !== only) continue;
+    const probed = { name, result: await probeProvider(provider, probeOptions) };
+    onResult(probed);
+    results.push(probed);
+  }
+  return results;
+}
+
+// Parse a JSON response, turning HTTP errors into exceptions
+function expectJson(response, url) {
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`HTTP ${response.status} from ${url.split('?')[0]}`);
+  }
+  return JSON.parse(response.body);
+}
+
+// Find a model's context length in loosely specified /models metadata
+function pickContextWindow(meta) {
+  const value = meta.context_length || meta.context_window || meta.max_model_len ||
+    meta.max_context_length || (meta.top_provider && meta.top_provider.context_length);
+  return parseInt(value) || undefined;
+}
+
+// List models from an OpenAI-compatible /models endpoint
+async function discoverOpenAIModels(baseUrl, apiKey, options) {
+  const url = joinUrl(baseUrl, 'models');
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const data = expectJson(await httpRequest(url, { headers, ...options }), url);
+  return (data.data || []).map(meta => {
+    const modalities = (meta.architecture && meta.architecture.input_modalities) || [];
+    const params = meta.supported_parameters || [];
+    return {
+      id: meta.id,
+      name: meta.name || meta.id,
+      contextWindow: pickContextWindow(meta),
+      canReason: params.length ? params.includes('reasoning') : undefined,
+      supportsAttachments: modalities.length ? modalities.includes('image') : undefined
+    };
+  });
+}
+
+// List models from Ollama's native API, with details from /api/show
+async function discoverOllamaModels(baseUrl, options) {
+  const root = baseUrl.replace(/\/v1\/?$/, '/');
+  const tagsUrl = joinUrl(root, 'api/tags');
+  const tags = expectJson(await httpRequest(tagsUrl, options), tagsUrl);
+  const models = [];
+  for (const tag of tags.models || []) {
+    const model = { id: tag.name, name: tag.name };
+    try {
+      const showUrl = joinUrl(root, 'api/show');
+      const info = expectJson(await httpRequest(showUrl, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: { model: tag.name, name: tag.name }, ...options
+      }), showUrl);
+      const contextKey = Object.keys(info.model_info || {}).find(k => k.endsWith('.context_length'));
+      if (contextKey) model.contextWindow = parseInt(info.model_info[contextKey]) || undefined;
+      if (Array.isArray(info.capabilities)) {
+        model.canReason = info.capabilities.includes('thinking');
+        model.supportsAttachments = info.capabilities.includes('vision');
+      }
+    } catch {
+      // Keep the model without details
+    }
+    models.push(model);
+  }
+  return models;
+}
+
+// List deployments of an Azure OpenAI resource
+async function discoverAzureDeployments(baseUrl, apiKey, options) {
+  const url = `${joinUrl(baseUrl, 'openai/deployments')}?api-version=2022-12-01`;
+  const data = expectJson(await httpRequest(url, { headers: { 'api-key': apiKey }, ...options }), url);
+  return (data.data || []).map(deployment => ({
+    id: deployment.id,
+    name: deployment.model && deployment.model !== deployment.id ? `${deployment.id} (${deployment.model})` : deployment.id
+  }));
+}
+
+// List models from an Anthropic-compatible /v1/models endpoint
+async function discoverAnthropicModels(baseUrl, apiKey, options) {
+  const url = joinUrl(baseUrl, 'v1/models');
+  const headers = { 'anthropic-version': ANTHROPIC_VERSION };
+  if (apiKey) headers['x-api-key'] = apiKey;
+  const data = expectJson(await httpRequest(url, { headers, ...options }), url);
+  return (data.data || []).map(meta => ({ id: meta.id, name: meta.display_name || meta.id }));
+}
+
+// Query an endpoint for its models using the given discovery method
+async function discoverModels(method, baseUrl, apiKey, options = { timeout: 10000, ca: loadCA() }) {
+  switch (method) {
+    case 'ollama':
+      return discoverOllamaModels(baseUrl, options);
+    case 'azure':
+      return discoverAzureDeployments(baseUrl, apiKey, options);
+    case 'anthropic':
+      return discoverAnthropicModels(baseUrl, apiKey, options);
+    default:
+      return discoverOpenAIModels(baseUrl, apiKey, options);
+  }
+}
+
+module.exports = {
+  resolveApiKey,
+  probeProvider,
+  probeProviders,
+  discoverModels,
+};
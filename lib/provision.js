@@ -0,0 +1,205 @@
+/**
+ * Provisioning: turning setup answers into crush.json and the files around
+ * it (wrapper settings, MCP secrets, project config, .env.example). This is
+ * the single code path behind the setup wizard, `crush-setup quick` and
+ * answers files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { CONFIG_FILE, USER_ENV_FILE } = require('./paths');
+const { writeFileAtomic, readTextFile, writeEnvFile } = require('./files');
+const { validateConfig, blockingIssues, localSchemaUrl, installLocalSchema } = require('./schema');
+const {
+  normalizeAnswers,
+  checkAnswers,
+  buildConfig,
+  buildProjectConfig,
+  mcpSecrets,
+  buildEnvExample,
+  envVarReference,
+  readConfigFile,
+  projectConfigFile,
+  saveConfigFile,
+  saveNetworkSettings,
+  saveCredentialHelper,
+} = require('./config');
+const { localProxyConflict, currentProxy } = require('./http');
+const { formatDiff, formatIssues } = require('./changes');
+
+/**
+ * Decide whether a file in the current directory may be replaced with new
+ * contents. A missing or identical file is fine; otherwise `confirm` is
+ * shown the diff and asked, and without it `force` is needed.
+ */
+async function confirmReplace(file, contents, { confirm, log, force }) {
+  const current = readTextFile(file);
+  if (!current || current === contents || force) return true;
+
+  if (confirm) {
+    log(`\n${path.basename(file)} already exists:`);
+    log(formatDiff(file, current, contents));
+    return confirm(`Replace ${path.basename(file)}?`, false);
+  }
+  log(`! ${path.basename(file)} already exists and differs; left unchanged (pass --force to replace it)`);
+  return false;
+}
+
+/**
+ * Merge the language servers that belong to this project into its own
+ * config (created if needed), showing what changes in an existing file
+ */
+function saveProjectLanguageServers(answers, { log, error }) {
+  const file = projectConfigFile();
+  let existing;
+  try {
+    existing = readConfigFile(file);
+  } catch (err) {
+    error(`Could not parse ${file}: ${err.message}`);
+    error('Language servers for this project were not saved; fix the file and run setup again.');
+    return;
+  }
+  const projectConfig = buildProjectConfig(answers, existing || {});
+  if (!projectConfig) return;
+
+  const current = readTextFile(file);
+  const text = JSON.stringify(projectConfig, null, 2);
+  if (current === text) return;
+  if (current) {
+    log('');
+    log(formatDiff(file, current, text));
+  }
+  saveConfigFile(file, projectConfig);
+  log(`✓ Language servers for this project saved to: ${file}`);
+}
+
+/**
+ * Turn answers into a config and write it, along with the wrapper settings,
+ * the optional local copy and .env.example.
+ *
+ * Options: confirm (an async (prompt, defaultYes) => boolean; with it the
+ * preview is confirmed interactively and output choices missing from the
+ * answers are asked for, without it invalid input is rejected and missing
+ * choices take their defaults), log and error (console.log and
+ * console.error by default). Anything passed to `error` is a failure, even
+ * when the config itself was saved. Resolves with false when the config
+ * was not saved.
+ */
+async function provision(rawAnswers, options = {}) {
+  const { confirm = null, log = console.log, error = console.error } = options;
+  const answers = normalizeAnswers(rawAnswers);
+  const errors = checkAnswers(answers);
+  if (errors.length > 0) {
+    error('Invalid setup answers:');
+    errors.forEach(message => error(`  - ${message}`));
+    return false;
+  }
+
+  const proxy = currentProxy();
+  const conflict = localProxyConflict(answers.endpoint, answers.proxy ?? proxy.proxy, answers.noProxy ?? proxy.noProxy);
+  if (conflict) {
+    log(`! ${conflict}`);
+  }
+
+  let existingConfig = {};
+  if (answers.merge !== false && fs.existsSync(CONFIG_FILE)) {
+    try {
+      existingConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (e) {
+      if (!confirm) {
+        error(`Could not parse existing config ${CONFIG_FILE}: ${e.message}`);
+        error('Fix it or pass --replace to start fresh.');
+        return false;
+      }
+      log('Could not parse existing config, starting fresh.');
+    }
+  }
+
+  const config = buildConfig(answers, existingConfig);
+  const issues = validateConfig(config);
+  const schemaErrors = blockingIssues(issues);
+
+  const configText = JSON.stringify(config, null, 2);
+  const currentText = readTextFile(CONFIG_FILE);
+
+  let saveConfig;
+  if (confirm) {
+    log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    log(currentText ? 'Changes to the current configuration:' : 'Configuration preview:');
+    log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    log(currentText ? formatDiff(CONFIG_FILE, currentText, configText) : configText);
+
+    if (issues.length > 0) {
+      log('');
+      log(formatIssues('Schema validation', issues));
+    }
+    saveConfig = schemaErrors.length > 0
+      ? await confirm('\nSave this configuration anyway?', false)
+      : await confirm('\nSave this configuration?', true);
+  } else if (schemaErrors.length > 0) {
+    log(formatIssues('Configuration not saved', issues));
+    return false;
+  } else {
+    if (currentText && currentText !== configText) {
+      log(formatDiff(CONFIG_FILE, currentText, configText));
+      log('');
+    }
+    if (issues.length > 0) {
+      log(formatIssues('Warning', issues));
+      log('');
+    }
+    saveConfig = true;
+  }
+
+  if (saveConfig) {
+    if (config.$schema === localSchemaUrl()) {
+      installLocalSchema();
+    }
+
+    saveConfigFile(CONFIG_FILE, config);
+    log(`${confirm ? '\n' : ''}✓ Configuration saved to: ${CONFIG_FILE}`);
+
+    try {
+      const networkFile = saveNetworkSettings(answers);
+      if (networkFile) log(`✓ Proxy and CA settings saved to: ${networkFile}`);
+      if (answers.credentialHelper !== undefined) {
+        const envVar = envVarReference(config.providers[answers.provider].api_key);
+        const helperFile = saveCredentialHelper(answers.provider, envVar, answers.credentialHelper);
+        log(`✓ Credential helper for $${envVar} saved to: ${helperFile}`);
+      }
+      const secrets = mcpSecrets(answers);
+      if (Object.keys(secrets).length > 0) {
+        writeEnvFile(USER_ENV_FILE, secrets);
+        log(`✓ MCP server secrets (${Object.keys(secrets).join(', ')}) saved to: ${USER_ENV_FILE}`);
+      }
+    } catch (err) {
+      error(`Could not save wrapper settings: ${err.message}`);
+    }
+
+    // Also offer to save project-local config
+    const saveLocal = answers.localCopy ??
+      (confirm ? await confirm('Also save to current directory (crush.json)?', false) : false);
+    if (saveLocal && await confirmReplace(path.resolve('crush.json'), configText, { confirm, log, force: answers.force })) {
+      saveConfigFile('crush.json', config);
+      log('✓ Configuration saved to: ./crush.json');
+    }
+
+    saveProjectLanguageServers(answers, { log, error });
+  }
+
+  // Generate .env file
+  const generateEnv = answers.envExample ??
+    (confirm ? await confirm('\nGenerate .env.example file with required variables?', true) : false);
+  const envContent = buildEnvExample(config);
+  if (generateEnv && await confirmReplace(path.resolve('.env.example'), envContent, { confirm, log, force: answers.force })) {
+    writeFileAtomic('.env.example', envContent);
+    log('✓ Generated .env.example');
+  }
+
+  return saveConfig;
+}
+
+module.exports = {
+  provision,
+};
@@ -0,0 +1,115 @@
+/**
+ * Running Crush as a child process
+ */
+
+const { spawn } = require('child_process');
+const os = require('os');
+
+const { getBinaryPath } = require('./binary');
+const { buildChildEnv } = require('./env');
+
+/**
+ * Signals the terminal sends to its whole foreground process group (Ctrl-C,
+ * Ctrl-\, window resizes). Crush receives them itself when it shares the
+ * wrapper's terminal, so forwarding them would deliver them twice.
+ */
+const TERMINAL_SIGNALS = ['SIGINT', 'SIGQUIT', 'SIGWINCH'];
+
+/**
+ * Signals that only reach the wrapper's own process (kill, a service manager
+ * stopping it, a dropped SSH session), always passed on to Crush
+ */
+const FORWARDED_SIGNALS = ['SIGTERM', 'SIGHUP', 'SIGUSR1', 'SIGUSR2'];
+
+/**
+ * Windows console events Node reports as signals: Ctrl-C, Ctrl-Break and
+ * closing the console window. Windows sends them to every process attached
+ * to the console, Crush included, and has no way to forward them.
+ */
+const WINDOWS_CONSOLE_SIGNALS = ['SIGINT', 'SIGBREAK', 'SIGHUP'];
+
+/**
+ * Run Crush with the given arguments and resolve with { code, signal } once
+ * it exits. The environment gets the same env files, network settings and
+ * credential helper tokens as the crush command, layered under options.env
+ * (process.env by default); set options.wrapperEnv to false to pass
+ * options.env through untouched. The child process is available as
+ * promise.child, e.g. to forward signals or read piped output.
+ *
+ * Options: env, cwd, stdio ('inherit' by default), binaryPath (skips binary
+ * resolution), wrapperEnv, onWarning (console.error by default).
+ */
+function run(args = [], options = {}) {
+  const {
+    env = process.env,
+    cwd,
+    stdio = 'inherit',
+    wrapperEnv = true,
+    onWarning = (message) => console.error(`Warning: ${message}`),
+  } = options;
+
+  let child;
+  const promise = new Promise((resolve, reject) => {
+    const binaryPath = options.binaryPath || getBinaryPath();
+    let childEnv = env;
+    if (wrapperEnv) {
+      const built = buildChildEnv(env);
+      built.warnings.forEach((message) => onWarning(message));
+      childEnv = built.env;
+    }
+
+    child = spawn(binaryPath, args, {
+      cwd,
+      stdio,
+      env: childEnv,
+      windowsHide: false,
+    });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => resolve({ code, signal }));
+  });
+  promise.child = child;
+  return promise;
+}
+
+/**
+ * Pass the signals this process receives on to a child, without delivering
+ * terminal signals twice. Signals the child already gets are still caught so
+ * this process outlives the child and can report how it exited. Set
+ * options.terminal to false when the child does not share this process's
+ * terminal (by default, it does when stdin is a TTY). Returns a function that
+ * removes the handlers.
+ */
+function forwardSignals(child, options = {}) {
+  const { terminal = Boolean(process.stdin.isTTY) } = options;
+  const signals = process.platform === 'win32'
+    ? WINDOWS_CONSOLE_SIGNALS.map(signal => [signal, false])
+    : [
+      ...TERMINAL_SIGNALS.map(signal => [signal, !terminal]),
+      ...FORWARDED_SIGNALS.map(signal => [signal, true]),
+    ];
+
+  const handlers = signals.map(([signal, forward]) => {
+    const handler = () => {
+      if (forward && child.exitCode === null && child.signalCode === null) {
+        child.kill(signal);
+      }
+    };
+    process.on(signal, handler);
+    return [signal, handler];
+  });
+  return () => handlers.forEach(([signal, handler]) => process.removeListener(signal, handler));
+}
+
+/**
+ * Exit code shells report for a process killed by a signal: 128 plus the
+ * signal number
+ */
+function signalExitCode(signal) {
+  return 128 + (os.constants.signals[signal] || 0);
+}
+
+module.exports = {
+  run,
+  forwardSignals,
+  signalExitCode,
+};
@@ -0,0 +1,202 @@
+/**
+ * Validating configs against the bundled crush.json schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { CONFIG_DIR } = require('./paths');
+
+// Copy of the Crush config schema bundled with this package, for offline
+// use. Release builds replace it with the schema.json of the packaged Crush
+// version (scripts/build.sh); until then it is a hand-maintained subset.
+const BUNDLED_SCHEMA_FILE = path.join(__dirname, '..', 'schema', 'crush.json');
+const LOCAL_SCHEMA_FILE = path.join(CONFIG_DIR, 'crush.schema.json');
+
+// Levenshtein distance, used to suggest the property a typo was meant to be
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
+
+// Format a JSON path segment, e.g. $.providers["my-llm"].models[0]
+function jsonPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate a value against the subset of JSON Schema used by the Crush
+// schema. Each issue is { path, problem, suggestion, severity }. Keys the
+// schema doesn't list are warnings: they are usually typos, but the bundled
+// schema can lag behind Crush, so they must never block saving a config.
+// Everything else is an error.
+function validateAgainstSchema(value, schema, root, at = '$', issues = []) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    return validateAgainstSchema(value, target || {}, root, at, issues);
+  }
+
+  const actual = jsonType(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!ok) {
+      const example = { string: '"text"', number: '1', integer: '1', boolean: 'true', array: '[]', object: '{}' }[allowed[0]];
+      issues.push({
+        path: at,
+        severity: 'error',
+        problem: `expected ${allowed.join(' or ')}, found ${actual === 'integer' ? 'number' : actual}`,
+        suggestion: typeof value === 'string' && allowed.some(t => t !== 'string') && value.trim() !== '' && !isNaN(value)
+          ? `remove the quotes: ${value}`
+          : `use ${/^[aeiou]/.test(allowed[0]) ? 'an' : 'a'} ${allowed[0]} value such as ${example}`
+      });
+      return issues;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path: at, severity: 'error', problem: `${JSON.stringify(value)} is not an allowed value`, suggestion: `use one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ path: at, severity: 'error', problem: `${value} is below the minimum of ${schema.minimum}`, suggestion: `use a value of at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({ path: at, severity: 'error', problem: `${value} is above the maximum of ${schema.maximum}`, suggestion: `use a value of at most ${schema.maximum}` });
+    }
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    issues.push({ path: at, severity: 'error', problem: `does not match the pattern ${schema.pattern}`, suggestion: 'check the value format' });
+  }
+  if (typeof value === 'string' && schema.format === 'uri' && !value.startsWith('$')) {
+    try {
+      new URL(value);
+    } catch {
+      issues.push({ path: at, severity: 'error', problem: `${JSON.stringify(value)} is not a valid URL`, suggestion: 'use an absolute URL such as https://host/v1/' });
+    }
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matches = options.some(option => validateAgainstSchema(value, option, root, at, []).length === 0);
+    if (!matches) {
+      issues.push({ path: at, severity: 'error', problem: 'does not match any of the allowed shapes', suggestion: 'check the schema documentation for this key' });
+    }
+  }
+  (schema.allOf || []).forEach(option => validateAgainstSchema(value, option, root, at, issues));
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => validateAgainstSchema(item, schema.items, root, jsonPath(at, i), issues));
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        issues.push({ path: at, severity: 'error', problem: `missing required property "${key}"`, suggestion: `add "${key}"` });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = jsonPath(at, key);
+      if (properties[key]) {
+        validateAgainstSchema(child, properties[key], root, childPath, issues);
+        continue;
+      }
+      const patternKey = Object.keys(schema.patternProperties || {}).find(p => new RegExp(p).test(key));
+      if (patternKey) {
+        validateAgainstSchema(child, schema.patternProperties[patternKey], root, childPath, issues);
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        const closest = known
+          .map(name => ({ name, distance: editDistance(key, name) }))
+          .sort((a, b) => a.distance - b.distance)[0];
+        issues.push({
+          path: childPath,
+          severity: 'warning',
+          problem: 'unknown property',
+          suggestion: closest && closest.distance <= Math.max(2, Math.floor(key.length / 3))
+            ? `did you mean "${closest.name}"?`
+            : `remove it unless it is a setting of a newer Crush; known here: ${known.join(', ')}`
+        });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(child, schema.additionalProperties, root, childPath, issues);
+      }
+    }
+  }
+
+  return issues;
+}
+
+// Validate a Crush config object against the bundled schema, plus checks
+// the schema cannot express (references between sections)
+function validateConfig(config) {
+  const schema = JSON.parse(fs.readFileSync(BUNDLED_SCHEMA_FILE, 'utf8'));
+  const issues = validateAgainstSchema(config, schema, schema);
+
+  if (config && typeof config === 'object' && config.models && typeof config.models === 'object') {
+    for (const [type, selection] of Object.entries(config.models)) {
+      if (!selection || typeof selection !== 'object' || !selection.provider) continue;
+      const at = jsonPath(jsonPath('$.models', type), 'provider');
+      const provider = (config.providers || {})[selection.provider];
+      if (!provider) {
+        // Providers can also come from another config layer, so only flag
+        // references when this file defines providers at all
+        if (config.providers) {
+          issues.push({ path: at, severity: 'error', problem: `provider "${selection.provider}" is not defined in providers`, suggestion: `use one of: ${Object.keys(config.providers).join(', ')}` });
+        }
+      } else if (typeof selection.model === 'string' && Array.isArray(provider.models) &&
+        !provider.models.some(m => m && m.id === selection.model)) {
+        issues.push({
+          path: jsonPath(jsonPath('$.models', type), 'model'),
+          severity: 'error',
+          problem: `model "${selection.model}" is not listed by provider "${selection.provider}"`,
+          suggestion: `use one of: ${provider.models.map(m => m && m.id).join(', ')}`
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+// The issues that must stop a config from being saved
+function blockingIssues(issues) {
+  return issues.filter(issue => issue.severity !== 'warning');
+}
+
+// The $schema value pointing at the local copy of the bundled schema
+function localSchemaUrl() {
+  return pathToFileURL(LOCAL_SCHEMA_FILE).href;
+}
+
+// Copy the bundled schema next to the global config so editors can use it
+// offline; the copy is refreshed whenever a config pointing at it is saved
+function installLocalSchema() {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.copyFileSync(BUNDLED_SCHEMA_FILE, LOCAL_SCHEMA_FILE);
+}
+
+module.exports = {
+  jsonPath,
+  validateConfig,
+  blockingIssues,
+  localSchemaUrl,
+  installLocalSchema,
+};
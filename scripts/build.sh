@@ -27,41 +27,19 @@ echo "Building npm packages for Crush v${VERSION}"
 rm -rf "${DIST_DIR}"
 mkdir -p "${DIST_DIR}/packages"
 
-# Platform mappings
-declare -A PLATFORMS=(
-    ["Linux_x86_64"]="linux-x64"
-    ["Linux_arm64"]="linux-arm64"
-    ["Darwin_x86_64"]="darwin-x64"
-    ["Darwin_arm64"]="darwin-arm64"
-    ["Windows_x86_64"]="win32-x64"
-    ["Windows_arm64"]="win32-arm64"
-)
-
-declare -A OS_MAP=(
-    ["linux-x64"]="linux"
-    ["linux-arm64"]="linux"
-    ["darwin-x64"]="darwin"
-    ["darwin-arm64"]="darwin"
-    ["win32-x64"]="win32"
-    ["win32-arm64"]="win32"
-)
-
-declare -A CPU_MAP=(
-    ["linux-x64"]="x64"
-    ["linux-arm64"]="arm64"
-    ["darwin-x64"]="x64"
-    ["darwin-arm64"]="arm64"
-    ["win32-x64"]="x64"
-    ["win32-arm64"]="arm64"
-)
+# Platform table shared with the wrapper (bin/platforms.json), one line per
+# target: <npm-platform> <release-archive-suffix> <os> <cpu> <libc|->
+PLATFORM_LINES=$(node -e "
+const platforms = require('${ROOT_DIR}/bin/platforms.json');
+for (const [key, p] of Object.entries(platforms)) {
+  console.log([key, p.archive, p.os, p.cpu, p.libc || '-'].join(' '));
+}
+")
 
 BUILT_PLATFORMS=""
 
 # Download and build platform packages
-for archive_suffix in "${!PLATFORMS[@]}"; do
-    npm_platform="${PLATFORMS[$archive_suffix]}"
-    os="${OS_MAP[$npm_platform]}"
-    cpu="${CPU_MAP[$npm_platform]}"
+while read -r npm_platform archive_suffix os cpu libc <&3; do
     
     # Determine archive type and original binary name
     if [ "$os" = "win32" ]; then
@@ -127,6 +105,35 @@ for archive_suffix in "${!PLATFORMS[@]}"; do
         continue
     fi
     
+    # Record the binary checksum so the wrapper can verify it before running
+    if command -v sha256sum >/dev/null 2>&1; then
+        binary_sha256=$(sha256sum "${pkg_dir}/bin/${target_binary}" | cut -d' ' -f1)
+    else
+        binary_sha256=$(shasum -a 256 "${pkg_dir}/bin/${target_binary}" | cut -d' ' -f1)
+    fi
+    binary_size=$(wc -c < "${pkg_dir}/bin/${target_binary}" | tr -d ' ')
+    
+    cat > "${pkg_dir}/bin/manifest.json" << EOF
+{
+  "name": "${PACKAGE_SCOPE}-${npm_platform}",
+  "version": "${VERSION}",
+  "files": {
+    "${target_binary}": {
+      "sha256": "${binary_sha256}",
+      "size": ${binary_size}
+    }
+  }
+}
+EOF
+    echo "  SHA-256: ${binary_sha256}"
+    
+    # Restrict Linux packages to their C library so npm picks the right variant
+    libc_field=""
+    if [ "$libc" != "-" ]; then
+        libc_field="
+  \"libc\": [\"${libc}\"],"
+    fi
+    
     # Create package.json
     cat > "${pkg_dir}/package.json" << EOF
 {
@@ -139,7 +146,7 @@ for archive_suffix in "${!PLATFORMS[@]}"; do
     "url": "git+https://github.com/kj55-dev/crush-npm.git"
   },
   "os": ["${os}"],
-  "cpu": ["${cpu}"],
+  "cpu": ["${cpu}"],${libc_field}
   "files": ["bin/"],
   "preferUnplugged": true
 }
@@ -162,7 +169,7 @@ EOF
     
     echo "  Built ${pkg_name}"
     BUILT_PLATFORMS="${BUILT_PLATFORMS} ${npm_platform}"
-done
+done 3<<< "${PLATFORM_LINES}"
 
 # Update main package version
 echo ""
@@ -174,14 +181,33 @@ node -e "
 const pkg = require('./package.json');
 pkg.version = '${VERSION}';
 
-// Update optionalDependencies versions
-for (const dep in pkg.optionalDependencies) {
-  pkg.optionalDependencies[dep] = '${VERSION}';
+// Regenerate optionalDependencies from the platform table
+const platforms = require('./bin/platforms.json');
+pkg.optionalDependencies = {};
+for (const key of Object.keys(platforms)) {
+  pkg.optionalDependencies['${PACKAGE_SCOPE}-' + key] = '${VERSION}';
 }
 
 require('fs').writeFileSync('package.json', JSON.stringify(pkg, null, 2) + '\n');
 "
 
+# Refresh the bundled config schema from the matching Crush release so
+# `crush-setup validate` works offline against the right version
+echo ""
+echo "Updating bundled config schema..."
+schema_url="https://raw.githubusercontent.com/charmbracelet/crush/v${VERSION}/schema.json"
+if curl -fsSL -o "${DIST_DIR}/schema.json" "$schema_url"; then
+    node -e "
+const fs = require('fs');
+const schema = JSON.parse(fs.readFileSync('${DIST_DIR}/schema.json', 'utf8'));
+schema['x-crush-version'] = '${VERSION}';
+fs.writeFileSync('schema/crush.json', JSON.stringify(schema, null, 2) + '\n');
+"
+    echo "  Updated schema/crush.json to v${VERSION}"
+else
+    echo "  Warning: could not download ${schema_url}, keeping the existing schema/crush.json"
+fi
+
 echo ""
 echo "=========================================="
 echo "Build complete!"
@@ -0,0 +1,152 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { answersFromFlags, applyMcpFlags, splitCommandLine } = require('../lib/answers');
+const { normalizeAnswers, checkAnswers } = require('../lib/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-answers-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write an answers file and return its path
+function answersFile(answers) {
+  const file = path.join(dir, `answers-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(answers));
+  return file;
+}
+
+const fromFile = {
+  provider: 'openai-compat',
+  endpoint: 'https://llm.corp.example/v1/',
+  models: [
+    { id: 'big', contextWindow: 128000, maxTokens: 4096 },
+    { id: 'small', contextWindow: 32000 },
+  ],
+};
+
+test('values from the answers file are kept without flags', () => {
+  const { answers, errors } = answersFromFlags([], { answers: answersFile(fromFile) });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(answers, fromFile);
+});
+
+test('model flags override the answers file', () => {
+  const { answers, errors } = answersFromFlags([], {
+    answers: answersFile(fromFile), 'context-window': '64000', 'max-tokens': '2048', reasoning: 'big',
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(answers.models, [
+    { id: 'big', contextWindow: '64000', maxTokens: '2048', canReason: true },
+    { id: 'small', contextWindow: '64000', maxTokens: '2048' },
+  ]);
+});
+
+test('model flags without a model list apply to the default model', () => {
+  const { answers, errors } = answersFromFlags(['openai-compat', 'https://llm.corp.example/v1/'], {
+    'context-window': '200000', 'max-tokens': '8000',
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(answers.models, [{ id: 'default', contextWindow: '200000', maxTokens: '8000' }]);
+});
+
+test('positionals override the answers file', () => {
+  const { answers } = answersFromFlags(['ollama', 'http://localhost:11434/v1/', 'llama3,qwen'], { answers: answersFile(fromFile) });
+  assert.equal(answers.provider, 'ollama');
+  assert.equal(answers.endpoint, 'http://localhost:11434/v1/');
+  assert.deepEqual(answers.models, [{ id: 'llama3', name: 'llama3' }, { id: 'qwen', name: 'qwen' }]);
+});
+
+test('MCP flags add to the servers in the answers file', () => {
+  const file = answersFile({ ...fromFile, mcpServers: [{ name: 'docs', type: 'http', url: 'https://docs.corp.example/mcp' }] });
+  const { answers, errors } = answersFromFlags([], {
+    answers: file, mcp: 'tickets=npx -y "@corp/tickets mcp"', 'mcp-env': 'tickets:TICKETS_TOKEN=$TICKETS_TOKEN',
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(answers.mcpServers, [
+    { name: 'docs', type: 'http', url: 'https://docs.corp.example/mcp' },
+    { name: 'tickets', type: 'stdio', command: 'npx', args: ['-y', '@corp/tickets mcp'], env: { TICKETS_TOKEN: '$TICKETS_TOKEN' } },
+  ]);
+});
+
+test('--mcp-env and --mcp-header split at the first : and =, and collect repeated values', () => {
+  const answers = {};
+  const errors = [];
+  applyMcpFlags({
+    mcp: ['search=https://search.corp.example/mcp', 'local=./bin/server --port 0'],
+    'mcp-sse': 'events=https://events.corp.example/sse',
+    'mcp-env': ['local:TOKEN=a=b', 'local: DEBUG = 1 '],
+    'mcp-header': ['search:Authorization=Bearer $SEARCH_TOKEN', 'search:X-Trace=id:42', 'events:X-Team=core'],
+  }, answers, errors);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(answers.mcpServers, [
+    {
+      name: 'search', type: 'http', url: 'https://search.corp.example/mcp',
+      headers: { Authorization: 'Bearer $SEARCH_TOKEN', 'X-Trace': 'id:42' },
+    },
+    { name: 'local', type: 'stdio', command: './bin/server', args: ['--port', '0'], env: { TOKEN: 'a=b', DEBUG: '1' } },
+    { name: 'events', type: 'sse', url: 'https://events.corp.example/sse', headers: { 'X-Team': 'core' } },
+  ]);
+});
+
+test('malformed MCP flags and ones for unknown servers are reported', () => {
+  const answers = {};
+  const errors = [];
+  applyMcpFlags({
+    mcp: ['nameless', '=cmd', 'empty='],
+    'mcp-sse': true,
+    'mcp-env': ['TOKEN=x', 'local:TOKEN', 'missing:TOKEN=x'],
+    'mcp-header': ':X-Team=core',
+  }, answers, errors);
+
+  assert.deepEqual(errors, [
+    '--mcp must be given as name=<command or URL>',
+    '--mcp must be given as name=<command or URL>',
+    '--mcp must be given as name=<command or URL>',
+    '--mcp-sse must be given as name=<URL>',
+    '--mcp-env must be given as server:NAME=value',
+    '--mcp-env must be given as server:NAME=value',
+    '--mcp-env: no MCP server named "missing"',
+    '--mcp-header must be given as server:NAME=value',
+  ]);
+  assert.equal(answers.mcpServers, undefined);
+});
+
+test('unknown options, misplaced template flags and a missing file are reported together', () => {
+  const { errors } = answersFromFlags(['ollama', 'http://localhost:11434/v1/'], {
+    answers: path.join(dir, 'missing.json'), frob: true, 'api-version': '2024-10-21', reasoning: 'nope',
+  });
+  assert.equal(errors.length, 4);
+  assert.equal(errors[0], 'Unknown option --frob');
+  assert.match(errors[1], /^Could not read answers file .*missing\.json/);
+  assert.match(errors[2], /^--api-version does not apply to /);
+  assert.equal(errors[3], '--reasoning model "nope" is not in the model list');
+});
+
+test('an answers file that is not a JSON object is reported', () => {
+  for (const contents of ['null', '[]', '"x"', '42']) {
+    const file = path.join(dir, 'not-an-object.json');
+    fs.writeFileSync(file, contents);
+    const { answers, errors } = answersFromFlags(['ollama'], { answers: file });
+    assert.deepEqual(errors, [`Answers file ${file} must contain a JSON object`], contents);
+    assert.equal(answers.provider, 'ollama');
+  }
+});
+
+test('models that are not a list are reported instead of replaced by the default', () => {
+  const { answers } = answersFromFlags([], { answers: answersFile({ ...fromFile, models: 'llama3' }) });
+  const normalized = normalizeAnswers(answers);
+  assert.equal(normalized.models, 'llama3');
+  assert.ok(checkAnswers(normalized).includes('models must be a list of { id, ... }'));
+
+  const defaulted = normalizeAnswers({ provider: 'ollama' });
+  assert.deepEqual(defaulted.models, [{ id: 'llama3:70b' }]);
+  assert.deepEqual(checkAnswers(defaulted), []);
+});
+
+test('splitCommandLine handles quotes and escapes', () => {
+  assert.deepEqual(splitCommandLine(`node "my server.js" --name 'a b' c\\ d`), ['node', 'my server.js', '--name', 'a b', 'c d']);
+  assert.deepEqual(splitCommandLine('  '), []);
+});
@@ -0,0 +1,102 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Config locations are fixed when lib/paths.js loads, so point the home
+// directory at a scratch one first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-audit-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+
+const { CONFIG_DIR, WRAPPER_CONFIG_FILE } = require('../lib/paths');
+const {
+  getAuditSettings,
+  redactArgs,
+  finishAuditEntry,
+  getAuditLogFiles,
+  readAuditLog,
+  auditEntryFilter,
+  formatAuditEntries,
+} = require('../lib/audit');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('redactArgs hides secret flag values in either form', () => {
+  assert.deepEqual(redactArgs([
+    '--api-key=sk-123', '--api-key', 'sk-456', '--API_KEY=sk-789', '-token', 'abc', '--client-secret=s', '--debug', '--cwd', '/work',
+  ]), [
+    '--api-key=<redacted>', '--api-key', '<redacted>', '--API_KEY=<redacted>', '-token', '<redacted>', '--client-secret=<redacted>',
+    '--debug', '--cwd', '/work',
+  ]);
+});
+
+test('redactArgs strips URL credentials and reduces prompts to their length', () => {
+  assert.deepEqual(redactArgs([
+    '--base-url=https://user:pw@llm.corp.example/v1/', 'https://tok@mcp.corp.example/', '-', 'run', '--quiet', 'fix the login bug', '--', '-x',
+  ]), [
+    '--base-url=https://llm.corp.example/v1/', 'https://mcp.corp.example/', '-', 'run', '--quiet', '<prompt, 17 chars>', '<prompt, 2 chars>', '-x',
+  ]);
+});
+
+test('getAuditSettings reads wrapper.json with defaults', () => {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  assert.deepEqual(getAuditSettings(), {
+    enabled: false, file: path.join(CONFIG_DIR, 'audit.log'), maxBytes: 10 * 1024 * 1024, maxFiles: 5,
+  });
+  fs.writeFileSync(WRAPPER_CONFIG_FILE, JSON.stringify({ audit: { enabled: true, path: 'logs/audit.log', max_size_mb: 0.5, max_files: -1 } }));
+  assert.deepEqual(getAuditSettings(), {
+    enabled: true, file: path.join(CONFIG_DIR, 'logs', 'audit.log'), maxBytes: 512 * 1024, maxFiles: 5,
+  });
+  fs.rmSync(WRAPPER_CONFIG_FILE);
+});
+
+test('the log rotates before an entry would take it over the size limit', () => {
+  const settings = { enabled: true, file: path.join(home, 'rotate', 'audit.log'), maxBytes: 400, maxFiles: 2 };
+  const write = n => finishAuditEntry({ settings, startedAt: Date.now(), record: { timestamp: new Date().toISOString(), n } }, { code: 0 });
+  const last = 30;
+  for (let n = 1; n <= last; n++) write(n);
+
+  assert.deepEqual(getAuditLogFiles(settings), [`${settings.file}.2`, `${settings.file}.1`, settings.file]);
+  for (const file of getAuditLogFiles(settings)) {
+    assert.ok(fs.statSync(file).size <= settings.maxBytes, `${file} is within the limit`);
+  }
+  assert.equal(fs.existsSync(`${settings.file}.3`), false, 'files beyond maxFiles are dropped');
+
+  const { entries, invalid } = readAuditLog(settings);
+  assert.equal(invalid, 0);
+  const first = entries[0].n;
+  assert.ok(first > 1, 'the oldest entries were dropped with the oldest file');
+  assert.deepEqual(entries.map(entry => entry.n), Array.from({ length: last - first + 1 }, (_, i) => first + i),
+    'the rest are read oldest first');
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(settings.file).mode & 0o777, 0o600);
+  }
+});
+
+test('readAuditLog counts lines that are not JSON', () => {
+  const settings = { file: path.join(home, 'broken', 'audit.log'), maxFiles: 1 };
+  fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+  fs.writeFileSync(settings.file, '{"n":1}\n{"n":2\n\n{"n":3}\n');
+  assert.deepEqual(readAuditLog(settings), { entries: [{ n: 1 }, { n: 3 }], invalid: 1 });
+});
+
+test('auditEntryFilter and formatAuditEntries select and export entries', () => {
+  const entries = [
+    { timestamp: '2025-01-30T10:00:00Z', user: 'ana', cwd: '/work/app', git_remote: 'git@corp:Team/App.git', provider: 'corp', args: ['run', '<prompt, 3 chars>'] },
+    { timestamp: '2025-02-02T10:00:00Z', user: 'bo', cwd: '/work/other', git_remote: null, provider: 'local', error: 'spawn "crush", failed' },
+  ];
+  assert.deepEqual(entries.filter(auditEntryFilter({ since: '2025-01-31' })), [entries[1]]);
+  assert.deepEqual(entries.filter(auditEntryFilter({ until: '2025-01-31', user: 'ana' })), [entries[0]]);
+  assert.deepEqual(entries.filter(auditEntryFilter({ repo: 'team/app' })), [entries[0]]);
+  assert.deepEqual(entries.filter(auditEntryFilter({ provider: 'local' })), [entries[1]]);
+  assert.throws(() => auditEntryFilter({ since: 'last week' }), /--since "last week" is not a date/);
+
+  assert.equal(formatAuditEntries(entries), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  const csv = formatAuditEntries(entries, 'csv').split('\n');
+  assert.equal(csv[0], 'timestamp,user,host,cwd,git_remote,provider,model,args,exit_code,signal,duration_ms,error');
+  assert.equal(csv[1], '2025-01-30T10:00:00Z,ana,,/work/app,git@corp:Team/App.git,corp,,"run <prompt, 3 chars>",,,,');
+  assert.equal(csv[2], '2025-02-02T10:00:00Z,bo,,/work/other,,local,,,,,,"spawn ""crush"", failed"');
+});
@@ -0,0 +1,229 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// The platform package is found relative to the wrapper's lib/, so the
+// wrapper is copied into a scratch node_modules the way npm installs it,
+// next to fake platform packages. Paths are fixed when lib/paths.js loads,
+// so the home directory is pointed at a scratch one first.
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-binary-'));
+const home = path.join(root, 'home');
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+process.env.XDG_CACHE_HOME = path.join(home, '.cache');
+delete process.env.CRUSH_BINARY_PATH;
+
+const scope = path.join(root, 'node_modules', '@offlinecli');
+const wrapper = path.join(scope, 'crush');
+for (const entry of ['bin', 'lib', 'schema', 'package.json']) {
+  fs.cpSync(path.join(__dirname, '..', entry), path.join(wrapper, entry), { recursive: true });
+}
+const { version } = require('../package.json');
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// A fresh copy of the wrapper's lib/binary.js (it caches the detected libc)
+function loadBinary() {
+  Object.keys(require.cache).filter(file => file.startsWith(wrapper + path.sep)).forEach(file => delete require.cache[file]);
+  return require(path.join(wrapper, 'lib', 'binary'));
+}
+
+const sha256 = contents => crypto.createHash('sha256').update(contents).digest('hex');
+const executableName = process.platform === 'win32' ? 'crush.exe' : 'crush';
+
+// Install a fake platform package holding crush.bin with contents, and the
+// manifest build.sh writes for it (or `manifest` instead; null for none).
+// Returns its bin directory.
+function installPlatformPackage(key, contents = 'crush binary', manifest) {
+  const dir = path.join(scope, `crush-${key}`);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, 'bin'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: `@offlinecli/crush-${key}`, version }));
+  fs.writeFileSync(path.join(dir, 'bin', 'crush.bin'), contents);
+  const files = { 'crush.bin': { sha256: sha256(contents), size: Buffer.byteLength(contents) } };
+  if (manifest !== null) {
+    fs.writeFileSync(path.join(dir, 'bin', 'manifest.json'), JSON.stringify(manifest || { version, files }));
+  }
+  return path.join(dir, 'bin');
+}
+
+const hostKey = () => loadBinary().getPlatformCandidates()[0];
+
+// Start each test without platform packages, caches or settings
+beforeEach(() => {
+  delete process.env.CRUSH_BINARY_PATH;
+  fs.readdirSync(scope).filter(name => name !== 'crush')
+    .forEach(name => fs.rmSync(path.join(scope, name), { recursive: true, force: true }));
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('a verified crush.bin is renamed and its verification cached', (t) => {
+  const binDir = installPlatformPackage(hostKey());
+  const binaryPath = loadBinary().getBinaryPath();
+  assert.equal(binaryPath, path.join(binDir, executableName));
+  assert.equal(fs.existsSync(path.join(binDir, 'crush.bin')), false);
+
+  const cache = JSON.parse(fs.readFileSync(path.join(process.env.XDG_CACHE_HOME, 'crush', 'integrity.json'), 'utf8'));
+  assert.equal(cache[binaryPath].sha256, sha256('crush binary'));
+
+  const hashes = t.mock.method(crypto, 'createHash');
+  assert.equal(loadBinary().getBinaryPath(), binaryPath);
+  assert.equal(hashes.mock.callCount(), 0, 'an unchanged binary is not hashed again');
+});
+
+test('a tampered crush.bin fails with EINTEGRITY and is not renamed', () => {
+  const binDir = installPlatformPackage(hostKey());
+  fs.writeFileSync(path.join(binDir, 'crush.bin'), 'crush binarY');
+  assert.throws(() => loadBinary().getBinaryPath(), err => err.code === 'EINTEGRITY' && /SHA-256 mismatch/.test(err.message));
+  assert.equal(fs.existsSync(path.join(binDir, 'crush.bin')), true);
+  assert.equal(fs.existsSync(path.join(binDir, executableName)), false);
+});
+
+test('a missing or incomplete manifest fails with EINTEGRITY', () => {
+  const key = hostKey();
+  const noManifest = /No valid SHA-256 manifest/;
+  installPlatformPackage(key, 'crush binary', null);
+  assert.throws(() => loadBinary().getBinaryPath(), err => err.code === 'EINTEGRITY' && noManifest.test(err.message));
+  installPlatformPackage(key, 'crush binary', { version, files: { 'crush.exe': { sha256: sha256('crush binary') } } });
+  assert.throws(() => loadBinary().getBinaryPath(), err => err.code === 'EINTEGRITY' && noManifest.test(err.message));
+  installPlatformPackage(key, 'crush binary', { version, files: { 'crush.bin': { sha256: 'not-a-digest' } } });
+  assert.throws(() => loadBinary().getBinaryPath(), err => err.code === 'EINTEGRITY' && noManifest.test(err.message));
+});
+
+test('a binary of the wrong size fails with EINTEGRITY before it is hashed', (t) => {
+  const binDir = installPlatformPackage(hostKey());
+  fs.appendFileSync(path.join(binDir, 'crush.bin'), '!');
+  const hashes = t.mock.method(crypto, 'createHash');
+  assert.throws(() => loadBinary().getBinaryPath(),
+    err => err.code === 'EINTEGRITY' && /Size mismatch .*expected 12 bytes, found 13/.test(err.message));
+  assert.equal(hashes.mock.callCount(), 0);
+});
+
+test('changing a verified binary invalidates the cached verification', () => {
+  const binDir = installPlatformPackage(hostKey());
+  const binaryPath = loadBinary().getBinaryPath();
+
+  // Same size, so only the hash can tell; the timestamps show it changed
+  fs.writeFileSync(binaryPath, 'crush binarY');
+  const past = new Date(Date.now() - 60000);
+  fs.utimesSync(binaryPath, past, past);
+  assert.throws(() => loadBinary().getBinaryPath(), err => err.code === 'EINTEGRITY' && err.path === path.join(binDir, executableName));
+});
+
+test('a crush.bin that cannot be renamed runs from a verified copy in the user cache', { skip: process.platform === 'win32' && 'POSIX cache layout' }, (t) => {
+  const binDir = installPlatformPackage(hostKey());
+  const userBinDir = path.join(process.env.XDG_CACHE_HOME, 'crush', 'bin');
+  fs.mkdirSync(path.join(userBinDir, '0.0.1'), { recursive: true });
+  fs.writeFileSync(path.join(userBinDir, '0.0.1', executableName), 'old crush');
+
+  // A read-only package directory, as with an admin-owned global install
+  const rename = fs.renameSync;
+  t.mock.method(fs, 'renameSync', (from, to) => {
+    if (from === path.join(binDir, 'crush.bin')) {
+      throw Object.assign(new Error(`EACCES: permission denied, rename '${from}'`), { code: 'EACCES' });
+    }
+    return rename(from, to);
+  });
+
+  const cachedPath = path.join(userBinDir, version, executableName);
+  assert.equal(loadBinary().getBinaryPath(), cachedPath);
+  assert.equal(fs.readFileSync(cachedPath, 'utf8'), 'crush binary');
+  assert.equal(fs.statSync(cachedPath).mode & 0o777, 0o755);
+  assert.deepEqual(fs.readdirSync(userBinDir), [version], 'copies of other versions are pruned');
+  assert.deepEqual(fs.readdirSync(path.join(userBinDir, version)), [executableName]);
+  assert.equal(fs.existsSync(path.join(binDir, 'crush.bin')), true);
+
+  // The next launch reuses the copy, but only while it still verifies
+  assert.equal(loadBinary().getBinaryPath(), cachedPath);
+  fs.writeFileSync(cachedPath, 'crush binarY');
+  assert.throws(() => loadBinary().getBinaryPath(), err => err.code === 'EINTEGRITY' && err.path === cachedPath);
+});
+
+test('CRUSH_BINARY_PATH is resolved against cwd or home and used without verification', (t) => {
+  // A tampered package shows the platform packages are not consulted
+  const binDir = installPlatformPackage(hostKey());
+  fs.writeFileSync(path.join(binDir, 'crush.bin'), 'crush binarY');
+  const approved = path.join(home, 'tools', executableName);
+  fs.mkdirSync(path.dirname(approved), { recursive: true });
+  fs.writeFileSync(approved, 'approved crush');
+  const hashes = t.mock.method(crypto, 'createHash');
+
+  process.env.CRUSH_BINARY_PATH = path.relative(process.cwd(), approved);
+  let binary = loadBinary();
+  assert.deepEqual(binary.getBinaryOverride(), { path: approved, source: 'CRUSH_BINARY_PATH' });
+  assert.equal(binary.getBinaryPath(), approved);
+
+  process.env.CRUSH_BINARY_PATH = `~/tools/${executableName}`;
+  binary = loadBinary();
+  assert.equal(binary.getBinaryPath(), approved);
+  assert.equal(hashes.mock.callCount(), 0);
+  assert.equal(fs.existsSync(path.join(binDir, 'crush.bin')), true);
+
+  process.env.CRUSH_BINARY_PATH = '~/tools/missing';
+  assert.throws(() => loadBinary().getBinaryPath(),
+    { message: `CRUSH_BINARY_PATH points to ${path.join(home, 'tools', 'missing')}, which does not exist` });
+});
+
+test('binary_path in wrapper.json is resolved against the config directory, and CRUSH_BINARY_PATH wins', () => {
+  const { CONFIG_DIR, WRAPPER_CONFIG_FILE } = require(path.join(wrapper, 'lib', 'paths'));
+  const approved = path.join(CONFIG_DIR, 'bin', executableName);
+  fs.mkdirSync(path.dirname(approved), { recursive: true });
+  fs.writeFileSync(approved, 'approved crush');
+  fs.writeFileSync(WRAPPER_CONFIG_FILE, JSON.stringify({ binary_path: `bin/${executableName}` }));
+
+  let binary = loadBinary();
+  assert.deepEqual(binary.getBinaryOverride(), { path: approved, source: `binary_path in ${WRAPPER_CONFIG_FILE}` });
+  assert.equal(binary.getBinaryPath(), approved);
+
+  process.env.CRUSH_BINARY_PATH = path.join(home, 'elsewhere');
+  binary = loadBinary();
+  assert.equal(binary.getBinaryOverride().source, 'CRUSH_BINARY_PATH');
+  assert.throws(() => binary.getBinaryPath(), /^Error: CRUSH_BINARY_PATH points to /);
+});
+
+// Pretend to run on Linux x64 with the given libc ('glibc' or 'musl') until
+// the test ends
+function simulateLinux(t, libc) {
+  for (const [name, value] of [['platform', 'linux'], ['arch', 'x64']]) {
+    const original = Object.getOwnPropertyDescriptor(process, name);
+    Object.defineProperty(process, name, { ...original, value });
+    t.after(() => Object.defineProperty(process, name, original));
+  }
+  // Node reports a glibc version only when it runs against glibc
+  t.mock.method(process.report, 'getReport', () => ({ header: libc === 'glibc' ? { glibcVersionRuntime: '2.36' } : {} }));
+}
+
+test('on musl the -musl package is preferred over the glibc one', (t) => {
+  simulateLinux(t, 'musl');
+  const binary = loadBinary();
+  assert.equal(binary.detectLibc(), 'musl');
+  assert.deepEqual(binary.getPlatformCandidates(), ['linux-x64-musl', 'linux-x64']);
+  assert.equal(binary.getPlatformPackage(), '@offlinecli/crush-linux-x64-musl');
+});
+
+test('on glibc the -musl package is only a fallback', (t) => {
+  simulateLinux(t, 'glibc');
+  const binary = loadBinary();
+  assert.equal(binary.detectLibc(), 'glibc');
+  assert.deepEqual(binary.getPlatformCandidates(), ['linux-x64', 'linux-x64-musl']);
+  assert.equal(binary.getPlatformPackage(), '@offlinecli/crush-linux-x64');
+});
+
+test('on musl an installed -musl build is used, else the glibc one with a warning', { skip: process.platform === 'win32' && 'POSIX file modes' }, (t) => {
+  simulateLinux(t, 'musl');
+  const warnings = t.mock.method(console, 'error', () => {});
+  const glibcDir = installPlatformPackage('linux-x64');
+
+  assert.equal(loadBinary().getBinaryPath(), path.join(glibcDir, 'crush'));
+  assert.deepEqual(warnings.mock.calls.map(call => call.arguments[0]),
+    ['Warning: no musl build of Crush is installed, using @offlinecli/crush-linux-x64 instead.']);
+
+  const muslDir = installPlatformPackage('linux-x64-musl');
+  warnings.mock.resetCalls();
+  assert.equal(loadBinary().getBinaryPath(), path.join(muslDir, 'crush'));
+  assert.equal(warnings.mock.callCount(), 0);
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Config and cache directories are fixed when lib/paths.js loads, so point
+// the home directory at a scratch one first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-credentials-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+process.env.XDG_CACHE_HOME = path.join(home, '.cache');
+process.env.TOKEN_HELPER_LOG = path.join(home, 'helper.log');
+
+const { WRAPPER_CONFIG_FILE, getCacheDir } = require('../lib/paths');
+const { getCachedToken, runCredentialHelper, getCredentialHelpers, getHelperTokens } = require('../lib/credentials');
+
+fs.mkdirSync(path.dirname(WRAPPER_CONFIG_FILE), { recursive: true });
+
+const HELPER = path.join(__dirname, 'fixtures', 'token-helper.js');
+const helperCommand = (mode, token) => `"${process.execPath}" "${HELPER}" ${mode} ${token}`;
+const cacheFile = () => path.join(getCacheDir(), 'credentials.json');
+const helperRuns = () => fs.existsSync(process.env.TOKEN_HELPER_LOG)
+  ? fs.readFileSync(process.env.TOKEN_HELPER_LOG, 'utf8').split('\n').filter(Boolean)
+  : [];
+
+// Configure credential helpers in wrapper.json as { provider: [mode, token, env] }
+function useHelpers(helpers) {
+  const entries = Object.entries(helpers).map(([provider, [mode, token, env]]) => [provider, { command: helperCommand(mode, token), env }]);
+  fs.writeFileSync(WRAPPER_CONFIG_FILE, JSON.stringify({ credential_helpers: Object.fromEntries(entries) }));
+}
+
+beforeEach(() => {
+  fs.rmSync(cacheFile(), { force: true });
+  fs.rmSync(process.env.TOKEN_HELPER_LOG, { force: true });
+});
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('runCredentialHelper reads a bare token or JSON with an expiry', () => {
+  assert.deepEqual(runCredentialHelper({ command: helperCommand('bare', 'tok-bare') }), { token: 'tok-bare', expiresAt: null });
+
+  const before = Date.now();
+  const json = runCredentialHelper({ command: helperCommand('json', 'tok-json') });
+  assert.equal(json.token, 'tok-json');
+  assert.ok(json.expiresAt >= before + 3600 * 1000 && json.expiresAt <= Date.now() + 3600 * 1000);
+});
+
+test('runCredentialHelper reports a failing helper', () => {
+  assert.throws(() => runCredentialHelper({ command: helperCommand('fail', 'x') }), /exited with code 3/);
+});
+
+test('getCredentialHelpers skips entries without a usable env var or command', () => {
+  fs.writeFileSync(WRAPPER_CONFIG_FILE, JSON.stringify({
+    credential_helpers: {
+      good: { command: 'corp-auth token', env: 'GOOD_KEY' },
+      badEnv: { command: 'corp-auth token', env: 'not a name' },
+      noCommand: { env: 'OTHER_KEY' },
+    },
+  }));
+  assert.deepEqual(getCredentialHelpers(), [{ provider: 'good', env: 'GOOD_KEY', command: 'corp-auth token' }]);
+});
+
+test('getHelperTokens runs a helper once and then uses the cache', () => {
+  useHelpers({ corp: ['json', 'tok-cached', 'CORP_KEY'] });
+  assert.deepEqual(getHelperTokens({}), { vars: { CORP_KEY: 'tok-cached' }, errors: [] });
+  assert.deepEqual(getHelperTokens({}).vars, { CORP_KEY: 'tok-cached' });
+  assert.equal(helperRuns().length, 1);
+
+  // Encrypted at rest, and readable only by the user
+  const cache = fs.readFileSync(cacheFile(), 'utf8');
+  assert.ok(!cache.includes('tok-cached'));
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(cacheFile()).mode & 0o777, 0o600);
+  }
+  assert.equal(getCachedToken({ env: 'CORP_KEY', command: helperCommand('json', 'tok-cached') }), 'tok-cached');
+});
+
+test('getHelperTokens caches a token without an expiry for a while', () => {
+  useHelpers({ corp: ['bare', 'tok-no-expiry', 'CORP_KEY'] });
+  getHelperTokens({});
+  assert.deepEqual(getHelperTokens({}).vars, { CORP_KEY: 'tok-no-expiry' });
+  assert.equal(helperRuns().length, 1);
+});
+
+test('getHelperTokens runs the helper again for an expired token', () => {
+  useHelpers({ corp: ['expired', 'tok-expired', 'CORP_KEY'] });
+  getHelperTokens({});
+  getHelperTokens({});
+  assert.equal(helperRuns().length, 2);
+});
+
+test('getHelperTokens leaves variables set in the shell alone', () => {
+  useHelpers({ corp: ['json', 'tok-unused', 'CORP_KEY'] });
+  assert.deepEqual(getHelperTokens({ CORP_KEY: 'from-shell' }), { vars: {}, errors: [] });
+  assert.equal(helperRuns().length, 0);
+});
+
+test('getHelperTokens reports failing helpers and keeps the others', () => {
+  useHelpers({ broken: ['fail', 'x', 'BROKEN_KEY'], corp: ['json', 'tok-ok', 'CORP_KEY'] });
+  const { vars, errors } = getHelperTokens({});
+  assert.deepEqual(vars, { CORP_KEY: 'tok-ok' });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].helper.provider, 'broken');
+  assert.match(errors[0].message, /exited with code 3/);
+});
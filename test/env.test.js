@@ -0,0 +1,105 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Config locations are fixed when lib/paths.js loads, so point the home
+// directory at a scratch one first; the project env file is read from cwd
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-env-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+const project = path.join(home, 'project');
+fs.mkdirSync(project);
+const cwd = process.cwd();
+process.chdir(project);
+
+const { USER_ENV_FILE, WRAPPER_CONFIG_FILE } = require('../lib/paths');
+const { parseEnvFile, loadEnvFiles, buildChildEnv } = require('../lib/env');
+
+const PROJECT_ENV_FILE = path.join(project, '.env.crush');
+const posix = process.platform !== 'win32';
+
+after(() => {
+  process.chdir(cwd);
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  [USER_ENV_FILE, PROJECT_ENV_FILE, WRAPPER_CONFIG_FILE].forEach(file => fs.rmSync(file, { force: true }));
+});
+
+// Write an env file readable only by its owner, or with `mode`
+function writeEnvFile(file, text, mode = 0o600) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+  fs.chmodSync(file, mode);
+}
+
+test('parseEnvFile reads KEY=value lines with export, quotes and comments', () => {
+  assert.deepEqual(parseEnvFile([
+    '# comment',
+    'PLAIN=value # trailing comment',
+    'export EXPORTED = spaced',
+    'DOUBLE="two\\nlines # kept"',
+    "SINGLE='$NOT_EXPANDED'",
+    'EMPTY=',
+    'not a variable',
+    '1BAD=x',
+  ].join('\r\n')), {
+    PLAIN: 'value',
+    EXPORTED: 'spaced',
+    DOUBLE: 'two\nlines # kept',
+    SINGLE: '$NOT_EXPANDED',
+    EMPTY: '',
+  });
+});
+
+test('env files group or others can read are refused', { skip: !posix && 'permissions are not checked on Windows' }, () => {
+  writeEnvFile(USER_ENV_FILE, 'USER_KEY=u\n', 0o644);
+  writeEnvFile(PROJECT_ENV_FILE, 'PROJECT_KEY=p\n', 0o604);
+  let result = loadEnvFiles();
+  assert.deepEqual(result.vars, {});
+  assert.deepEqual(result.loaded, []);
+  assert.deepEqual(result.refused.map(r => r.file), [USER_ENV_FILE, PROJECT_ENV_FILE]);
+  assert.match(result.refused[0].reason, /permissions 0644 are too open \(run: chmod 600 /);
+  assert.match(result.refused[1].reason, /permissions 0604 are too open/);
+
+  fs.chmodSync(USER_ENV_FILE, 0o600);
+  fs.chmodSync(PROJECT_ENV_FILE, 0o400);
+  result = loadEnvFiles();
+  assert.deepEqual(result.vars, { USER_KEY: 'u', PROJECT_KEY: 'p' });
+  assert.deepEqual(result.loaded, [USER_ENV_FILE, PROJECT_ENV_FILE]);
+  assert.deepEqual(result.refused, []);
+});
+
+test('env files cannot set the variables that pick the config and policy', () => {
+  writeEnvFile(PROJECT_ENV_FILE, 'CRUSH_GLOBAL_CONFIG=/tmp/evil\nCRUSH_POLICY_FILE=/dev/null\nOTHER=1\n');
+  const { env, warnings } = buildChildEnv({ PATH: process.env.PATH });
+  assert.equal(env.CRUSH_GLOBAL_CONFIG, undefined);
+  assert.equal(env.CRUSH_POLICY_FILE, undefined);
+  assert.equal(env.OTHER, '1');
+  assert.deepEqual(warnings, [
+    `ignoring CRUSH_GLOBAL_CONFIG in ${PROJECT_ENV_FILE}: only the shell can set it`,
+    `ignoring CRUSH_POLICY_FILE in ${PROJECT_ENV_FILE}: only the shell can set it`,
+  ]);
+
+  const fromShell = buildChildEnv({ CRUSH_POLICY_FILE: '/etc/crush/other.json' }).env;
+  assert.equal(fromShell.CRUSH_POLICY_FILE, '/etc/crush/other.json');
+});
+
+test('the shell wins over env files, and the project file over the user file', () => {
+  writeEnvFile(USER_ENV_FILE, 'SHARED=user\nUSER_ONLY=user\nAPI_KEY=user\n');
+  writeEnvFile(PROJECT_ENV_FILE, 'SHARED=project\nAPI_KEY=project\n');
+  fs.writeFileSync(WRAPPER_CONFIG_FILE, JSON.stringify({ network: { https_proxy: 'http://proxy.corp.example:8080', no_proxy: 'localhost' } }));
+
+  const { env, warnings } = buildChildEnv({ API_KEY: 'shell', https_proxy: 'http://shell-proxy:3128' });
+  assert.deepEqual(warnings, []);
+  assert.equal(env.API_KEY, 'shell');
+  assert.equal(env.SHARED, 'project');
+  assert.equal(env.USER_ONLY, 'user');
+  assert.equal(env.HTTPS_PROXY, undefined, 'a lower-case proxy variable in the shell counts');
+  assert.equal(env.https_proxy, 'http://shell-proxy:3128');
+  assert.equal(env.NO_PROXY, 'localhost');
+});
@@ -0,0 +1,25 @@
+// Stand-in stdio MCP server for the tests: node mcp-server.js <mode>
+// Modes: ok (answers initialize), error (answers with a JSON-RPC error),
+// exit (writes to stderr and exits with code 2 before answering).
+const readline = require('readline');
+
+const [mode = 'ok'] = process.argv.slice(2);
+if (mode === 'exit') {
+  process.stderr.write('missing TICKETS_TOKEN\n');
+  process.exit(2);
+}
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+  if (message.method !== 'initialize') return;
+  const reply = mode === 'error'
+    ? { jsonrpc: '2.0', id: message.id, error: { code: -32602, message: 'unsupported protocol version' } }
+    : {
+      jsonrpc: '2.0',
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        serverInfo: { name: 'fixture', version: process.env.FIXTURE_VERSION || '0.0.0' },
+      },
+    };
+  process.stdout.write(`${JSON.stringify(reply)}\n`);
+});
@@ -0,0 +1,19 @@
+// Stand-in credential helper for the tests: node token-helper.js <mode> <token>
+// Modes: bare (prints the token), json (token with expires_in 3600),
+// expired (token that expired an hour ago), fail (exits with code 3).
+// Each run is recorded as a line in $TOKEN_HELPER_LOG when that is set.
+const fs = require('fs');
+
+const [mode, token] = process.argv.slice(2);
+if (process.env.TOKEN_HELPER_LOG) {
+  fs.appendFileSync(process.env.TOKEN_HELPER_LOG, `${mode} ${token}\n`);
+}
+if (mode === 'fail') {
+  process.exit(3);
+} else if (mode === 'json') {
+  process.stdout.write(JSON.stringify({ access_token: token, expires_in: 3600 }));
+} else if (mode === 'expired') {
+  process.stdout.write(JSON.stringify({ token, expires_on: Math.floor(Date.now() / 1000) - 3600 }));
+} else {
+  process.stdout.write(`${token}\n`);
+}
@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { LSP_DIRS_ENV, detectLanguages, detectLanguageServers } = require('../lib/lsp');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-lsp-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Write a file under the scratch tree
+function writeFile(name, contents = '') {
+  const file = path.join(root, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+// Install a fake server executable (a .cmd shim on Windows, as npm makes)
+function installServer(dir, command) {
+  const file = writeFile(path.join(dir, process.platform === 'win32' ? `${command}.cmd` : command), '');
+  fs.chmodSync(file, 0o755);
+  return file;
+}
+
+// A repository with TypeScript, Go and Python sources, and files in
+// directories the scan skips
+const repo = path.join(root, 'repo');
+writeFile('repo/.git/HEAD');
+writeFile('repo/tsconfig.json', '{}');
+writeFile('repo/cmd/tool/main.go');
+writeFile('repo/scripts/build.py');
+writeFile('repo/node_modules/dep/lib.rs');
+writeFile('repo/.cache/init.lua');
+writeFile('repo/a/b/c/d/e/deep.zig');
+
+test('detectLanguages reads markers and extensions, skipping hidden, dependency and deep directories', () => {
+  assert.deepEqual(detectLanguages(repo), ['go', 'typescript', 'python']);
+  assert.deepEqual(detectLanguages(path.join(root, 'missing')), []);
+});
+
+test('detectLanguageServers marks only node_modules/.bin servers as project ones', () => {
+  const extraDir = path.join(root, 'tools');
+  const flagDir = path.join(root, 'flag-tools');
+  const pathDir = path.join(root, 'usr-bin');
+  const tsServer = installServer('repo/node_modules/.bin', 'typescript-language-server');
+  const goServer = installServer('tools', 'gopls');
+  const pyServer = installServer('flag-tools', 'basedpyright-langserver');
+  installServer('usr-bin', 'gopls');
+  installServer('usr-bin', 'pylsp');
+
+  const result = detectLanguageServers({
+    cwd: repo,
+    extraDirs: [flagDir],
+    env: { PATH: pathDir, [LSP_DIRS_ENV]: extraDir },
+  });
+  const byName = Object.fromEntries(result.servers.map(server => [server.answer.name, server]));
+  assert.deepEqual(result.missing, []);
+
+  assert.equal(byName.typescript.source, 'project');
+  assert.equal(byName.typescript.answer.command, tsServer);
+  assert.deepEqual(byName.typescript.answer.args, ['--stdio']);
+  assert.equal(byName.typescript.answer.project, true);
+
+  assert.equal(byName.go.source, 'extra', '$CRUSH_LSP_DIRS comes before PATH');
+  assert.equal(byName.go.answer.command, goServer);
+  assert.equal(byName.go.answer.project, undefined);
+  assert.deepEqual(byName.go.answer.rootMarkers, ['go.mod', 'go.work']);
+
+  assert.equal(byName.python.source, 'extra', 'a preferred server in an extra directory beats a later one on PATH');
+  assert.equal(byName.python.answer.command, pyServer);
+  assert.equal(byName.python.answer.project, undefined);
+});
+
+test('detectLanguageServers keeps bare names for PATH servers and lists missing languages', () => {
+  const pathDir = path.join(root, 'path-only');
+  installServer('path-only', 'pylsp');
+  const app = path.join(root, 'app');
+  writeFile('app/.git/HEAD');
+  writeFile('app/main.py');
+  writeFile('app/Cargo.toml');
+
+  const { languages, servers, missing } = detectLanguageServers({ cwd: app, env: { PATH: pathDir } });
+  assert.deepEqual(languages, ['python', 'rust']);
+  assert.deepEqual(missing, ['rust']);
+  assert.equal(servers.length, 1);
+  assert.equal(servers[0].source, 'PATH');
+  assert.equal(servers[0].path, path.join(pathDir, process.platform === 'win32' ? 'pylsp.cmd' : 'pylsp'));
+  assert.deepEqual(servers[0].answer, {
+    name: 'python',
+    command: 'pylsp',
+    args: [],
+    filetypes: ['py', 'pyi'],
+    rootMarkers: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt'],
+  });
+});
@@ -0,0 +1,153 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// lib/paths.js fixes the config directory when it loads, so the home
+// directory is pointed at a scratch one before requiring the library
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-manage-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const {
+  selectionsUsing,
+  addProvider,
+  removeProvider,
+  editProvider,
+  addModel,
+  removeModel,
+  setDefaultModel,
+} = require('../lib/manage');
+
+const localAnswers = {
+  provider: 'openai-compat',
+  endpoint: 'http://localhost:8080/v1',
+  models: [{ id: 'qwen', supportsAttachments: false }, { id: 'llama' }],
+};
+
+// A config with one provider supplying both selected models
+function configWithLocal() {
+  return addProvider({}, 'local', localAnswers).config;
+}
+
+test('addProvider builds the provider from answers and selects its models when none are selected', () => {
+  const { config, errors } = addProvider({ options: { debug: true } }, 'local', localAnswers);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(config.options, { debug: true });
+  const provider = config.providers.local;
+  assert.equal(provider.type, 'openai-compat');
+  assert.equal(provider.base_url, 'http://localhost:8080/v1/');
+  assert.deepEqual(provider.models.map(m => m.id), ['qwen', 'llama']);
+  assert.deepEqual(config.models, {
+    large: { model: 'qwen', provider: 'local' },
+    small: { model: 'llama', provider: 'local' },
+  });
+});
+
+test('addProvider keeps the selection unless asked, and can replace the API key', () => {
+  const current = configWithLocal();
+  const kept = addProvider(current, 'proxy', { provider: 'litellm', endpoint: 'http://proxy:4000' }, { apiKey: '$PROXY_KEY' });
+  assert.deepEqual(kept.errors, []);
+  assert.equal(kept.config.providers.proxy.api_key, '$PROXY_KEY');
+  assert.deepEqual(kept.config.models, current.models);
+  assert.ok(kept.config.providers.local, 'other providers are kept');
+
+  const selected = addProvider(current, 'proxy', { provider: 'litellm', endpoint: 'http://proxy:4000', large: 'gpt-4o', models: [{ id: 'gpt-4o' }] }, { select: true });
+  assert.deepEqual(selected.config.models.large, { model: 'gpt-4o', provider: 'proxy' });
+});
+
+test('addProvider refuses an existing name and invalid answers', () => {
+  const current = configWithLocal();
+  const duplicate = addProvider(current, 'local', localAnswers);
+  assert.equal(duplicate.config, null);
+  assert.deepEqual(duplicate.errors, ['Provider "local" already exists; edit it or pick another name']);
+
+  const unknownType = addProvider({}, 'other', { provider: 'nope', endpoint: 'http://localhost/' });
+  assert.equal(unknownType.config, null);
+  assert.match(unknownType.errors[0], /^Unknown provider type "nope"/);
+  const badEndpoint = addProvider({}, 'other', { provider: 'openai-compat', endpoint: 'not a url' });
+  assert.equal(badEndpoint.config, null);
+  assert.deepEqual(badEndpoint.errors, ['Endpoint "not a url/" is not a valid URL']);
+});
+
+test('removeProvider refuses a provider that supplies a selected model', () => {
+  const current = addProvider(configWithLocal(), 'proxy', { provider: 'litellm', endpoint: 'http://proxy:4000' }).config;
+  assert.deepEqual(selectionsUsing(current, 'local'), ['large', 'small']);
+  assert.deepEqual(removeProvider(current, 'local'), {
+    config: null,
+    errors: ['Provider "local" supplies the large and small models; pick another with "crush-setup model set-default" first'],
+  });
+
+  const { config, errors } = removeProvider(current, 'proxy');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(Object.keys(config.providers), ['local']);
+  assert.ok(current.providers.proxy, 'the given config is not changed');
+
+  assert.deepEqual(removeProvider(current, 'missing').errors, ['Provider "missing" is not configured']);
+});
+
+test('editProvider checks the endpoint and adds a trailing slash', () => {
+  const current = configWithLocal();
+  const { config, errors } = editProvider(current, 'local', {
+    endpoint: 'https://llm.example.com/v1',
+    apiKey: '$LLM_KEY',
+    displayName: 'Example LLM',
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(config.providers.local.base_url, 'https://llm.example.com/v1/');
+  assert.equal(config.providers.local.api_key, '$LLM_KEY');
+  assert.equal(config.providers.local.name, 'Example LLM');
+  assert.equal(config.providers.local.type, 'openai-compat');
+  assert.equal(editProvider(current, 'local', { endpoint: 'https://llm.example.com/' }).config.providers.local.base_url, 'https://llm.example.com/');
+
+  assert.deepEqual(editProvider(current, 'local', { endpoint: 'llm.example.com' }).errors, ['Endpoint "llm.example.com" is not a valid URL']);
+  assert.deepEqual(editProvider(current, 'missing', {}).errors, ['Provider "missing" is not configured']);
+});
+
+test('addModel checks the answer, refuses duplicates and inherits attachment support', () => {
+  const current = configWithLocal();
+  const { config, errors } = addModel(current, 'local', { id: 'mistral', contextWindow: 32768 });
+  assert.deepEqual(errors, []);
+  const added = config.providers.local.models[2];
+  assert.equal(added.id, 'mistral');
+  assert.equal(added.context_window, 32768);
+  assert.equal(added.supports_attachments, false, 'taken from the first model');
+  assert.equal(addModel(current, 'local', { id: 'pixtral', supportsAttachments: true }).config.providers.local.models[2].supports_attachments, true);
+
+  assert.deepEqual(addModel(current, 'local', { id: 'qwen' }).errors, ['Model "qwen" already exists for provider "local"']);
+  assert.deepEqual(addModel(current, 'local', { id: 'big', maxTokens: -1 }).errors, ['model.maxTokens must be a positive integer']);
+  assert.deepEqual(addModel(current, 'missing', { id: 'x' }).errors, ['Provider "missing" is not configured']);
+});
+
+test('removeModel refuses a selected model', () => {
+  const current = addModel(configWithLocal(), 'local', { id: 'mistral' }).config;
+  assert.deepEqual(removeModel(current, 'local', 'qwen').errors,
+    ['Model "qwen" is the large model; pick another with "crush-setup model set-default" first']);
+  assert.deepEqual(removeModel(current, 'local', 'gone').errors, ['Model "gone" is not configured for provider "local"']);
+
+  const { config, errors } = removeModel(current, 'local', 'mistral');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(config.providers.local.models.map(m => m.id), ['qwen', 'llama']);
+});
+
+test('setDefaultModel selects the large model, or the given kinds, keeping their settings', () => {
+  const current = configWithLocal();
+  current.models.large.max_tokens = 2048;
+
+  const large = setDefaultModel(current, 'local', 'llama').config;
+  assert.deepEqual(large.models, {
+    large: { model: 'llama', provider: 'local', max_tokens: 2048 },
+    small: { model: 'llama', provider: 'local' },
+  });
+  const small = setDefaultModel(current, 'local', 'qwen', ['small']).config;
+  assert.deepEqual(small.models.small, { model: 'qwen', provider: 'local' });
+  assert.deepEqual(small.models.large, current.models.large);
+  const both = setDefaultModel({ providers: current.providers }, 'local', 'llama', ['large', 'small']).config;
+  assert.deepEqual(selectionsUsing(both, 'local', 'llama'), ['large', 'small']);
+
+  assert.deepEqual(setDefaultModel(current, 'local', 'gone').errors, ['Model "gone" is not configured for provider "local"']);
+  assert.deepEqual(setDefaultModel(current, 'missing', 'qwen').errors, ['Provider "missing" is not configured']);
+});
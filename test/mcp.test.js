@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { MCP_PROTOCOL_VERSION, resolveMcpEnv, resolveCommand, checkStdioServer } = require('../lib/mcp');
+
+const SERVER = path.join(__dirname, 'fixtures', 'mcp-server.js');
+const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-mcp-'));
+after(() => fs.rmSync(bin, { recursive: true, force: true }));
+
+// Install the fixture server as a bare command in the scratch bin directory:
+// a shell script, or on Windows a .cmd shim like the ones npm installs
+function installServer(name) {
+  const file = path.join(bin, process.platform === 'win32' ? `${name}.cmd` : name);
+  fs.writeFileSync(file, process.platform === 'win32'
+    ? `@"${process.execPath}" "${SERVER}" %*\r\n`
+    : `#!/bin/sh\nexec "${process.execPath}" "${SERVER}" "$@"\n`);
+  fs.chmodSync(file, 0o755);
+  return file;
+}
+
+const env = { ...process.env, PATH: bin, Path: bin };
+
+test('resolveCommand looks bare names up in PATH and leaves the rest alone', () => {
+  const file = installServer('fixture-mcp');
+  assert.equal(resolveCommand('fixture-mcp', env), file);
+  assert.equal(resolveCommand('not-installed-mcp', env), 'not-installed-mcp');
+  assert.equal(resolveCommand('./fixture-mcp', env), './fixture-mcp');
+});
+
+test('resolveMcpEnv fills $VAR and ${VAR} references, empty when unset', () => {
+  assert.deepEqual(resolveMcpEnv({ TOKEN: '$TOKEN', URL: 'https://${HOST}/mcp', GONE: '$UNSET_VAR', N: 1 }, { TOKEN: 't', HOST: 'corp' }),
+    { TOKEN: 't', URL: 'https://corp/mcp', GONE: '', N: '1' });
+});
+
+test('checkStdioServer starts a command found in PATH and completes the handshake', async () => {
+  installServer('fixture-mcp');
+  const info = await checkStdioServer(
+    { command: 'fixture-mcp', args: ['ok'], env: { FIXTURE_VERSION: '$VERSION' } },
+    { env: { ...env, VERSION: '1.2.3' } });
+  assert.deepEqual(info, { name: 'fixture', version: '1.2.3', protocolVersion: MCP_PROTOCOL_VERSION });
+});
+
+test('checkStdioServer reports servers that fail, exit or cannot be started', async () => {
+  installServer('fixture-mcp');
+  await assert.rejects(checkStdioServer({ command: 'fixture-mcp', args: ['error'] }, { env }),
+    /initialize failed: unsupported protocol version/);
+  await assert.rejects(checkStdioServer({ command: 'fixture-mcp', args: ['exit'] }, { env }),
+    /exited with code 2 before completing the handshake \(missing TICKETS_TOKEN\)/);
+  await assert.rejects(checkStdioServer({ command: process.execPath, args: ['-e', 'setTimeout(() => {}, 5000)'] }, { env, timeout: 1000 }),
+    /no reply to initialize within 1s/);
+  if (process.platform !== 'win32') {
+    await assert.rejects(checkStdioServer({ command: 'not-installed-mcp' }, { env }), /could not start not-installed-mcp/);
+  }
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+// Requests go straight to the local server, whatever the shell's proxy
+for (const name of ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy']) delete process.env[name];
+
+const { DEFAULT_FIXTURE, checkFixture, createMockServer } = require('../lib/mock-server');
+const { httpRequest } = require('../lib/http');
+
+const fixture = {
+  ...DEFAULT_FIXTURE,
+  api_key: 'secret',
+  chunk_delay_ms: 0,
+  responses: [
+    { match: 'overloaded', status: 429, error: 'Rate limit reached' },
+    { match: 'weather', tool_calls: [{ name: 'get_weather', arguments: { city: 'Oslo' } }] },
+    { content: 'You said: {{prompt}} to {{model}}' },
+  ],
+};
+const requests = [];
+let server;
+let root;
+
+before(async () => {
+  server = createMockServer(fixture, { onRequest: entry => requests.push(entry) });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  root = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const auth = { Authorization: 'Bearer secret', 'Content-Type': 'application/json' };
+const chat = (prompt, extra = {}) => ({ model: 'mock-model', messages: [{ role: 'user', content: prompt }], ...extra });
+
+test('checkFixture accepts the default fixture and reports bad keys and statuses', () => {
+  assert.deepEqual(checkFixture(DEFAULT_FIXTURE), []);
+  const problems = checkFixture({ modles: [], responses: [{ status: 99, colour: 'red' }] });
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /unknown key "modles"/);
+  assert.ok(problems.some(problem => /responses\[0\]\.status must be an HTTP status code/.test(problem)));
+  assert.ok(problems.some(problem => /responses\[0\]: unknown key "colour"/.test(problem)));
+  assert.deepEqual(checkFixture([]), ['the fixture must be a JSON object']);
+});
+
+test('lists the fixture models', async () => {
+  const response = await httpRequest(`${root}/v1/models`, { headers: auth });
+  assert.equal(response.status, 200);
+  assert.deepEqual(JSON.parse(response.body).data.map(model => model.id), ['mock-model']);
+});
+
+test('rejects a missing or wrong API key', async () => {
+  const response = await httpRequest(`${root}/v1/models`, { headers: { Authorization: 'Bearer wrong' } });
+  assert.equal(response.status, 401);
+  assert.equal(JSON.parse(response.body).error.code, 'invalid_api_key');
+});
+
+test('answers a chat completion with the scripted content', async () => {
+  const response = await httpRequest(`${root}/v1/chat/completions`, { method: 'POST', headers: auth, body: chat('hello') });
+  assert.equal(response.status, 200);
+  const body = JSON.parse(response.body);
+  assert.equal(body.choices[0].message.content, 'You said: hello to mock-model');
+  assert.equal(body.choices[0].finish_reason, 'stop');
+  assert.ok(body.usage.total_tokens > 0);
+});
+
+test('returns scripted tool calls and errors', async () => {
+  const tools = await httpRequest(`${root}/chat/completions`, { method: 'POST', headers: auth, body: chat('weather in Oslo?') });
+  const message = JSON.parse(tools.body).choices[0].message;
+  assert.equal(message.tool_calls[0].function.name, 'get_weather');
+  assert.deepEqual(JSON.parse(message.tool_calls[0].function.arguments), { city: 'Oslo' });
+
+  const limited = await httpRequest(`${root}/v1/chat/completions`, { method: 'POST', headers: auth, body: chat('overloaded?') });
+  assert.equal(limited.status, 429);
+  assert.equal(JSON.parse(limited.body).error.message, 'Rate limit reached');
+});
+
+test('streams a completion as server-sent events', async () => {
+  const response = await httpRequest(`${root}/v1/chat/completions`, {
+    method: 'POST', headers: auth, body: chat('stream me', { stream: true, stream_options: { include_usage: true } }),
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers['content-type'], /text\/event-stream/);
+  const events = response.body.split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+  assert.equal(events.pop(), '[DONE]');
+  const chunks = events.map(event => JSON.parse(event));
+  const text = chunks.flatMap(chunk => chunk.choices.map(choice => choice.delta.content || '')).join('');
+  assert.equal(text, 'You said: stream me to mock-model');
+  assert.ok(chunks[chunks.length - 1].usage);
+});
+
+test('serves the Azure deployment routes only with an api-version', async () => {
+  const headers = { 'api-key': 'secret', 'Content-Type': 'application/json' };
+  const missing = await httpRequest(`${root}/openai/deployments/mock-model/chat/completions`, { method: 'POST', headers, body: chat('hi') });
+  assert.equal(missing.status, 404);
+
+  const ok = await httpRequest(`${root}/openai/deployments/mock-model/chat/completions?api-version=2024-10-21`, { method: 'POST', headers, body: chat('hi') });
+  assert.equal(ok.status, 200);
+
+  const unknown = await httpRequest(`${root}/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21`, { method: 'POST', headers, body: chat('hi') });
+  assert.equal(unknown.status, 404);
+  assert.equal(JSON.parse(unknown.body).error.code, 'DeploymentNotFound');
+});
+
+test('reports each request to onRequest', async () => {
+  requests.length = 0;
+  await httpRequest(`${root}/v1/chat/completions`, { method: 'POST', headers: auth, body: chat('hello') });
+  assert.equal(requests.length, 1);
+  assert.deepEqual({ ...requests[0], ms: 0 }, {
+    method: 'POST', path: '/v1/chat/completions', model: 'mock-model', stream: false, status: 200, ms: 0,
+  });
+});
@@ -0,0 +1,204 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Config locations are fixed when lib/paths.js loads, so point the home
+// directory at a scratch one first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-policy-test-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+delete process.env.XDG_DATA_HOME;
+delete process.env.CRUSH_GLOBAL_CONFIG;
+delete process.env.CRUSH_GLOBAL_DATA;
+
+const { globalConfigFile, dataConfigFile } = require('../lib/paths');
+const { mergeConfigLayers } = require('../lib/config');
+const {
+  readPolicy,
+  isAllowedUrl,
+  checkPolicy,
+  applyPolicy,
+  evaluatePolicy,
+  writeEnforcedConfig,
+  removeEnforcedConfig,
+} = require('../lib/policy');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+// Write a JSON (or, given a string, raw) file under the scratch home
+function writeFile(name, contents) {
+  const file = path.join(home, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+const policy = (overrides = {}) => ({
+  file: '/etc/crush/policy.json',
+  mode: 'enforce',
+  requiredOptions: {},
+  disabledTools: [],
+  allowedBaseUrls: [],
+  ...overrides,
+});
+
+test('readPolicy returns null without a policy file and fills in defaults', () => {
+  assert.equal(readPolicy(path.join(home, 'missing.json')), null);
+  assert.deepEqual(readPolicy(writeFile('empty-policy.json', {})), policy({ file: path.join(home, 'empty-policy.json') }));
+});
+
+test('readPolicy rejects policy files it cannot use', () => {
+  const rejects = (contents, pattern) => {
+    const file = writeFile('bad-policy.json', contents);
+    assert.throws(() => readPolicy(file), err => err.code === 'EPOLICY' && err.file === file && pattern.test(err.message));
+  };
+  rejects('{ not json', /is not valid JSON/);
+  rejects('[]', /must contain a JSON object/);
+  rejects('null', /must contain a JSON object/);
+  rejects({ allowed_urls: [] }, /unknown key "allowed_urls"/);
+  rejects({ mode: 'warn' }, /mode must be enforce or refuse/);
+  rejects({ required_options: ['disable_metrics'] }, /required_options must be an object/);
+  rejects({ disabled_tools: 'fetch' }, /disabled_tools must be a list of strings/);
+  rejects({ allowed_base_urls: ['https://ok.example/*', ''] }, /allowed_base_urls must be a list of strings/);
+  rejects({ allowed_base_urls: ['*.openai.azure.com'] }, /entry "\*\.openai\.azure\.com" must look like scheme:\/\/host/);
+});
+
+test('isAllowedUrl compares the parsed origin, with * limited to host labels', () => {
+  const patterns = ['https://*.openai.azure.com/*', 'https://llm.corp.example/v1/*', 'http://localhost:*'];
+  assert.equal(isAllowedUrl('https://res.openai.azure.com/openai', patterns), true);
+  assert.equal(isAllowedUrl('https://RES.openai.azure.com:443/', patterns), true);
+  assert.equal(isAllowedUrl('https://llm.corp.example/v1/', patterns), true);
+  assert.equal(isAllowedUrl('http://localhost:11434/v1', patterns), true);
+
+  assert.equal(isAllowedUrl('https://evil.example/x.openai.azure.com/', patterns), false);
+  assert.equal(isAllowedUrl('https://evil.example?.openai.azure.com/', patterns), false);
+  assert.equal(isAllowedUrl('https://evil.example#.openai.azure.com/', patterns), false);
+  assert.equal(isAllowedUrl('https://res.openai.azure.com.evil.example/', patterns), false);
+  assert.equal(isAllowedUrl('https://a.b.openai.azure.com/', patterns), false);
+  assert.equal(isAllowedUrl('http://res.openai.azure.com/', patterns), false);
+  assert.equal(isAllowedUrl('https://res.openai.azure.com:8443/', patterns), false);
+  assert.equal(isAllowedUrl('https://llm.corp.example/v2/', patterns), false);
+  assert.equal(isAllowedUrl('https://llm.corp.example/v1/../admin', patterns), false);
+  assert.equal(isAllowedUrl('not a url', patterns), false);
+});
+
+test('isAllowedUrl rejects URLs with a user name or password', () => {
+  const patterns = ['https://*.openai.azure.com/*'];
+  assert.equal(isAllowedUrl('https://user@res.openai.azure.com/', patterns), false);
+  assert.equal(isAllowedUrl('https://evil.example:x@res.openai.azure.com/', patterns), false);
+});
+
+test('checkPolicy marks only global-config and unset values as enforceable', () => {
+  const env = { CRUSH_DISABLE_METRICS: '0', DO_NOT_TRACK: '1' };
+  const globalFile = globalConfigFile(env);
+  const projectFile = path.join(home, 'project', 'crush.json');
+  const { config, sources } = mergeConfigLayers([
+    { name: 'global', file: globalFile, config: { options: { debug: true, disabled_tools: ['bash'] } } },
+    { name: 'project', file: projectFile, config: { options: { tui: { compact_mode: false } } } },
+  ], env);
+
+  const violations = checkPolicy(policy({
+    requiredOptions: { debug: false, tui: { compact_mode: true }, disable_metrics: false, disable_auto_summarize: true },
+    disabledTools: ['bash', 'fetch'],
+  }), config, sources, env);
+
+  const byPath = Object.fromEntries(violations.map(v => [v.path, v]));
+  assert.deepEqual(Object.keys(byPath).sort(), [
+    '$.options.debug',
+    '$.options.disable_auto_summarize',
+    '$.options.disable_metrics',
+    '$.options.disabled_tools',
+    '$.options.tui',
+  ]);
+  assert.deepEqual([byPath['$.options.debug'].source, byPath['$.options.debug'].enforceable], [globalFile, true]);
+  assert.deepEqual([byPath['$.options.disabled_tools'].source, byPath['$.options.disabled_tools'].enforceable], [globalFile, true]);
+  assert.deepEqual([byPath['$.options.disable_auto_summarize'].source, byPath['$.options.disable_auto_summarize'].enforceable], [null, true]);
+  assert.deepEqual([byPath['$.options.tui'].source, byPath['$.options.tui'].enforceable], [projectFile, false]);
+  assert.deepEqual([byPath['$.options.disable_metrics'].source, byPath['$.options.disable_metrics'].enforceable], ['env DO_NOT_TRACK', false]);
+  assert.match(byPath['$.options.disabled_tools'].problem, /must include "fetch"/);
+});
+
+test('checkPolicy resolves $VAR endpoints from the environment it is given', () => {
+  const config = {
+    providers: {
+      viaEnv: { base_url: '$CORP_URL' },
+      unsetEnv: { base_url: '${MISSING_URL}' },
+      noUrl: { type: 'openai' },
+      literal: { base_url: 'https://llm.corp.example/v1/' },
+    },
+  };
+  const rules = policy({ allowedBaseUrls: ['https://llm.corp.example/v1/*'] });
+
+  const allowed = checkPolicy(rules, config, {}, { CORP_URL: 'https://llm.corp.example/v1/chat' });
+  assert.deepEqual(allowed.map(v => v.path), ['$.providers.unsetEnv.base_url', '$.providers.noUrl.base_url']);
+  assert.match(allowed[0].problem, /\$MISSING_URL, which is not set/);
+
+  const denied = checkPolicy(rules, config, {}, { CORP_URL: 'https://evil.example/v1/' });
+  assert.match(denied.find(v => v.path === '$.providers.viaEnv.base_url').problem, /https:\/\/evil\.example\/v1\/ is not an allowed endpoint/);
+});
+
+test('applyPolicy sets options, disables tools and drops disallowed providers with their selections', () => {
+  const config = {
+    options: { debug: true, disabled_tools: ['bash'] },
+    providers: { good: { base_url: 'https://llm.corp.example/v1/' }, bad: { base_url: 'https://evil.example/' } },
+    models: { large: { provider: 'bad', model: 'm' }, small: { provider: 'good', model: 's' } },
+  };
+  const rules = policy({
+    requiredOptions: { disable_metrics: true, debug: false },
+    disabledTools: ['fetch', 'bash'],
+    allowedBaseUrls: ['https://llm.corp.example/*'],
+  });
+  const enforced = applyPolicy(rules, config, checkPolicy(rules, config));
+
+  assert.deepEqual(enforced, {
+    options: { debug: false, disabled_tools: ['bash', 'fetch'], disable_metrics: true },
+    providers: { good: { base_url: 'https://llm.corp.example/v1/' } },
+    models: { small: { provider: 'good', model: 's' } },
+  });
+  assert.deepEqual(Object.keys(config.providers), ['good', 'bad'], 'the input config is left alone');
+});
+
+test('evaluatePolicy checks every layer Crush loads in the given environment', (t) => {
+  const project = path.join(home, 'work', 'app');
+  fs.mkdirSync(project, { recursive: true });
+  const cwd = process.cwd();
+  process.chdir(project);
+  t.after(() => process.chdir(cwd));
+
+  const policyFile = writeFile('policy.json', { required_options: { debug: false } });
+  const env = { CRUSH_POLICY_FILE: policyFile, CRUSH_GLOBAL_CONFIG: path.join(home, 'alt-config') };
+  writeFile('alt-config/crush.json', { options: { debug: false } });
+  writeFile('.config/crush/crush.json', { options: { debug: true } });
+  assert.deepEqual(evaluatePolicy(env).violations, [], 'CRUSH_GLOBAL_CONFIG picks the global config');
+
+  const dataFile = writeFile(path.relative(home, dataConfigFile(env)), { options: { debug: true } });
+  let result = evaluatePolicy(env);
+  assert.deepEqual(result.violations.map(v => [v.path, v.source, v.enforceable]), [['$.options.debug', dataFile, false]]);
+  fs.rmSync(dataFile);
+
+  const parentFile = writeFile('work/.crush.json', { options: { debug: true } });
+  result = evaluatePolicy(env);
+  assert.deepEqual(result.violations.map(v => [v.path, v.source, v.enforceable]), [['$.options.debug', parentFile, false]]);
+  assert.deepEqual(result.layers.map(layer => layer.name), ['global', 'project']);
+});
+
+test('writeEnforcedConfig writes a private file per run and removeEnforcedConfig deletes it', () => {
+  const first = writeEnforcedConfig({ options: { debug: false } });
+  const second = writeEnforcedConfig({ options: { debug: true } });
+  try {
+    assert.notEqual(first, second);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(first, 'crush.json'), 'utf8')), { options: { debug: false } });
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(first).mode & 0o077, 0);
+      assert.equal(fs.statSync(path.join(first, 'crush.json')).mode & 0o777, 0o600);
+    }
+  } finally {
+    removeEnforcedConfig(first);
+    removeEnforcedConfig(second);
+  }
+  assert.equal(fs.existsSync(first), false);
+  assert.equal(fs.existsSync(second), false);
+});
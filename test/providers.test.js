@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const net = require('node:net');
+
+for (const name of ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy']) delete process.env[name];
+
+const { createMockServer } = require('../lib/mock-server');
+const { probeProvider } = require('../lib/providers');
+
+const fixture = {
+  models: [{ id: 'mock-model' }, { id: 'busy-model' }, { id: 'old-api-model' }],
+  api_key: 'secret',
+  responses: [
+    { model: 'busy-model', status: 429, error: 'Rate limit reached' },
+    { model: 'old-api-model', status: 400, error: 'The api-version 2019-01-01 is not supported' },
+    { content: 'pong' },
+  ],
+};
+let server;
+let root;
+
+before(async () => {
+  server = createMockServer(fixture);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  root = `http://127.0.0.1:${server.address().port}`;
+  process.env.MOCK_TEST_KEY = 'secret';
+});
+
+after(() => server.close());
+
+const openai = (overrides = {}) => ({
+  type: 'openai', base_url: `${root}/v1/`, api_key: '$MOCK_TEST_KEY', models: [{ id: 'mock-model' }], ...overrides,
+});
+const azure = (overrides = {}) => ({
+  type: 'azure', base_url: `${root}/`, api_key: '$MOCK_TEST_KEY', models: [{ id: 'mock-model' }],
+  extra_params: { apiVersion: '2024-10-21' }, ...overrides,
+});
+const probe = provider => probeProvider(provider, { timeout: 5000 });
+
+test('passes when the endpoint answers', async () => {
+  assert.deepEqual(await probe(openai()), { status: 'pass', category: 'ok', message: 'mock-model responded (HTTP 200)' });
+  assert.equal((await probe(azure())).status, 'pass');
+});
+
+test('reports configuration problems without sending a request', async () => {
+  assert.equal((await probe(openai({ base_url: '' }))).category, 'config');
+  assert.equal((await probe(openai({ models: [] }))).category, 'config');
+  const unset = await probe(openai({ api_key: '$MOCK_TEST_UNSET_KEY' }));
+  assert.deepEqual(unset, { status: 'fail', category: 'config', message: '$MOCK_TEST_UNSET_KEY is not set' });
+});
+
+test('classifies a rejected key as auth', async () => {
+  const result = await probe(openai({ api_key: 'wrong' }));
+  assert.equal(result.status, 'fail');
+  assert.equal(result.category, 'auth');
+  assert.match(result.message, /HTTP 401/);
+});
+
+test('classifies an unknown model or deployment', async () => {
+  const model = await probe(openai({ models: [{ id: 'gpt-4o' }] }));
+  assert.equal(model.category, 'deployment');
+  assert.match(model.message, /^Model "gpt-4o" was not found/);
+
+  const deployment = await probe(azure({ models: [{ id: 'gpt-4o' }] }));
+  assert.equal(deployment.category, 'deployment');
+  assert.match(deployment.message, /^Deployment "gpt-4o" was not found/);
+});
+
+test('classifies a rejected Azure API version', async () => {
+  const result = await probe(azure({ models: [{ id: 'old-api-model' }], extra_params: { apiVersion: '2019-01-01' } }));
+  assert.equal(result.category, 'api_version');
+  assert.match(result.message, /API version 2019-01-01 was rejected/);
+});
+
+test('classifies a wrong base_url as endpoint', async () => {
+  const result = await probe(openai({ base_url: `${root}/wrong/` }));
+  assert.equal(result.category, 'endpoint');
+  assert.match(result.message, /\/wrong\/chat\/completions/);
+});
+
+test('warns when the endpoint accepts the key but rejects the request', async () => {
+  const result = await probe(openai({ models: [{ id: 'busy-model' }] }));
+  assert.equal(result.status, 'warn');
+  assert.equal(result.category, 'http');
+  assert.match(result.message, /HTTP 429/);
+});
+
+test('classifies a refused connection', async () => {
+  // A port that was free a moment ago
+  const closed = net.createServer().listen(0, '127.0.0.1');
+  await once(closed, 'listening');
+  const { port } = closed.address();
+  closed.close();
+  await once(closed, 'close');
+
+  const result = await probe(openai({ base_url: `http://127.0.0.1:${port}/v1/` }));
+  assert.equal(result.category, 'connection');
+  assert.match(result.message, /ECONNREFUSED/);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { forwardSignals, signalExitCode } = require('../lib/run');
+
+const CRUSH = path.join(__dirname, '..', 'bin', 'crush.js');
+const posix = process.platform !== 'win32';
+
+// Run exitLikeCrush(code, signal) in a fresh process and return how it ended
+function exitLikeCrush(code, signal) {
+  const script = `require(${JSON.stringify(CRUSH)}).exitLikeCrush(${JSON.stringify(code)}, ${JSON.stringify(signal)})`;
+  const result = spawnSync(process.execPath, ['-e', script], { timeout: 10000 });
+  return { status: result.status, signal: result.signal };
+}
+
+// A stand-in child process recording the signals sent to it
+function fakeChild() {
+  return { exitCode: null, signalCode: null, killed: [], kill(signal) { this.killed.push(signal); } };
+}
+
+test('signalExitCode is 128 plus the signal number', () => {
+  assert.equal(signalExitCode('SIGINT'), 130);
+  assert.equal(signalExitCode('SIGKILL'), 137);
+  assert.equal(signalExitCode('SIGTERM'), 143);
+  assert.equal(signalExitCode('SIGUSR1'), 128 + os.constants.signals.SIGUSR1);
+});
+
+test('requiring bin/crush.js does not start Crush', () => {
+  const result = spawnSync(process.execPath, ['-e', `console.log(Object.keys(require(${JSON.stringify(CRUSH)})).join(','))`], {
+    timeout: 10000,
+    env: { ...process.env, CRUSH_BINARY_PATH: path.join(__dirname, 'missing-crush') },
+  });
+  assert.equal(result.status, 0, result.stderr.toString());
+  assert.equal(result.stdout.toString().trim(), 'exitLikeCrush,enforcePolicy');
+});
+
+test('exitLikeCrush exits with Crush\'s code, or 1 without one', () => {
+  assert.deepEqual(exitLikeCrush(3, null), { status: 3, signal: null });
+  assert.deepEqual(exitLikeCrush(null, null), { status: 1, signal: null });
+});
+
+test('exitLikeCrush re-raises the signal that killed Crush', { skip: !posix && 'signals are not re-raised on Windows' }, () => {
+  assert.deepEqual(exitLikeCrush(null, 'SIGTERM'), { status: null, signal: 'SIGTERM' });
+  assert.deepEqual(exitLikeCrush(null, 'SIGHUP'), { status: null, signal: 'SIGHUP' });
+});
+
+test('exitLikeCrush exits with 128 + n when the signal can\'t be re-raised', { skip: !posix && 'POSIX signals only' }, () => {
+  assert.deepEqual(exitLikeCrush(null, 'SIGUSR1'), { status: signalExitCode('SIGUSR1'), signal: null });
+  assert.deepEqual(exitLikeCrush(null, 'SIGWINCH'), { status: signalExitCode('SIGWINCH'), signal: null });
+});
+
+test('forwardSignals leaves terminal signals to the terminal when Crush shares it', { skip: !posix && 'POSIX signals only' }, () => {
+  const child = fakeChild();
+  const stop = forwardSignals(child, { terminal: true });
+  try {
+    ['SIGINT', 'SIGQUIT', 'SIGWINCH', 'SIGTERM', 'SIGHUP'].forEach(signal => process.emit(signal, signal));
+  } finally {
+    stop();
+  }
+  assert.deepEqual(child.killed, ['SIGTERM', 'SIGHUP']);
+});
+
+test('forwardSignals passes terminal signals on without a shared terminal, until stopped', { skip: !posix && 'POSIX signals only' }, () => {
+  const child = fakeChild();
+  const before = process.listenerCount('SIGINT');
+  const stop = forwardSignals(child, { terminal: false });
+  process.emit('SIGINT', 'SIGINT');
+  process.emit('SIGWINCH', 'SIGWINCH');
+  child.exitCode = 0;
+  process.emit('SIGTERM', 'SIGTERM');
+  stop();
+  assert.deepEqual(child.killed, ['SIGINT', 'SIGWINCH'], 'nothing is sent once the child has exited');
+  assert.equal(process.listenerCount('SIGINT'), before);
+});
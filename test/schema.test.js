@@ -0,0 +1,131 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// lib/paths.js fixes the config directory when it loads, so the home
+// directory is pointed at a scratch one before requiring the library
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'crush-schema-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.LOCALAPPDATA = path.join(home, 'AppData');
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { jsonPath, validateConfig, blockingIssues } = require('../lib/schema');
+
+// A config as crush-setup writes it
+function validConfig() {
+  return {
+    models: {
+      large: { model: 'gpt-4o', provider: 'my-llm', max_tokens: 4096 },
+      small: { model: 'gpt-4o-mini', provider: 'my-llm' },
+    },
+    providers: {
+      'my-llm': {
+        type: 'openai-compat',
+        base_url: 'https://llm.example.com/v1/',
+        api_key: '$MY_LLM_API_KEY',
+        models: [
+          { id: 'gpt-4o', name: 'GPT-4o', context_window: 128000, default_max_tokens: 4096 },
+          { id: 'gpt-4o-mini', name: 'GPT-4o mini', context_window: 128000, default_max_tokens: 4096 },
+        ],
+      },
+    },
+    options: { debug: false, context_paths: ['AGENTS.md'] },
+  };
+}
+
+test('jsonPath quotes keys that are not identifiers', () => {
+  assert.equal(jsonPath('$', 'providers'), '$.providers');
+  assert.equal(jsonPath('$.providers', 'my-llm'), '$.providers["my-llm"]');
+  assert.equal(jsonPath('$.providers["my-llm"].models', 0), '$.providers["my-llm"].models[0]');
+});
+
+test('a valid config has no issues', () => {
+  assert.deepEqual(validateConfig(validConfig()), []);
+  assert.deepEqual(validateConfig({}), []);
+});
+
+test('wrong types and values are errors at their JSON path', () => {
+  const config = validConfig();
+  config.models.large.max_tokens = '4096';
+  config.models.large.temperature = 3;
+  config.models.large.reasoning_effort = 'max';
+  config.providers['my-llm'].base_url = 'llm.example.com';
+  config.options.debug = 'yes';
+  config.options.context_paths = ['AGENTS.md', 7];
+
+  const byPath = Object.fromEntries(validateConfig(config).map(issue => [issue.path, issue]));
+  assert.deepEqual(Object.keys(byPath).sort(), [
+    '$.models.large.max_tokens',
+    '$.models.large.reasoning_effort',
+    '$.models.large.temperature',
+    '$.options.context_paths[1]',
+    '$.options.debug',
+    '$.providers["my-llm"].base_url',
+  ]);
+  assert.ok(Object.values(byPath).every(issue => issue.severity === 'error'));
+  assert.deepEqual(byPath['$.models.large.max_tokens'], {
+    path: '$.models.large.max_tokens',
+    severity: 'error',
+    problem: 'expected integer, found string',
+    suggestion: 'remove the quotes: 4096',
+  });
+  assert.equal(byPath['$.models.large.temperature'].problem, '3 is above the maximum of 2');
+  assert.equal(byPath['$.models.large.reasoning_effort'].suggestion, 'use one of: low, medium, high');
+  assert.equal(byPath['$.providers["my-llm"].base_url'].problem, '"llm.example.com" is not a valid URL');
+  assert.equal(byPath['$.options.debug'].suggestion, 'use a boolean value such as true');
+});
+
+test('a selection missing its model or provider is an error', () => {
+  const config = validConfig();
+  delete config.models.small.model;
+  const issues = validateConfig(config);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].path, '$.models.small');
+  assert.equal(issues[0].problem, 'missing required property "model"');
+});
+
+test('unknown keys are warnings with a suggestion, and do not block saving', () => {
+  const config = validConfig();
+  config.optoins = {};
+  config.options.debugg = true;
+  config.options.something_new = true;
+  const issues = validateConfig(config);
+
+  assert.deepEqual(issues.map(issue => issue.path).sort(), ['$.options.debugg', '$.options.something_new', '$.optoins']);
+  assert.ok(issues.every(issue => issue.severity === 'warning' && issue.problem === 'unknown property'));
+  const suggestion = at => issues.find(issue => issue.path === at).suggestion;
+  assert.equal(suggestion('$.optoins'), 'did you mean "options"?');
+  assert.equal(suggestion('$.options.debugg'), 'did you mean "debug"?');
+  assert.match(suggestion('$.options.something_new'), /^remove it unless it is a setting of a newer Crush; known here: context_paths, /);
+  assert.deepEqual(blockingIssues(issues), []);
+});
+
+test('selections must name a defined provider and one of its models', () => {
+  const config = validConfig();
+  config.models.large.provider = 'my-lm';
+  config.models.small.model = 'gpt-5';
+  const issues = validateConfig(config);
+  assert.deepEqual(issues, [
+    {
+      path: '$.models.large.provider',
+      severity: 'error',
+      problem: 'provider "my-lm" is not defined in providers',
+      suggestion: 'use one of: my-llm',
+    },
+    {
+      path: '$.models.small.model',
+      severity: 'error',
+      problem: 'model "gpt-5" is not listed by provider "my-llm"',
+      suggestion: 'use one of: gpt-4o, gpt-4o-mini',
+    },
+  ]);
+  assert.equal(blockingIssues(issues).length, 2);
+});
+
+test('provider references are not checked when the file defines no providers', () => {
+  // The providers can come from another layer, such as the global config
+  assert.deepEqual(validateConfig({ models: { large: { model: 'gpt-4o', provider: 'my-llm' } } }), []);
+});